@@ -0,0 +1,57 @@
+/**
+ * Headless balance simulation
+ * Usage: node scripts/simulate.js [--minutes 5] [--seed ABC123] [--time-limit 10] [--no-auto-drop] [--no-sweep] [--turns] [--verbose]
+ * Prints the run summary (score, tier, stats) as JSON on stdout
+ */
+
+import Headless from '../src/headless.js';
+
+// Parse --flag value pairs
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const minutes = args.minutes !== undefined ? Number(args.minutes) : 5;
+
+if (!(minutes > 0)) {
+  console.error('--minutes must be a positive number');
+  process.exit(1);
+}
+
+// Game systems log freely - keep the output clean for the JSON result
+const log = console.log;
+const warn = console.warn;
+if (!args.verbose) {
+  console.log = function () {};
+  console.warn = function () {};
+}
+
+// Put the loggers back even when the run throws, so the crash can be read
+let summary;
+try {
+  summary = Headless.run({
+    minutes: minutes,
+    seed: typeof args.seed === 'string' ? args.seed : null,
+    timeLimit: args['time-limit'] !== undefined ? Number(args['time-limit']) : 0,
+    autoDrop: !args['no-auto-drop'],
+    sweep: !args['no-sweep'],
+    turns: !!args.turns,
+  });
+} finally {
+  console.log = log;
+  console.warn = warn;
+}
+process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
@@ -0,0 +1,182 @@
+/**
+ * Determinism and engine checks
+ * Usage: node scripts/test.js [--minutes 1] [--seed TEST]
+ * Replays, Continue and seeded shops and map nodes all rely on a seed giving the
+ * same run every time. Each case simulates the same seed twice, in fresh processes,
+ * and fails on any difference in the summaries. The checks after that run the
+ * headless game in this process
+ */
+
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import Headless from '../src/headless.js';
+import Game from '../src/core/Game.js';
+import Physics from '../src/core/Physics.js';
+
+const SIMULATE = fileURLToPath(new URL('./simulate.js', import.meta.url));
+
+// Drop economies to cover
+const CASES = [
+  { name: 'real-time', args: [] },
+  { name: 'turns', args: ['--turns'] },
+];
+
+// Read --minutes and --seed
+function parseArgs(argv) {
+  const args = { minutes: '1', seed: 'TEST' };
+  for (let i = 0; i < argv.length - 1; i++) {
+    if (argv[i] === '--minutes') args.minutes = argv[i + 1];
+    if (argv[i] === '--seed') args.seed = argv[i + 1];
+  }
+  return args;
+}
+
+// Run one simulation and return its JSON output
+function simulate(args) {
+  return execFileSync(process.execPath, [SIMULATE, ...args], { encoding: 'utf8' });
+}
+
+// First line where two outputs differ
+function firstDifference(a, b) {
+  const linesA = a.split('\n');
+  const linesB = b.split('\n');
+  for (let i = 0; i < Math.max(linesA.length, linesB.length); i++) {
+    if (linesA[i] !== linesB[i]) return `line ${i + 1}: ${linesA[i]} != ${linesB[i]}`;
+  }
+  return null;
+}
+
+// Board snapshot plus the live tier parts, one entry per line
+function describeBoard() {
+  const board = Game.board;
+  const tierParts = {
+    spinners: board.spinners.map((s) => [s.speed, s.direction]),
+    sidePushers: board.sidePushers.map((p) => [p.position, p.direction, p.speed]),
+  };
+  return [JSON.stringify(board.getSnapshot()), JSON.stringify(tierParts)].join('\n').replace(/\],/g, '],\n');
+}
+
+// Speeds and directions the tier parts rolled when built
+function describeTierRolls() {
+  const board = Game.board;
+  return JSON.stringify({
+    spinners: board.spinners.map((s) => [s.speed, s.direction]),
+    sidePushers: board.sidePushers.map((p) => p.speed),
+  });
+}
+
+// In-process checks - each returns null when it passes, or what went wrong
+const CHECKS = [
+  {
+    // Frames that end partway into a tick draw bodies between the last two ticks
+    name: 'frame interpolation',
+    run: function (seed) {
+      Headless.run({ minutes: 0.1, seed: seed });
+      Game.tickAccumulator = 0;
+      Game.advance(Game.tickStep * 2.5);
+
+      const alpha = Game.getFrameAlpha();
+      if (!(alpha > 0.4 && alpha < 0.6)) return `alpha ${alpha} after 2.5 ticks`;
+
+      Physics.syncMeshes(alpha);
+      const moving = Physics.bodies.find((body) => body.mesh && Math.abs(body.y - body.py) > 1e-6);
+      if (!moving) return 'no moving body to check';
+      const expected = moving.py + (moving.y - moving.py) * alpha;
+      return Math.abs(moving.mesh.position.y - expected) < 1e-6 ? null : 'mesh not drawn between ticks';
+    },
+  },
+  {
+    // Continue rebuilds the saved tiers - spinners and side pushers must move as they did
+    name: 'continue board snapshot',
+    run: function (seed) {
+      Headless.run({ minutes: 0.1, seed: seed });
+      // Themes 1 and 2 bring side pushers and a spinner
+      Game.board.expandWithTheme(1);
+      Game.board.expandWithTheme(2);
+
+      const save = JSON.parse(JSON.stringify(Game.getSaveData()));
+      const before = describeBoard();
+      if (!Game.continueRun(save)) return 'continueRun refused the save';
+      const after = describeBoard();
+      Game.clock.reset();
+
+      const difference = firstDifference(before, after);
+      return difference ? `board differs after continue (${difference})` : null;
+    },
+  },
+  {
+    // A save without a board snapshot still rebuilds the tiers it was played on
+    name: 'continue tier rolls',
+    run: function (seed) {
+      Headless.run({ minutes: 0.1, seed: seed });
+      Game.board.expandWithTheme(1);
+      Game.board.expandWithTheme(2);
+
+      const save = JSON.parse(JSON.stringify(Game.getSaveData()));
+      delete save.snapshot;
+      const before = describeTierRolls();
+      if (!Game.continueRun(save)) return 'continueRun refused the save';
+      const after = describeTierRolls();
+      Game.clock.reset();
+
+      return before === after ? null : `tiers rolled ${after}, saved run had ${before}`;
+    },
+  },
+  {
+    // A timer repeating forever at interval 0 would hang advance() - repeat refuses it
+    name: 'zero-interval repeat',
+    run: function () {
+      try {
+        Game.clock.repeat(0, function () {});
+      } catch (e) {
+        return null;
+      }
+      Game.clock.reset();
+      return 'repeat(0) was accepted';
+    },
+  },
+];
+
+const args = parseArgs(process.argv.slice(2));
+let failed = false;
+
+for (const testCase of CASES) {
+  const simArgs = ['--minutes', args.minutes, '--seed', args.seed, ...testCase.args];
+  const first = simulate(simArgs);
+  const second = simulate(simArgs);
+  const difference = firstDifference(first, second);
+  const score = JSON.parse(first).score;
+
+  if (difference) {
+    failed = true;
+    console.error(`FAIL ${testCase.name}: seed ${args.seed} gave two different runs (${difference})`);
+  } else {
+    console.log(`ok   ${testCase.name}: seed ${args.seed} repeats exactly (score ${score})`);
+  }
+}
+
+// Game systems log freely - keep the check output readable
+const log = console.log;
+const warn = console.warn;
+for (const check of CHECKS) {
+  let problem;
+  console.log = function () {};
+  console.warn = function () {};
+  try {
+    problem = check.run(args.seed);
+  } catch (e) {
+    problem = e.stack;
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+
+  if (problem) {
+    failed = true;
+    console.error(`FAIL ${check.name}: ${problem}`);
+  } else {
+    console.log(`ok   ${check.name}`);
+  }
+}
+
+process.exit(failed ? 1 : 0);
@@ -5,6 +5,8 @@
 
 import * as THREE from 'three';
 import Background from '../world/Background.js';
+import GameClock from './GameClock.js';
+import { clamp, getPaceScoreAt } from './Utils.js';
 
 const Game = {
   // Three.js components
@@ -36,6 +38,42 @@ const Game = {
   // Timing
   lastTime: 0,
   deltaTime: 0,
+  animationFrame: null,
+
+  // Fixed logic ticks - the game always advances in whole ticks so a run can be
+  // replayed exactly from its input log (see Replay.js)
+  tickStep: 1 / 60, // seconds
+  tick: 0, // ticks completed this run
+  tickAccumulator: 0,
+
+  // Game-time clock for gameplay timers
+  clock: GameClock,
+
+  // Run length - the run ends when the clock runs out (0 = endless, retire to end)
+  runTime: 0, // seconds played this run (pauses excluded)
+  runTimeLimit: 600, // seconds
+  runTimeWarning: 30, // seconds left when the player is warned
+  runTimeWarned: false,
+
+  // Turn-based drop economy (see Turns.js) - from the settings, applies from the next run
+  turnMode: false,
+
+  // Pace of this run - score sampled every paceInterval seconds of run time, and
+  // the run times tiers were unlocked at. The best run's pace is kept with its
+  // high score and raced as a ghost
+  paceInterval: 5, // seconds
+  paceScores: [],
+  tierTimes: [],
+  ghost: null, // best run's high score entry ({ score, pace }) or null
+  paceShownSecond: -1,
+
+  // Run mode encounter being played (null in Endless mode) - see RunMode.createEncounter
+  encounter: null,
+  endReason: null,
+
+  // Autosave of the run in progress (also saved when the tab is hidden or closed)
+  autosaveInterval: 10, // seconds
+  autosaveTimer: 0,
 
   // Score thresholds for expansion (spaced out for gradual progression)
   // First unlock ~30s, then gradually increasing gaps for meaningful progression
@@ -46,6 +84,9 @@ const Game = {
   // Canvas
   canvas: null,
 
+  // Headless mode (Node simulations) - stub renderer, no canvas, input or game loop
+  headless: false,
+
   // Particle system
   particles: [],
 
@@ -69,9 +110,23 @@ const Game = {
   jackpot: null,
   collectibles: null,
   relics: null,
+  modifiers: null,
+  carriage: null,
+  preview: null,
+  replay: null,
+  runMode: null,
+  deck: null,
+  combat: null,
+  turns: null,
+  shop: null,
   storage: null,
   dailyChallenges: null,
 
+  // Seeded RNG shared by every gameplay system
+  rng: null,
+  seed: "",
+  fixedSeed: null, // Seed forced via ?seed= (reused for every run this session)
+
   // Initialize the game
   init: function (refs = {}) {
     console.log("Initializing Coin Pusher World...");
@@ -87,14 +142,35 @@ const Game = {
     this.coinRain = refs.coinRain;
     this.jackpot = refs.jackpot;
     this.collectibles = refs.collectibles;
-
-    this.canvas = document.getElementById("game-canvas");
+    this.carriage = refs.carriage || null;
+    this.preview = refs.preview || null;
+    this.replay = refs.replay || null;
+    this.runMode = refs.runMode || null;
+    this.deck = refs.deck || null;
+    this.rng = refs.rng;
+    this.fixedSeed = refs.seed || null;
+    this.headless = !!refs.headless;
+
+    // Seed before any system builds the board so the whole run is reproducible
+    this.seedRun();
+    this.clock.reset();
 
     // Create scene
     this.scene = new THREE.Scene();
     // Background handled by Background system, but set strict fog color to match skybox bottom
     this.scene.background = new THREE.Color(0x050510);
 
+    // Headless runs keep the scene graph (systems still build meshes) but never draw it
+    if (this.headless) {
+      this.camera = new THREE.PerspectiveCamera(60, 1, 0.1, 300);
+      this.camera.position.set(0, 14, 22);
+      this.renderer = this.createStubRenderer();
+      console.log("Game initialized (headless)!");
+      return this.scene;
+    }
+
+    this.canvas = document.getElementById("game-canvas");
+
     // Create camera (angled view to see coin stacking and pusher action)
     const aspect = window.innerWidth / window.innerHeight;
     // Adjust FOV for mobile portrait screens (taller screens need wider FOV)
@@ -158,6 +234,9 @@ const Game = {
     // Handle touch/click for dropping coins
     this.setupInputHandlers();
 
+    // Save the run when the player leaves
+    this.setupSaveHandlers();
+
     // Show start screen
     if (this.ui) {
         this.ui.showStartScreen();
@@ -172,24 +251,127 @@ const Game = {
     return this.scene;
   },
 
-  // Setup input handlers
+  // Renderer stand-in for headless runs
+  createStubRenderer: function () {
+    return {
+      render: function () {},
+      setSize: function () {},
+      setPixelRatio: function () {},
+    };
+  },
+
+  // Setup input handlers - every input that changes the run goes through command()
   setupInputHandlers: function () {
-    // Keyboard support
+    // Keyboard support - space drops, arrows move the drop carriage, S toggles sweeping,
+    // E ends the turn in turn mode
     window.addEventListener("keydown", (e) => {
       if (e.code === "Space" && this.isRunning && !this.isPaused) {
-        this.dropCoin();
+        this.command("drop");
+      } else if (e.code === "ArrowLeft" || e.code === "ArrowRight") {
+        const direction = e.code === "ArrowLeft" ? -1 : 1;
+        if (this.carriage && this.carriage.keyDirection !== direction) this.command("steer", direction);
+        e.preventDefault();
+      } else if (e.code === "KeyS" && !e.repeat && this.isRunning) {
+        this.command("sweep");
+      } else if (/^Digit[1-9]$/.test(e.code) && this.deck && this.deck.active) {
+        // Number keys pick a coin from the Run mode hand
+        this.command("hand", Number(e.code.slice(5)) - 1);
+      } else if (/^Digit[1-9]$/.test(e.code) && this.turns && this.turns.active) {
+        // ...or the coin variant in turn mode
+        const variant = this.turns.getVariantIds()[Number(e.code.slice(5)) - 1];
+        if (variant) this.command("variant", variant);
+      } else if (e.code === "KeyE" && !e.repeat && this.turns && this.turns.active) {
+        this.command("endTurn");
       }
     });
+
+    window.addEventListener("keyup", (e) => {
+      if (!this.carriage) return;
+      const direction = e.code === "ArrowLeft" ? -1 : e.code === "ArrowRight" ? 1 : 0;
+      if (direction !== 0 && this.carriage.keyDirection === direction) {
+        this.command("steer", 0);
+      }
+    });
+
+    // Tap or drag across the top of the board to aim
+    let aiming = false;
+    const aim = (e, start) => {
+      if (!this.carriage || !this.isRunning || this.isPaused) return;
+      const point = this.screenToDropPlane(e.clientX, e.clientY);
+      if (!point) return;
+      if (start) aiming = this.carriage.isInAimBand(point.y);
+
+      // Rounded so the replay log stays small and plays back the exact same aim
+      const x = Math.round(point.x * 100) / 100;
+      if (aiming && x !== this.carriage.targetX) this.command("aim", x);
+    };
+
+    this.canvas.addEventListener("pointerdown", (e) => aim(e, true));
+    this.canvas.addEventListener("pointermove", (e) => {
+      if (aiming) aim(e, false);
+    });
+    window.addEventListener("pointerup", () => (aiming = false));
+    window.addEventListener("pointercancel", () => (aiming = false));
   },
 
-  // Start the game
-  start: function () {
-    this.isRunning = true;
+  // Project a screen point onto the plane coins are dropped in
+  screenToDropPlane: function (clientX, clientY) {
+    const zone = this.board ? this.board.getDropZone() : null;
+    if (!zone || !this.camera) return null;
+
+    const rect = this.canvas.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, this.camera);
+
+    const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -zone.z);
+    const point = new THREE.Vector3();
+    return raycaster.ray.intersectPlane(plane, point) ? point : null;
+  },
+
+  // Save the run in progress when the page is hidden or unloaded (mobile browsers
+  // may kill a backgrounded tab without any further events). Storage mirrors the
+  // save to localStorage, since an IndexedDB write may not finish before teardown
+  setupSaveHandlers: function () {
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") this.saveRun();
+    });
+    window.addEventListener("pagehide", () => this.saveRun());
+  },
+
+  // Reset per-run state shared by new and continued runs
+  resetRunState: function () {
     this.isPaused = false;
     this.score = 0;
     this.currentExpansionIndex = 0;
     this.autoDrop = false;
     this.autoDropTimer = 0;
+    this.autosaveTimer = 0;
+    this.runTime = 0;
+    this.runTimeWarned = false;
+    this.endReason = null;
+    this.paceScores = [];
+    this.tierTimes = [];
+    this.paceShownSecond = -1;
+    this.tick = 0;
+    this.tickAccumulator = 0;
+    if (this.carriage) this.carriage.reset();
+    if (this.combo) this.combo.reset();
+
+    // Flags normally cleared by timers of the previous world
+    if (this.jackpot) this.jackpot.isBursting = false;
+    if (this.coinRain) this.coinRain.coinsDropped = 0;
+
+    // Run length and drop economy settings apply from the next run on
+    if (this.storage) {
+      const settings = this.storage.getSettings();
+      this.runTimeLimit = Math.max(0, settings.runLength || 0) * 60;
+      this.turnMode = !!settings.turnMode;
+    }
 
     // Reset session stats
     this.sessionStats = {
@@ -202,13 +384,36 @@ const Game = {
     };
 
     if (this.ui) this.ui.reset();
-    if (this.powerUps) this.powerUps.init();
+    if (this.powerUps) this.powerUps.reset();
+
+    this.pickGhost();
+  },
+
+  // Race the personal best of this run's mode - run length and drop economy
+  // (read before this run can replace it; again whenever a save or replay sets the mode)
+  pickGhost: function () {
+    this.ghost = this.storage ? this.storage.getBestRun(this.getPaceMode()) : null;
+  },
+
+  // Mode this run's pace is recorded and raced in
+  getPaceMode: function () {
+    return { runTimeLimit: this.runTimeLimit, turnMode: !!this.turnMode };
+  },
+
+  // Start the game
+  start: function () {
+    const replaying = this.isReplaying();
+
+    this.resetRunState();
+
+    // A new run replaces any saved one
+    if (this.canPersist()) this.storage.clearGame();
 
     // Give starting coins in queue
     if (this.coins) this.coins.addToQueue(15);
 
     // Claim and apply bonus from completed daily challenges
-    if (this.dailyChallenges) {
+    if (this.dailyChallenges && !replaying) {
       const bonus = this.dailyChallenges.claimBonus();
       if (bonus > 0) {
         // Convert bonus to starting score
@@ -220,20 +425,103 @@ const Game = {
       }
     }
 
-    // Start game loop
+    // A replay starts from the state its run started from
+    if (replaying) this.applyReplayStartState(this.replay.playback.start);
+
+    // Turn mode trades the starting queue for the first turn's energy
+    if (this.turns && this.turnMode) this.turns.start();
+
+    if (this.replay && !replaying) this.replay.startRecording();
+
+    this.beginRun();
+    console.log("Game started!");
+  },
+
+  // Continue a saved run - rebuilds the pyramid from its seed and themes, then restores every system
+  continueRun: function (data) {
+    if (!data || !this.rng) return false;
+
+    // Rebuild the world from the run's own seed so seeded board features match
+    this.seed = this.rng.setSeed(data.seed || this.rng.generateSeed());
+    this.rebuildWorld({ startingCoins: !data.snapshot });
+    this.resetRunState();
+
+    // Each tier is rebuilt from the RNG state it was first built from
+    const themes = data.themes || [];
+    const tierRng = data.tierRng || [];
+    for (let i = 1; i < themes.length; i++) {
+      if (this.board) this.board.expandWithTheme(themes[i], { restoring: true, rngState: tierRng[i] });
+    }
+
+    this.loadSaveData(data);
+
+    // Pick the RNG stream up where the run left off
+    if (data.rng) this.rng.setState(data.rng);
+
+    // The first part of the run wasn't recorded, so a continued run has no replay
+    if (this.replay) this.replay.discardRecording();
+
+    this.beginRun();
+    if (this.ui) this.ui.showMessage("Run restored!");
+    console.log("Run continued! Seed: " + this.seed);
+    return true;
+  },
+
+  // Start the game loop and music for a new or continued run
+  beginRun: function () {
+    this.isRunning = true;
+    if (this.ui) this.ui.updateRunTimer(this.getRunTimeLeft());
+
+    // Start game loop (headless runs are stepped by the caller through runTick)
     this.lastTime = performance.now();
-    this.gameLoop();
+    if (!this.headless) {
+      // A replay restarting mid-playback (seeking back) must not leave a second loop running
+      if (this.animationFrame) cancelAnimationFrame(this.animationFrame);
+      this.gameLoop();
+    }
 
     if (this.sound) this.sound.playMusic();
-    console.log("Game started!");
+  },
+
+  // Save the run in progress
+  saveRun: function () {
+    // Run mode encounters aren't saved - only Endless runs can be continued
+    if (!this.canPersist() || !this.isRunning || this.encounter) return false;
+    return this.storage.saveGame(this.getSaveData());
+  },
+
+  // Pick the seed for the next run and reset the RNG stream
+  seedRun: function () {
+    if (!this.rng) return;
+    this.seed = this.rng.setSeed(this.fixedSeed || this.rng.generateSeed());
+    console.log("Run seed: " + this.seed);
   },
 
   // Restart the game
   restart: function () {
-    // Clean up
+    // New seed before the board is rebuilt
+    this.seedRun();
+    this.rebuildWorld();
+
+    // Start fresh
+    this.start();
+  },
+
+  // Tear down and rebuild the board and coins for a new or continued run
+  // options.startingCoins - false when a saved snapshot will supply the coins
+  rebuildWorld: function (options = {}) {
+    // Timers of the old world never fire into the new one
+    this.clock.reset();
+
+    // Clean up (timed modifiers and turns belong to the old run)
+    if (this.modifiers) this.modifiers.reset();
+    if (this.turns) this.turns.stop();
+    if (this.shop) this.shop.reset();
+    if (this.relics) this.relics.cleanup();
+    if (this.collectibles) this.collectibles.cleanup();
     if (this.coins) this.coins.cleanup();
     if (this.board) this.board.cleanup();
-    if (this.physics) this.physics.init(this.board);
+    if (this.physics) this.physics.init(this.board, this.rng);
 
     // Reinitialize
     if (this.board) {
@@ -242,6 +530,9 @@ const Game = {
         coins: this.coins,
         ui: this.ui,
         game: this,
+        rng: this.rng,
+        relics: this.relics,
+        startingCoins: options.startingCoins,
       });
     }
     if (this.coins) {
@@ -256,11 +547,9 @@ const Game = {
         powerUps: this.powerUps,
         collectibles: this.collectibles,
         game: this,
+        rng: this.rng,
       });
     }
-
-    // Start fresh
-    this.start();
   },
 
   // Pause the game
@@ -276,11 +565,16 @@ const Game = {
 
   // Main game loop
   gameLoop: function () {
-    if (!this.isRunning) return;
+    if (!this.isRunning) {
+      this.animationFrame = null;
+      return;
+    }
 
-    requestAnimationFrame(this.gameLoop.bind(this));
+    this.animationFrame = requestAnimationFrame(this.gameLoop.bind(this));
 
-    if (this.isPaused) return;
+    // Replays step the game themselves (speed, seeking) - and keep drawing while paused
+    const replaying = this.isReplaying();
+    if (this.isPaused && !replaying) return;
 
     // Calculate delta time
     const currentTime = performance.now();
@@ -291,15 +585,234 @@ const Game = {
     this.deltaTime = Math.min(this.deltaTime, 0.1);
 
     // Update game systems
-    this.update(this.deltaTime);
+    if (replaying) {
+      this.replay.update(this.deltaTime);
+    } else {
+      this.advance(this.deltaTime);
+    }
+
+    // Draw bodies between the last two ticks, as far as this frame is into the next one
+    if (this.physics) this.physics.syncMeshes(this.getFrameAlpha());
 
     // Render
     this.render();
   },
 
+  // How far the time not yet ticked is into the next tick (0-1)
+  getFrameAlpha: function () {
+    const pending = this.isReplaying() ? this.replay.accumulator : this.tickAccumulator;
+    return clamp(pending / this.tickStep, 0, 1);
+  },
+
+  // Run as many fixed ticks as the elapsed time covers
+  advance: function (deltaTime) {
+    this.tickAccumulator += deltaTime;
+    while (this.tickAccumulator >= this.tickStep && this.isRunning && !this.isPaused) {
+      this.tickAccumulator -= this.tickStep;
+      this.runTick();
+    }
+  },
+
+  // Run one fixed tick of game logic
+  runTick: function (step = this.tickStep) {
+    this.update(step);
+    this.tick++;
+  },
+
+  // Player input that changes the run - recorded for the replay, then applied.
+  // Input is ignored while a replay is playing (the replay supplies it)
+  command: function (type, value) {
+    if (!this.isRunning || this.isReplaying()) return false;
+
+    // Drops log where the carriage was, for anyone reading the replay
+    if (type === "drop" && value === undefined && this.carriage) {
+      value = Math.round(this.carriage.getDropX() * 100) / 100;
+    }
+
+    if (this.replay) this.replay.record(this.tick, type, value);
+    this.applyCommand(type, value);
+    return true;
+  },
+
+  // Apply a recorded or live input command (between ticks)
+  applyCommand: function (type, value) {
+    switch (type) {
+      case "drop":
+        this.dropCoin();
+        break;
+      case "aim":
+        if (this.carriage) this.carriage.aimAt(value);
+        break;
+      case "steer":
+        if (this.carriage) this.carriage.setKeyDirection(value);
+        break;
+      case "sweep":
+        this.toggleSweep();
+        break;
+      case "autoDrop":
+        this.toggleAutoDrop();
+        break;
+      case "upgrade":
+        if (this.powerUps) this.powerUps.selectUpgrade(value);
+        break;
+      case "board":
+        if (this.ui) this.ui.selectBoard(value);
+        break;
+      case "ability":
+        if (this.powerUps) this.powerUps.activateAbility(value);
+        break;
+      case "inspect": {
+        // Relic click - shows its info
+        const collectible = this.collectibles ? this.collectibles.activeItems[value] : null;
+        if (collectible && this.ui) this.ui.showRelicInfo(collectible.item);
+        break;
+      }
+      case "hand":
+        if (this.deck) this.deck.select(value);
+        break;
+      case "variant":
+        if (this.turns) this.turns.select(value);
+        break;
+      case "endTurn":
+        if (this.turns) this.turns.endTurn();
+        break;
+      case "shop":
+        if (this.shop) this.shop.handle(value);
+        break;
+      case "retire":
+        this.retire();
+        break;
+      default:
+        console.warn("Unknown command:", type);
+    }
+  },
+
+  // Is a replay driving the game?
+  isReplaying: function () {
+    return !!(this.replay && this.replay.isPlaying);
+  },
+
+  // Can this run write to storage? (replays never touch saves, scores or stats)
+  canPersist: function () {
+    return !!this.storage && !this.isReplaying();
+  },
+
+  // State a replay needs besides its seed - things that carry over between runs
+  getReplayStartState: function () {
+    return {
+      runTimeLimit: this.runTimeLimit,
+      turnMode: this.turnMode,
+      score: this.score,
+      jackpot: this.jackpot ? this.jackpot.value : 0,
+      collectibles: this.collectibles ? this.collectibles.getSaveData() : null,
+      sweeping: this.carriage ? this.carriage.sweeping : false,
+    };
+  },
+
+  // Put the start state of a recorded run back
+  applyReplayStartState: function (start) {
+    this.runTimeLimit = start.runTimeLimit;
+    this.turnMode = !!start.turnMode;
+    this.pickGhost();
+    this.score = start.score;
+    if (this.ui) this.ui.updateScore(this.score);
+    if (this.jackpot) this.jackpot.loadSaveData({ value: start.jackpot });
+    if (this.collectibles) this.collectibles.loadSaveData(start.collectibles);
+    if (this.carriage) this.carriage.sweeping = start.sweeping;
+    if (this.ui) this.ui.updateSweepButton(start.sweeping);
+  },
+
+  // Rebuild the recorded run's world from its seed and start playing it
+  startReplay: function (replay) {
+    this.isRunning = false;
+    this.seed = this.rng.setSeed(replay.seed);
+    this.rebuildWorld();
+    this.start();
+  },
+
+  // Leave a replay - build a fresh world for the next run
+  endReplay: function () {
+    this.resetToMenu();
+    if (this.carriage && this.storage) this.carriage.sweeping = this.storage.getSettings().dropSweep;
+    if (this.ui && this.carriage) this.ui.updateSweepButton(this.carriage.sweeping);
+  },
+
+  // Stop whatever is playing and build a fresh world behind the start screen
+  resetToMenu: function () {
+    this.isRunning = false;
+    this.isPaused = false;
+    this.encounter = null;
+    if (this.deck) this.deck.stop();
+    if (this.combat) this.combat.stop();
+    if (this.sound) this.sound.stopMusic();
+    this.seedRun();
+    this.rebuildWorld();
+    if (this.ui) this.ui.reset();
+  },
+
+  // Play a Run mode encounter - a fight on a fresh board from the encounter's seed
+  // with the run's boards, upgrades, relics and coin deck
+  startEncounter: function (encounter) {
+    this.isRunning = false;
+    this.encounter = encounter;
+
+    // Encounters aren't recorded - a replay is always one whole Endless run
+    if (this.replay) this.replay.discardRecording();
+
+    this.seed = this.rng.setSeed(encounter.seed);
+    this.rebuildWorld();
+    this.resetRunState();
+    this.ghost = null;
+
+    for (const theme of encounter.boards) {
+      if (this.board) this.board.expandWithTheme(theme, { restoring: true });
+    }
+    if (this.board) {
+      this.currentExpansionIndex = Math.min(this.board.currentTierCount - 1, this.expansionThresholds.length);
+    }
+
+    if (encounter.powerUps && this.powerUps) this.powerUps.loadSaveData(encounter.powerUps);
+    if (encounter.relics && this.relics) this.relics.loadSaveData(encounter.relics);
+
+    // Fights are turn by turn - no clock
+    this.runTimeLimit = 0;
+    if (this.coins) this.coins.addToQueue(encounter.coins);
+    if (this.deck && encounter.deck) this.deck.start(encounter.deck);
+    if (this.combat) this.combat.start(encounter.enemy, encounter.enemyHp);
+
+    if (this.ui && this.combat && this.combat.enemy) {
+      const enemy = this.combat.enemy.def;
+      this.ui.showMessage(`${encounter.name}: ${enemy.icon} ${enemy.name}!`);
+    }
+    this.beginRun();
+  },
+
+  // Encounter over - hand the result to the run (Game.gameOver routes here during encounters)
+  finishEncounter: function (won) {
+    if (!this.isRunning || !this.encounter) return;
+
+    const encounter = this.encounter;
+    this.isRunning = false;
+    this.isPaused = false;
+    this.autoDrop = false;
+    this.encounter = null;
+    if (this.deck) this.deck.stop();
+    if (this.combat) this.combat.stop();
+
+    if (this.sound) {
+      this.sound.stopMusic();
+      this.sound.play(won ? "win" : "hit");
+    }
+    if (this.ui) this.ui.updateAutoDropButton(false);
+
+    if (this.runMode) {
+      this.runMode.completeEncounter({ encounter: encounter, won: won, score: this.score });
+    }
+  },
+
   // Update game logic
   update: function (deltaTime) {
-    // Update physics
+    // Update physics (advances in fixed steps internally, pushers included)
     if (this.physics) this.physics.update(deltaTime);
 
     // Update background
@@ -326,8 +839,18 @@ const Game = {
     // Update power-up cooldowns
     if (this.powerUps) this.powerUps.updateCooldowns(deltaTime);
 
-    // Update auto-drop
-    if (this.autoDrop && this.coins && this.coins.coinQueue > 0) {
+    // Count down timed modifiers
+    if (this.modifiers) this.modifiers.update(deltaTime);
+
+    // Move the drop carriage and refresh its trajectory preview
+    if (this.carriage) this.carriage.update(deltaTime);
+    if (this.preview) this.preview.update();
+
+    // Update auto-drop (in turn mode it ends the turn once the selected coin is out of reach)
+    if (this.autoDrop && this.turns && this.turns.phase === "player" && !this.turns.canAfford()) {
+      this.turns.endTurn();
+    }
+    if (this.autoDrop && this.coins && this.coins.coinQueue > 0 && (!this.turns || this.turns.canAfford())) {
       this.autoDropTimer += deltaTime;
       if (this.autoDropTimer >= this.autoDropInterval) {
         this.autoDropTimer = 0;
@@ -344,8 +867,95 @@ const Game = {
     // Update UI
     if (this.ui) this.ui.update(deltaTime);
 
-    // Check for expansion
-    this.checkExpansion();
+    // Check for expansion (Run mode encounters get their boards from the map instead
+    // and run the fight's turns)
+    if (this.encounter) {
+      if (this.combat) this.combat.update(deltaTime);
+    } else {
+      if (this.turns) this.turns.update(deltaTime);
+      this.checkExpansion();
+    }
+
+    // Check the run clock
+    this.updateRunTime(deltaTime);
+
+    // Autosave
+    this.autosaveTimer += deltaTime;
+    if (this.autosaveTimer >= this.autosaveInterval) {
+      this.autosaveTimer = 0;
+      this.saveRun();
+    }
+
+    // Fire gameplay timers due this tick (staggered drops, coin rain, ability effects)
+    this.clock.advance(deltaTime * 1000);
+  },
+
+  // Advance the run clock and end the run when it runs out
+  updateRunTime: function (deltaTime) {
+    if (!this.isRunning) return;
+
+    this.runTime += deltaTime;
+    this.recordPace();
+
+    const timeLeft = this.getRunTimeLeft();
+    if (this.ui) this.ui.updateRunTimer(timeLeft);
+
+    if (timeLeft === null) return;
+
+    if (!this.runTimeWarned && timeLeft <= this.runTimeWarning) {
+      this.runTimeWarned = true;
+      if (this.ui) this.ui.showMessage(`⏱️ ${this.runTimeWarning} seconds left!`);
+    }
+
+    if (timeLeft <= 0) this.gameOver("timeUp");
+  },
+
+  // Sample the score for the pace curve and refresh the ghost pace readout
+  recordPace: function () {
+    while (this.paceScores.length * this.paceInterval <= this.runTime) {
+      this.paceScores.push(this.score);
+    }
+
+    // Once a second is plenty for the readout
+    const second = Math.floor(this.runTime);
+    if (!this.ui || second === this.paceShownSecond) return;
+    this.paceShownSecond = second;
+
+    if (this.ghost) {
+      this.ui.updateGhostPace(this.score - this.getGhostScoreAt(this.runTime), this.runTime);
+    } else {
+      this.ui.updateGhostPace(null);
+    }
+  },
+
+  // This run's pace so far ({ interval, scores, tierTimes, duration, runTimeLimit, turnMode })
+  getPace: function () {
+    return {
+      ...this.getPaceMode(),
+      interval: this.paceInterval,
+      scores: [...this.paceScores],
+      tierTimes: [...this.tierTimes],
+      duration: Math.round(this.runTime * 10) / 10,
+    };
+  },
+
+  // Best run's score at a run time - interpolated between samples, final score once it had ended
+  getGhostScoreAt: function (seconds) {
+    return getPaceScoreAt(this.ghost.pace, this.ghost.score, seconds);
+  },
+
+  // Seconds left in the run (null for endless runs)
+  getRunTimeLeft: function () {
+    if (!this.runTimeLimit) return null;
+    return Math.max(0, this.runTimeLimit - this.runTime);
+  },
+
+  // Player chose to end the run early
+  retire: function () {
+    if (!this.isRunning) return;
+
+    // Fleeing a fight counts as losing it (see gameOver)
+    this.gameOver("retired");
   },
 
   // Trigger screen shake
@@ -472,16 +1082,29 @@ const Game = {
   dropCoin: function () {
     if (!this.isRunning || this.isPaused) return;
 
-    const dropCount = this.powerUps ? this.powerUps.getMultiDropCount() : 1;
+    // Run mode fights - each drop spends a turn's energy
+    if (this.combat && !this.combat.spendEnergy()) return;
 
-    for (let i = 0; i < dropCount; i++) {
-      setTimeout(() => {
-        if (this.coins && this.coins.dropCoin()) {
-          this.sessionStats.coinsDropped++;
-        }
-        if (this.sound) this.sound.play("drop");
-      }, i * 80);
-    }
+    // Turn mode - the picked coin is paid for up front
+    const turnDrop = this.turns && this.turns.active ? this.turns.takeDrop() : null;
+    if (this.turns && this.turns.active && !turnDrop) return;
+
+    const dropCount = this.powerUps ? this.powerUps.getMultiDropCount() : 1;
+    const extraCoins = this.modifiers ? Math.floor(this.modifiers.get("extraCoin")) : 0;
+
+    // Multi-drops go out one after another on the game clock
+    this.clock.repeat(0.08, () => {
+      // Release at the carriage's position at the moment each coin goes
+      const x = this.carriage ? this.carriage.getDropX() : null;
+      const variant = turnDrop ? turnDrop.variant : null;
+      if (this.coins && this.coins.dropCoin(x, variant, turnDrop ? 0 : 1)) {
+        this.sessionStats.coinsDropped++;
+
+        // Relic extra coins ride along for free
+        for (let j = 0; j < extraCoins; j++) this.coins.dropFreeCoin(x);
+      }
+      if (this.sound) this.sound.play("drop");
+    }, dropCount);
   },
 
   // Add score
@@ -507,6 +1130,7 @@ const Game = {
 
     if (this.score >= this.expansionThresholds[this.currentExpansionIndex]) {
       this.currentExpansionIndex++;
+      this.tierTimes.push(Math.round(this.runTime * 10) / 10);
       if (this.board) this.board.expandPyramid();
       if (this.sound) this.sound.play("levelup");
     }
@@ -540,29 +1164,41 @@ const Game = {
     return this.expansionThresholds[this.currentExpansionIndex];
   },
 
-  // Game over
-  gameOver: function () {
+  // Game over - reason is "timeUp" or "retired"
+  gameOver: function (reason = null) {
+    if (!this.isRunning) return;
+
+    // Run mode encounters hand their result back to the run instead
+    if (this.encounter) {
+      this.finishEncounter(reason === "victory");
+      return;
+    }
+
     this.isRunning = false;
+    this.isPaused = false;
     this.autoDrop = false;
+    this.endReason = reason;
 
-    const tier = this.board ? this.board.currentTierCount : 1;
+    const completeSessionStats = this.getSessionSummary();
+    const tier = completeSessionStats.tier;
 
-    // Update session stats with final values
-    if (this.combo) {
-      this.sessionStats.bestCombo = this.combo.bestCombo || 0;
+    // A replay reached its end - nothing is saved
+    if (this.isReplaying()) {
+      if (this.sound) this.sound.stopMusic();
+      this.replay.onRunEnded(completeSessionStats);
+      return;
     }
 
-    // Build complete session stats
-    const completeSessionStats = {
-      ...this.sessionStats,
-      score: this.score,
-      tier: tier,
-    };
+    // Keep the run's input log for watching and sharing
+    if (this.replay) this.replay.finishRecording(completeSessionStats);
+
+    // The run is over - nothing left to continue
+    if (this.storage) this.storage.clearGame();
 
     // Save high score
     let highScoreResult = null;
     if (this.storage && this.score > 0) {
-      highScoreResult = this.storage.addHighScore(this.score, tier);
+      highScoreResult = this.storage.addHighScore(this.score, tier, null, completeSessionStats.pace);
       // Update lifetime stats
       this.storage.updateLifetimeStats(completeSessionStats);
     }
@@ -576,6 +1212,23 @@ const Game = {
     if (this.sound) this.sound.stopMusic();
   },
 
+  // Session stats with final values (score, tier, seed)
+  getSessionSummary: function () {
+    if (this.combo) {
+      this.sessionStats.bestCombo = this.combo.bestCombo || 0;
+    }
+
+    return {
+      ...this.sessionStats,
+      score: this.score,
+      tier: this.board ? this.board.currentTierCount : 1,
+      seed: this.seed,
+      runTime: Math.floor(this.runTime),
+      endReason: this.endReason,
+      pace: this.getPace(),
+    };
+  },
+
   // Toggle auto-drop feature
   toggleAutoDrop: function () {
     this.autoDrop = !this.autoDrop;
@@ -584,26 +1237,96 @@ const Game = {
     return this.autoDrop;
   },
 
+  // Toggle the drop carriage's sweeping mode (remembered in settings)
+  toggleSweep: function () {
+    if (!this.carriage) return false;
+    const sweeping = this.carriage.toggleSweep();
+    if (this.canPersist()) this.storage.updateSetting("dropSweep", sweeping);
+    if (this.ui) this.ui.updateSweepButton(sweeping);
+    return sweeping;
+  },
+
   // Get save data
   getSaveData: function () {
     return {
+      seed: this.seed,
+      rng: this.rng ? this.rng.getState() : null,
       score: this.score,
       expansionIndex: this.currentExpansionIndex,
+      themes: this.board ? [...this.board.usedThemeIndices] : [0],
+      tierRng: this.board ? [...this.board.tierRngStates] : [],
+      runTime: this.runTime,
+      runTimeLimit: this.runTimeLimit,
+      turnMode: this.turnMode,
+      sessionStats: { ...this.sessionStats },
+      pace: this.getPace(),
       powerUps: this.powerUps ? this.powerUps.getSaveData() : null,
+      relics: this.relics ? this.relics.getSaveData() : null,
+      collectibles: this.collectibles ? this.collectibles.getSaveData() : null,
+      jackpot: this.jackpot ? this.jackpot.getSaveData() : null,
+      coins: this.coins ? this.coins.getSaveData() : null,
+      modifiers: this.modifiers ? this.modifiers.getSaveData() : null,
+      turns: this.turns ? this.turns.getSaveData() : null,
+      shop: this.shop ? this.shop.getSaveData() : null,
+      snapshot: this.getBoardSnapshot(),
     };
   },
 
-  // Load save data
+  // Snapshot of the physical board - moving parts and every coin body
+  getBoardSnapshot: function () {
+    return {
+      board: this.board ? this.board.getSnapshot() : null,
+      coins: this.coins ? this.coins.getSnapshot() : [],
+    };
+  },
+
+  // Rehydrate the physical board from getBoardSnapshot()
+  loadBoardSnapshot: function (snapshot) {
+    if (!snapshot) return;
+    if (this.board) this.board.restoreSnapshot(snapshot.board);
+    if (this.coins) this.coins.restoreSnapshot(snapshot.coins);
+  },
+
+  // Load save data (the board must already be rebuilt with the saved themes)
   loadSaveData: function (data) {
     if (!data) return;
 
     this.score = data.score || 0;
-    this.currentExpansionIndex = data.expansionIndex || 0;
     if (this.ui) this.ui.updateScore(this.score);
 
+    // A save taken while a board was being picked has the threshold counted but
+    // not the tier - step back so the expansion is offered again
+    const tiersBuilt = this.board ? this.board.currentTierCount : 1;
+    this.currentExpansionIndex = Math.min(data.expansionIndex || 0, tiersBuilt - 1);
+
+    this.runTime = data.runTime || 0;
+    if (data.runTimeLimit !== undefined) this.runTimeLimit = data.runTimeLimit;
+    this.turnMode = !!data.turnMode;
+    this.pickGhost();
+    this.runTimeWarned = this.runTimeLimit > 0 && this.getRunTimeLeft() <= this.runTimeWarning;
+    if (data.sessionStats) this.sessionStats = { ...this.sessionStats, ...data.sessionStats };
+    if (data.pace) {
+      this.paceScores = [...(data.pace.scores || [])];
+      this.tierTimes = [...(data.pace.tierTimes || [])];
+    }
+
     if (data.powerUps && this.powerUps) {
       this.powerUps.loadSaveData(data.powerUps);
     }
+    if (data.relics && this.relics) this.relics.loadSaveData(data.relics);
+    if (data.collectibles && this.collectibles) this.collectibles.loadSaveData(data.collectibles);
+    if (data.jackpot && this.jackpot) this.jackpot.loadSaveData(data.jackpot);
+
+    // Timed modifiers after the power-ups and relics that register the permanent ones
+    if (data.modifiers && this.modifiers) this.modifiers.loadSaveData(data.modifiers);
+    if (data.turns && this.turns) this.turns.loadSaveData(data.turns);
+    if (data.shop && this.shop) this.shop.loadSaveData(data.shop);
+
+    // Queue last - its cap depends on the queue capacity upgrade
+    if (data.coins && this.coins) this.coins.loadSaveData(data.coins);
+
+    // Coins and pushers exactly where they were left
+    if (data.snapshot) this.loadBoardSnapshot(data.snapshot);
   },
 };
 
@@ -0,0 +1,79 @@
+/**
+ * Game Clock for Coin Pusher World
+ * Gameplay timers follow game time instead of the wall clock. Game.update advances
+ * the clock each tick, so staggered drops, coin rain and ability timers stop while
+ * the game is paused or a board is being picked, follow playback speed, and fire
+ * on the same ticks in replays and headless sims. A new world cancels every timer.
+ *
+ * Gameplay code schedules with after() / repeat() / cancel() (game seconds) and
+ * reads game time from time. The global setTimeout and performance.now stay wall
+ * clock - use them only for presentation (message popups, frame timing).
+ */
+
+const GameClock = {
+  time: 0, // ms of game time since the world was built
+  timers: [],
+  nextId: 1,
+
+  // Start over at zero with no pending timers (new world)
+  reset: function () {
+    this.time = 0;
+    this.timers = [];
+  },
+
+  // Run a callback once after a delay in game seconds - returns an id for cancel()
+  after: function (seconds, callback) {
+    return this.addTimer(seconds * 1000, 0, 1, callback);
+  },
+
+  // Run a callback count times (forever when omitted): the first on the next tick,
+  // then every interval game seconds. It gets the run index; returns an id for cancel()
+  // (a timer repeating forever needs a positive interval, or advance() would never return)
+  repeat: function (interval, callback, count = Infinity) {
+    if (count <= 0) return 0;
+    if (!(interval > 0) && count === Infinity) {
+      throw new Error(`GameClock.repeat needs a positive interval to repeat forever (got ${interval})`);
+    }
+    return this.addTimer(0, interval * 1000, count, callback);
+  },
+
+  // Cancel a pending timer
+  cancel: function (id) {
+    this.timers = this.timers.filter((timer) => timer.id !== id);
+  },
+
+  // Queue a timer (ms of game time)
+  addTimer: function (delay, interval, count, callback) {
+    const id = this.nextId++;
+    this.timers.push({ id, time: this.time + Math.max(0, delay), interval, runsLeft: count, runs: 0, callback });
+    return id;
+  },
+
+  // Move game time forward, firing due timers in order
+  advance: function (ms) {
+    const target = this.time + ms;
+
+    for (;;) {
+      let next = null;
+      for (const timer of this.timers) {
+        if (timer.time <= target && (!next || timer.time < next.time)) {
+          next = timer;
+        }
+      }
+      if (!next) break;
+
+      // Repeating timers go back in line before they run, so their callback can cancel them
+      this.timers.splice(this.timers.indexOf(next), 1);
+      this.time = Math.max(this.time, next.time);
+      if (--next.runsLeft > 0) {
+        next.time += next.interval;
+        this.timers.push(next);
+      }
+      next.callback(next.runs++);
+    }
+
+    this.time = target;
+  },
+};
+
+export default GameClock;
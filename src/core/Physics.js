@@ -3,7 +3,8 @@
  * Features: Rotation physics, realistic coin settling, optimized collisions
  */
 
-import { clamp } from './Utils.js';
+import { clamp, lerp } from './Utils.js';
+import Random from './Random.js';
 
 const Physics = {
   // Physics constants
@@ -13,6 +14,29 @@ const Physics = {
   angularDamping: 0.88, // Increased damping to stop spinning faster
   linearDamping: 0.96, // Increased damping to slow coins faster
 
+  // Fixed timestep - the simulation always advances in identical steps
+  // regardless of frame rate, so 30fps phones and 144fps desktops behave the same
+  fixedStep: 1 / 60,
+  maxSubSteps: 8, // Cap per frame so a long hitch can't spiral
+  accumulator: 0,
+  stepCount: 0,
+
+  // Broadphase - uniform spatial hash rebuilt every step so collision checks
+  // only consider nearby candidates instead of every pair
+  cellSize: 2, // Must be >= the largest dynamic body diameter
+  staticMargin: 1, // Must be >= the largest dynamic body radius
+  maxStaticCells: 256, // Statics spanning more cells (containment walls) are tested against every body
+  bodyGrid: new Map(),
+  staticGrid: new Map(),
+  unboundedStatics: [],
+
+  // Collision stats for the last rendered frame (see getStats)
+  stats: {
+    steps: 0,
+    bodyPairTests: 0,
+    staticPairTests: 0,
+  },
+
   // All physics bodies
   bodies: [],
 
@@ -25,12 +49,30 @@ const Physics = {
   // Board reference (set during init)
   board: null,
 
+  // Seeded run RNG (set during init - the shared Random stream unless another is given)
+  rng: Random,
+
+  // Overrides the run RNG for jitter while a probe is simulated (see simulateProbe)
+  jitterSource: null,
+
   // Initialize physics
-  init: function (board = null) {
+  init: function (board = null, rng = Random) {
     this.bodies = [];
     this.staticBodies = [];
     this.pusherVelocities = {};
     this.board = board;
+    this.rng = rng || Random;
+    this.accumulator = 0;
+    this.stepCount = 0;
+    this.bodyGrid = new Map();
+    this.staticGrid = new Map();
+    this.unboundedStatics = [];
+    this.stats = { steps: 0, bodyPairTests: 0, staticPairTests: 0 };
+  },
+
+  // Random offset in [-0.5, 0.5) drawn from the run RNG
+  jitter: function () {
+    return (this.jitterSource || this.rng).next() - 0.5;
   },
 
   // Create a dynamic body (coins)
@@ -60,6 +102,10 @@ const Physics = {
       ry: options.ry || 0,
       rz: options.rz || 0,
 
+      // State at the start of the current step (for interpolated rendering)
+      px: 0, py: 0, pz: 0,
+      prx: 0, pry: 0, prz: 0,
+
       // Dimensions
       radius: options.radius || 0.5,
       height: options.height || 0.1,
@@ -74,6 +120,7 @@ const Physics = {
         options.restitution !== undefined
           ? options.restitution
           : this.restitution,
+      stickiness: options.stickiness || 0, // 0-1, drags touching bodies along with it
 
       // State
       isStatic: options.isStatic || false,
@@ -91,6 +138,11 @@ const Physics = {
       data: options.data || {},
     };
 
+    this.resetInterpolation(body);
+
+    // Detached bodies (trajectory probes) are never part of the world
+    if (options.detached) return body;
+
     if (body.isStatic) {
       this.staticBodies.push(body);
     } else {
@@ -112,84 +164,93 @@ const Physics = {
     }
   },
 
-  // Update physics simulation
-  update: function (deltaTime) {
-    const dt = Math.min(deltaTime, 0.033);
+  // Snap a body's previous state to its current state (after spawning or teleporting)
+  resetInterpolation: function (body) {
+    body.px = body.x;
+    body.py = body.y;
+    body.pz = body.z;
+    body.prx = body.rx;
+    body.pry = body.ry;
+    body.prz = body.rz;
+  },
 
-    // Get scoring threshold for nudge calculation
-    const scoringY = this.board?.scoringY ?? -15;
+  // Snapshot a dynamic body's motion state (for saves)
+  getBodyState: function (body) {
+    return {
+      x: body.x, y: body.y, z: body.z,
+      rx: body.rx, ry: body.ry, rz: body.rz,
+      vx: body.vx, vy: body.vy, vz: body.vz,
+      ax: body.ax, ay: body.ay, az: body.az,
+      sleeping: body.isSleeping,
+      sleepCounter: body.sleepCounter,
+    };
+  },
 
-    // Apply gravity and update velocities
-    for (let i = 0; i < this.bodies.length; i++) {
-      const body = this.bodies[i];
+  // Restore a body from getBodyState() and snap its mesh there
+  setBodyState: function (body, state) {
+    if (!body || !state) return;
 
-      if (body.isSleeping) continue;
+    const keys = ["x", "y", "z", "rx", "ry", "rz", "vx", "vy", "vz", "ax", "ay", "az"];
+    for (const key of keys) {
+      if (typeof state[key] === "number") body[key] = state[key];
+    }
+    body.isSleeping = !!state.sleeping;
+    body.sleepCounter = state.sleepCounter || 0;
 
-      // Apply gravity
-      body.vy += this.gravity * dt;
+    this.resetInterpolation(body);
+    if (body.mesh) {
+      body.mesh.position.set(body.x, body.y, body.z);
+      body.mesh.rotation.set(body.rx, body.ry, body.rz);
+    }
+  },
 
-      // Apply friction to horizontal movement
-      body.vx *= 1 - body.friction * dt;
-      body.vz *= 1 - body.friction * dt;
+  // Advance the simulation in fixed steps (Game calls this once per tick with one
+  // fixedStep, then syncs the meshes per rendered frame - see Game.getFrameAlpha)
+  update: function (deltaTime) {
+    this.accumulator += deltaTime;
+    this.stats.steps = 0;
+    this.stats.bodyPairTests = 0;
+    this.stats.staticPairTests = 0;
+
+    let steps = 0;
+    while (this.accumulator >= this.fixedStep && steps < this.maxSubSteps) {
+      this.step(this.fixedStep);
+      this.accumulator -= this.fixedStep;
+      steps++;
+    }
 
-      // Only apply a very gentle forward nudge when coins are on the edge and need to fall
-      // Don't push coins that are resting on flat surfaces
-      const horizontalSpeed = Math.sqrt(body.vx * body.vx + body.vz * body.vz);
-      const isNearlyStationary = horizontalSpeed < 0.1 && Math.abs(body.vy) < 0.1;
+    // Drop any backlog we couldn't catch up on rather than running slow-motion forever
+    if (steps >= this.maxSubSteps) {
+      this.accumulator = Math.min(this.accumulator, this.fixedStep);
+    }
+  },
 
-      // Skip nudging stationary coins - they should stay still on flat surfaces
-      if (isNearlyStationary) {
-        // Do nothing - let coins rest naturally
-      }
+  // Run one fixed simulation step
+  step: function (dt) {
+    this.stepCount++;
+    this.stats.steps++;
 
-      // Apply linear damping - more aggressive for slow-moving coins to help them settle
-      const speed = Math.sqrt(body.vx * body.vx + body.vy * body.vy + body.vz * body.vz);
-      if (speed < 2.0) {
-        // Apply stronger damping for very slow coins to help them stop
-        const dampFactor = speed < 0.2 ? 0.90 : (speed < 0.5 ? 0.95 : this.linearDamping);
-        body.vx *= dampFactor;
-        body.vz *= dampFactor;
-
-        // Clamp very small velocities to zero to prevent endless micro-movement
-        if (Math.abs(body.vx) < 0.02) body.vx = 0;
-        if (Math.abs(body.vz) < 0.02) body.vz = 0;
-      }
+    // Remember where everything was so rendering can interpolate
+    for (let i = 0; i < this.bodies.length; i++) {
+      this.resetInterpolation(this.bodies[i]);
+    }
+    for (let i = 0; i < this.staticBodies.length; i++) {
+      if (this.staticBodies[i].mesh) this.resetInterpolation(this.staticBodies[i]);
+    }
 
-      // Apply angular damping - more aggressive for slow-spinning coins
-      const angularSpeed = Math.sqrt(body.ax * body.ax + body.ay * body.ay + body.az * body.az);
-      const angularDamp = angularSpeed < 0.3 ? 0.85 : this.angularDamping;
-      body.ax *= angularDamp;
-      body.ay *= angularDamp;
-      body.az *= angularDamp;
-
-      // Clamp very small angular velocities to zero
-      if (Math.abs(body.ax) < 0.01) body.ax = 0;
-      if (Math.abs(body.ay) < 0.01) body.ay = 0;
-      if (Math.abs(body.az) < 0.01) body.az = 0;
-
-      // Update position
-      body.x += body.vx * dt;
-      body.y += body.vy * dt;
-      body.z += body.vz * dt;
-
-      // Update rotation
-      body.rx += body.ax * dt;
-      body.ry += body.ay * dt;
-      body.rz += body.az * dt;
-
-      // Normalize rotation to help coins settle flat
-      if (Math.abs(body.vx) < 0.5 && Math.abs(body.vz) < 0.5 && Math.abs(body.vy) < 1) {
-        body.rx *= 0.92;
-        body.rz *= 0.92;
-      }
+    // Move kinematic board parts (pushers, coin movers) in lockstep with the simulation
+    if (this.board && this.board.fixedUpdate) this.board.fixedUpdate(dt);
+
+    // Apply gravity and update velocities
+    for (let i = 0; i < this.bodies.length; i++) {
+      const body = this.bodies[i];
+      if (body.isSleeping) continue;
+      this.integrateBody(body, dt);
     }
 
     // Check collisions
     this.resolveCollisions();
 
-    // Update mesh positions
-    this.syncMeshes();
-
     // Check for fallen coins
     this.checkFallenBodies();
 
@@ -197,22 +258,273 @@ const Physics = {
     this.updateSleep();
   },
 
+  // Apply gravity, friction and damping to one body and move it
+  integrateBody: function (body, dt) {
+    // Apply gravity
+    body.vy += this.gravity * dt;
+
+    // Apply friction to horizontal movement
+    body.vx *= 1 - body.friction * dt;
+    body.vz *= 1 - body.friction * dt;
+
+    // Only apply a very gentle forward nudge when coins are on the edge and need to fall
+    // Don't push coins that are resting on flat surfaces
+    const horizontalSpeed = Math.sqrt(body.vx * body.vx + body.vz * body.vz);
+    const isNearlyStationary = horizontalSpeed < 0.1 && Math.abs(body.vy) < 0.1;
+
+    // Skip nudging stationary coins - they should stay still on flat surfaces
+    if (isNearlyStationary) {
+      // Do nothing - let coins rest naturally
+    }
+
+    // Apply linear damping - more aggressive for slow-moving coins to help them settle
+    const speed = Math.sqrt(body.vx * body.vx + body.vy * body.vy + body.vz * body.vz);
+    if (speed < 2.0) {
+      // Apply stronger damping for very slow coins to help them stop
+      const dampFactor = speed < 0.2 ? 0.90 : (speed < 0.5 ? 0.95 : this.linearDamping);
+      body.vx *= dampFactor;
+      body.vz *= dampFactor;
+
+      // Clamp very small velocities to zero to prevent endless micro-movement
+      if (Math.abs(body.vx) < 0.02) body.vx = 0;
+      if (Math.abs(body.vz) < 0.02) body.vz = 0;
+    }
+
+    // Apply angular damping - more aggressive for slow-spinning coins
+    const angularSpeed = Math.sqrt(body.ax * body.ax + body.ay * body.ay + body.az * body.az);
+    const angularDamp = angularSpeed < 0.3 ? 0.85 : this.angularDamping;
+    body.ax *= angularDamp;
+    body.ay *= angularDamp;
+    body.az *= angularDamp;
+
+    // Clamp very small angular velocities to zero
+    if (Math.abs(body.ax) < 0.01) body.ax = 0;
+    if (Math.abs(body.ay) < 0.01) body.ay = 0;
+    if (Math.abs(body.az) < 0.01) body.az = 0;
+
+    // Update position
+    body.x += body.vx * dt;
+    body.y += body.vy * dt;
+    body.z += body.vz * dt;
+
+    // Update rotation
+    body.rx += body.ax * dt;
+    body.ry += body.ay * dt;
+    body.rz += body.az * dt;
+
+    // Normalize rotation to help coins settle flat
+    if (Math.abs(body.vx) < 0.5 && Math.abs(body.vz) < 0.5 && Math.abs(body.vy) < 1) {
+      body.rx *= 0.92;
+      body.rz *= 0.92;
+    }
+  },
+
+  // Fly a throwaway body through the static geometry (pegs, walls, shelves)
+  // without touching the world. Same integration and static collision rules as
+  // step(), but jitter is held at zero so the run RNG is never drawn from.
+  // options: body (createBody options), duration (seconds), stopY, sampleEvery (steps)
+  // Returns { points: [{x, y, z}], landed, x, y, z }
+  simulateProbe: function (options = {}) {
+    const dt = this.fixedStep;
+    const maxSteps = Math.ceil((options.duration || 2) / dt);
+    const sampleEvery = options.sampleEvery || 3;
+    const stopY = options.stopY !== undefined ? options.stopY : -Infinity;
+
+    const probe = this.createBody({ ...options.body, detached: true });
+    const points = [{ x: probe.x, y: probe.y, z: probe.z }];
+    let landed = false;
+
+    const savedJitter = this.jitterSource;
+    this.jitterSource = { next: () => 0.5 };
+
+    // Statics as they stand now, looked up by cell like step() does
+    // (the next step rebuilds the grid anyway)
+    this.buildStaticGrid();
+    const cs = this.cellSize;
+
+    try {
+      for (let i = 1; i <= maxSteps; i++) {
+        this.integrateBody(probe, dt);
+
+        for (let j = 0; j < this.unboundedStatics.length; j++) {
+          this.resolveCollision(probe, this.unboundedStatics[j]);
+        }
+        const cell = this.staticGrid.get(
+          this.cellKey(Math.floor(probe.x / cs), Math.floor(probe.y / cs), Math.floor(probe.z / cs))
+        );
+        if (cell) {
+          for (let j = 0; j < cell.length; j++) {
+            this.resolveCollision(probe, cell[j]);
+          }
+        }
+
+        if (probe.y <= stopY) {
+          landed = true;
+          points.push({ x: probe.x, y: probe.y, z: probe.z });
+          break;
+        }
+        if (i % sampleEvery === 0) points.push({ x: probe.x, y: probe.y, z: probe.z });
+      }
+    } finally {
+      this.jitterSource = savedJitter;
+    }
+
+    return { points: points, landed: landed, x: probe.x, y: probe.y, z: probe.z };
+  },
+
+  // Hash key for a grid cell (exact for +/-512 cells on each axis)
+  cellKey: function (ix, iy, iz) {
+    return ((ix + 512) * 1024 + (iy + 512)) * 1024 + (iz + 512);
+  },
+
+  // Add a body to a grid cell
+  insertIntoCell: function (grid, key, body) {
+    let cell = grid.get(key);
+    if (!cell) {
+      cell = [];
+      grid.set(key, cell);
+    }
+    cell.push(body);
+  },
+
+  // Empty every cell but keep the arrays around to avoid per-step allocations
+  clearGrid: function (grid) {
+    for (const cell of grid.values()) {
+      cell.length = 0;
+    }
+  },
+
+  // Axis-aligned bounds of a static body, or null if it never collides (planes are unbounded)
+  getStaticBounds: function (staticBody) {
+    if (staticBody.shape === "box") {
+      return {
+        minX: staticBody.x - staticBody.width / 2,
+        maxX: staticBody.x + staticBody.width / 2,
+        minY: staticBody.y - staticBody.height / 2,
+        maxY: staticBody.y + staticBody.height / 2,
+        minZ: staticBody.z - staticBody.depth / 2,
+        maxZ: staticBody.z + staticBody.depth / 2,
+      };
+    }
+    if (staticBody.shape === "sphere" || staticBody.shape === "peg") {
+      const r = staticBody.radius;
+      return {
+        minX: staticBody.x - r, maxX: staticBody.x + r,
+        minY: staticBody.y - r, maxY: staticBody.y + r,
+        minZ: staticBody.z - r, maxZ: staticBody.z + r,
+      };
+    }
+    return null;
+  },
+
+  // Rebuild the spatial hash for this step
+  buildBroadphase: function () {
+    const cs = this.cellSize;
+
+    // Dynamic bodies go in the single cell holding their center
+    this.clearGrid(this.bodyGrid);
+    for (let i = 0; i < this.bodies.length; i++) {
+      const body = this.bodies[i];
+      body.broadphaseIndex = i;
+      const key = this.cellKey(Math.floor(body.x / cs), Math.floor(body.y / cs), Math.floor(body.z / cs));
+      this.insertIntoCell(this.bodyGrid, key, body);
+    }
+
+    this.buildStaticGrid();
+  },
+
+  // Static bodies go in every cell their (margin-expanded) bounds touch,
+  // so a body only has to look in its own cell to find them
+  buildStaticGrid: function () {
+    const cs = this.cellSize;
+    this.clearGrid(this.staticGrid);
+    this.unboundedStatics.length = 0;
+    const margin = this.staticMargin;
+    for (let i = 0; i < this.staticBodies.length; i++) {
+      const staticBody = this.staticBodies[i];
+
+      if (staticBody.shape === "plane") {
+        this.unboundedStatics.push(staticBody);
+        continue;
+      }
+
+      const bounds = this.getStaticBounds(staticBody);
+      if (!bounds) continue;
+
+      const minX = Math.floor((bounds.minX - margin) / cs);
+      const maxX = Math.floor((bounds.maxX + margin) / cs);
+      const minY = Math.floor((bounds.minY - margin) / cs);
+      const maxY = Math.floor((bounds.maxY + margin) / cs);
+      const minZ = Math.floor((bounds.minZ - margin) / cs);
+      const maxZ = Math.floor((bounds.maxZ + margin) / cs);
+
+      const cellCount = (maxX - minX + 1) * (maxY - minY + 1) * (maxZ - minZ + 1);
+      if (cellCount > this.maxStaticCells) {
+        this.unboundedStatics.push(staticBody);
+        continue;
+      }
+
+      for (let ix = minX; ix <= maxX; ix++) {
+        for (let iy = minY; iy <= maxY; iy++) {
+          for (let iz = minZ; iz <= maxZ; iz++) {
+            this.insertIntoCell(this.staticGrid, this.cellKey(ix, iy, iz), staticBody);
+          }
+        }
+      }
+    }
+  },
+
   // Resolve collisions between bodies
   resolveCollisions: function () {
-    // Body vs static bodies (walls, floor, pusher, pegs)
+    this.buildBroadphase();
+    const cs = this.cellSize;
+
+    // Body vs static bodies (walls, floor, pusher, pegs) - sleeping bodies are
+    // still tested here since a moving pusher is what wakes them up
     for (let i = 0; i < this.bodies.length; i++) {
       const body = this.bodies[i];
 
-      for (let j = 0; j < this.staticBodies.length; j++) {
-        const staticBody = this.staticBodies[j];
-        this.resolveCollision(body, staticBody);
+      for (let j = 0; j < this.unboundedStatics.length; j++) {
+        this.resolveCollision(body, this.unboundedStatics[j]);
+      }
+
+      const key = this.cellKey(Math.floor(body.x / cs), Math.floor(body.y / cs), Math.floor(body.z / cs));
+      const cell = this.staticGrid.get(key);
+      if (cell) {
+        for (let j = 0; j < cell.length; j++) {
+          this.resolveCollision(body, cell[j]);
+        }
       }
+
+      this.stats.staticPairTests += this.unboundedStatics.length + (cell ? cell.length : 0);
     }
 
-    // Body vs body collisions
+    // Body vs body collisions - each awake body checks the 27 surrounding cells.
+    // Sleeping neighbours are always tested; awake pairs only from the lower index
     for (let i = 0; i < this.bodies.length; i++) {
-      for (let j = i + 1; j < this.bodies.length; j++) {
-        this.resolveBodyCollision(this.bodies[i], this.bodies[j]);
+      const bodyA = this.bodies[i];
+      if (bodyA.isSleeping) continue;
+
+      const cx = Math.floor(bodyA.x / cs);
+      const cy = Math.floor(bodyA.y / cs);
+      const cz = Math.floor(bodyA.z / cs);
+
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            const cell = this.bodyGrid.get(this.cellKey(cx + dx, cy + dy, cz + dz));
+            if (!cell) continue;
+
+            for (let j = 0; j < cell.length; j++) {
+              const bodyB = cell[j];
+              if (bodyB === bodyA) continue;
+              if (!bodyB.isSleeping && bodyB.broadphaseIndex < i) continue;
+
+              this.stats.bodyPairTests++;
+              this.resolveBodyCollision(bodyA, bodyB);
+            }
+          }
+        }
       }
     }
   },
@@ -282,8 +594,8 @@ const Physics = {
         // Only add angular velocity for significant impacts, and much less of it
         const impactSpeed = Math.abs(velDotN);
         if (impactSpeed > 1.0) {
-          body.ax += (Math.random() - 0.5) * impactSpeed * 0.3;
-          body.az += (Math.random() - 0.5) * impactSpeed * 0.3;
+          body.ax += this.jitter() * impactSpeed * 0.3;
+          body.az += this.jitter() * impactSpeed * 0.3;
         }
 
         body.isSleeping = false;
@@ -297,7 +609,7 @@ const Physics = {
         const pushForce = pusherVel * 1.8;
         body.vz += pushForce;
         body.vy += pusherVel * 0.15; // Less upward bounce
-        body.vx += (Math.random() - 0.5) * pusherVel * 0.2; // Less random side scatter
+        body.vx += this.jitter() * pusherVel * 0.2; // Less random side scatter
 
         body.isSleeping = false;
         body.sleepCounter = 0;
@@ -336,7 +648,7 @@ const Physics = {
         const impactSpeed = Math.abs(velDotN);
         if (impactSpeed > 0.5) {
           body.ax += nx * impactSpeed * 0.5;
-          body.ay += (Math.random() - 0.5) * impactSpeed * 0.8;
+          body.ay += this.jitter() * impactSpeed * 0.8;
           body.az += nz * impactSpeed * 0.5;
         }
 
@@ -390,13 +702,19 @@ const Physics = {
       const ny = dy / dist;
       const nz = dz / dist;
 
-      const overlap = (minDist - dist) / 2;
-      bodyA.x -= nx * overlap;
-      bodyA.y -= ny * overlap;
-      bodyA.z -= nz * overlap;
-      bodyB.x += nx * overlap;
-      bodyB.y += ny * overlap;
-      bodyB.z += nz * overlap;
+      // Push apart by inverse mass - a heavy coin barely gives way to a light one
+      const invMassA = 1 / bodyA.mass;
+      const invMassB = 1 / bodyB.mass;
+      const invMassTotal = invMassA + invMassB;
+      const overlap = minDist - dist;
+      const shareA = (overlap * invMassA) / invMassTotal;
+      const shareB = (overlap * invMassB) / invMassTotal;
+      bodyA.x -= nx * shareA;
+      bodyA.y -= ny * shareA;
+      bodyA.z -= nz * shareA;
+      bodyB.x += nx * shareB;
+      bodyB.y += ny * shareB;
+      bodyB.z += nz * shareB;
 
       const dvx = bodyA.vx - bodyB.vx;
       const dvy = bodyA.vy - bodyB.vy;
@@ -404,25 +722,25 @@ const Physics = {
       const dvDotN = dvx * nx + dvy * ny + dvz * nz;
 
       if (dvDotN > 0) {
-        const restitution = Math.min(bodyA.restitution, bodyB.restitution);
-        const j =
-          (-(1 + restitution) * dvDotN) / (1 / bodyA.mass + 1 / bodyB.mass);
+        // Average so a bouncy coin still bounces off regular ones
+        const restitution = (bodyA.restitution + bodyB.restitution) / 2;
+        const j = (-(1 + restitution) * dvDotN) / invMassTotal;
 
-        bodyA.vx += (j / bodyA.mass) * nx;
-        bodyA.vy += (j / bodyA.mass) * ny;
-        bodyA.vz += (j / bodyA.mass) * nz;
-        bodyB.vx -= (j / bodyB.mass) * nx;
-        bodyB.vy -= (j / bodyB.mass) * ny;
-        bodyB.vz -= (j / bodyB.mass) * nz;
+        bodyA.vx += j * invMassA * nx;
+        bodyA.vy += j * invMassA * ny;
+        bodyA.vz += j * invMassA * nz;
+        bodyB.vx -= j * invMassB * nx;
+        bodyB.vy -= j * invMassB * ny;
+        bodyB.vz -= j * invMassB * nz;
 
         // Only add angular velocity for significant coin-to-coin impacts
         const impactSpeed = Math.abs(dvDotN);
         if (impactSpeed > 1.0) {
           const angularFactor = 0.2; // Much reduced angular impulse
-          bodyA.ax += (Math.random() - 0.5) * impactSpeed * angularFactor;
-          bodyA.az += (Math.random() - 0.5) * impactSpeed * angularFactor;
-          bodyB.ax += (Math.random() - 0.5) * impactSpeed * angularFactor;
-          bodyB.az += (Math.random() - 0.5) * impactSpeed * angularFactor;
+          bodyA.ax += this.jitter() * impactSpeed * angularFactor;
+          bodyA.az += this.jitter() * impactSpeed * angularFactor;
+          bodyB.ax += this.jitter() * impactSpeed * angularFactor;
+          bodyB.az += this.jitter() * impactSpeed * angularFactor;
         }
 
         bodyA.isSleeping = false;
@@ -430,23 +748,51 @@ const Physics = {
         bodyA.sleepCounter = 0;
         bodyB.sleepCounter = 0;
       }
+
+      // Sticky coins drag what they touch along - sliding past each other is damped
+      const stickiness = Math.max(bodyA.stickiness, bodyB.stickiness);
+      if (stickiness > 0) {
+        const tx = dvx - dvDotN * nx;
+        const ty = dvy - dvDotN * ny;
+        const tz = dvz - dvDotN * nz;
+        const jt = stickiness / invMassTotal;
+        bodyA.vx -= jt * invMassA * tx;
+        bodyA.vy -= jt * invMassA * ty;
+        bodyA.vz -= jt * invMassA * tz;
+        bodyB.vx += jt * invMassB * tx;
+        bodyB.vy += jt * invMassB * ty;
+        bodyB.vz += jt * invMassB * tz;
+      }
     }
   },
 
-  // Sync physics bodies with Three.js meshes
-  syncMeshes: function () {
+  // Sync physics bodies with Three.js meshes, blending the previous and current
+  // step by alpha (0 = previous step, 1 = current step)
+  syncMeshes: function (alpha = 1) {
     for (let i = 0; i < this.bodies.length; i++) {
       const body = this.bodies[i];
       if (body.mesh) {
-        body.mesh.position.set(body.x, body.y, body.z);
-        body.mesh.rotation.set(body.rx, body.ry, body.rz);
+        body.mesh.position.set(
+          lerp(body.px, body.x, alpha),
+          lerp(body.py, body.y, alpha),
+          lerp(body.pz, body.z, alpha)
+        );
+        body.mesh.rotation.set(
+          lerp(body.prx, body.rx, alpha),
+          lerp(body.pry, body.ry, alpha),
+          lerp(body.prz, body.rz, alpha)
+        );
       }
     }
 
     for (let i = 0; i < this.staticBodies.length; i++) {
       const body = this.staticBodies[i];
       if (body.mesh && !body.data.noSync) {
-        body.mesh.position.set(body.x, body.y, body.z);
+        body.mesh.position.set(
+          lerp(body.px, body.x, alpha),
+          lerp(body.py, body.y, alpha),
+          lerp(body.pz, body.z, alpha)
+        );
       }
     }
   },
@@ -562,6 +908,19 @@ const Physics = {
     }
     return count;
   },
+
+  // Get collision stats for the last rendered frame (debug)
+  getStats: function () {
+    return {
+      bodies: this.bodies.length,
+      activeBodies: this.getActiveCount(),
+      staticBodies: this.staticBodies.length,
+      steps: this.stats.steps,
+      bodyPairTests: this.stats.bodyPairTests,
+      staticPairTests: this.stats.staticPairTests,
+      pairTests: this.stats.bodyPairTests + this.stats.staticPairTests,
+    };
+  },
 };
 
 export default Physics;
@@ -0,0 +1,111 @@
+/**
+ * Seeded Random Number Generator for Coin Pusher World
+ * Every gameplay roll draws from this stream so a run can be reproduced from its seed
+ */
+
+// Characters used for generated seeds (no 0/O or 1/I to keep them easy to read aloud)
+const SEED_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const SEED_LENGTH = 8;
+
+// FNV-1a hash - turns any seed string into a 32-bit integer
+function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+const Random = {
+  // Seed string shown to the player
+  seed: "",
+
+  // Internal 32-bit generator state
+  state: 0,
+
+  // Number of values drawn since seeding (handy when comparing bug reports)
+  draws: 0,
+
+  // Generate a fresh human-readable seed
+  generateSeed: function () {
+    let seed = "";
+    for (let i = 0; i < SEED_LENGTH; i++) {
+      seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+  },
+
+  // Reset the stream to the start of a seed
+  setSeed: function (seed) {
+    this.seed = String(seed).trim().toUpperCase();
+    this.state = hashSeed(this.seed);
+    this.draws = 0;
+    return this.seed;
+  },
+
+  // Next float in [0, 1) - mulberry32
+  next: function () {
+    this.draws++;
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  },
+
+  // Random float between min and max
+  range: function (min, max) {
+    return this.next() * (max - min) + min;
+  },
+
+  // Random integer between min and max (inclusive)
+  int: function (min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  },
+
+  // True with the given probability
+  chance: function (probability) {
+    return this.next() < probability;
+  },
+
+  // Pick a random element from an array
+  pick: function (array) {
+    if (!array || array.length === 0) return undefined;
+    return array[Math.floor(this.next() * array.length)];
+  },
+
+  // Return a shuffled copy of an array (Fisher-Yates)
+  shuffle: function (array) {
+    const result = [...array];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  },
+
+  // Snapshot the stream position (for saves)
+  getState: function () {
+    return { seed: this.seed, state: this.state, draws: this.draws };
+  },
+
+  // Restore a stream position from getState()
+  setState: function (saved) {
+    if (!saved) return;
+    this.seed = saved.seed;
+    this.state = saved.state >>> 0;
+    this.draws = saved.draws || 0;
+  },
+};
+
+// A generator of its own on the same algorithm - for rolls that must not move the
+// run's stream (map layouts, node choices, shop stock)
+export function createRandom(seed) {
+  const rng = { ...Random };
+  rng.setSeed(seed);
+  return rng;
+}
+
+export default Random;
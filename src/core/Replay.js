@@ -0,0 +1,299 @@
+/**
+ * Replay System for Coin Pusher World
+ * Records a run as its seed plus a log of input commands stamped with the game
+ * tick they were applied on, and plays it back by re-running the simulation.
+ *
+ * The game advances in fixed ticks and gameplay timers run on the game clock, so
+ * the same seed and the same commands on the same ticks give the same run.
+ * Events are compact arrays: [tick, type] or [tick, type, value].
+ */
+
+const REPLAY_FORMAT = "coinPusherWorldReplay";
+const REPLAY_VERSION = 1;
+
+const Replay = {
+  // Run being recorded (null when not recording)
+  recording: null,
+
+  // Last finished recording - offered on the game over screen
+  lastReplay: null,
+
+  // Playback state
+  isPlaying: false,
+  playback: null,
+  eventIndex: 0,
+  paused: false,
+  finished: false,
+  outOfSync: false,
+  accumulator: 0,
+
+  // Playback speeds the viewer offers
+  speeds: [0.5, 1, 2, 4, 8],
+  speed: 1,
+
+  // Tick to fast-forward to (null when not seeking) and how long each frame may spend on it (ms)
+  seekTarget: null,
+  seekBudget: 40,
+  seekMuted: false,
+
+  // References
+  game: null,
+  storage: null,
+  ui: null,
+  sound: null,
+
+  // Initialize replay system
+  init: function (refs = {}) {
+    this.game = refs.game;
+    this.storage = refs.storage;
+    this.ui = refs.ui;
+    this.sound = refs.sound;
+  },
+
+  // Begin recording a new run (called once the run's start state is set)
+  startRecording: function () {
+    if (!this.game) return;
+
+    this.recording = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      seed: this.game.seed,
+      tickRate: Math.round(1 / this.game.tickStep),
+      start: this.game.getReplayStartState(),
+      events: [],
+    };
+  },
+
+  // Log an input command
+  record: function (tick, type, value) {
+    if (!this.recording) return;
+    this.recording.events.push(value === undefined ? [tick, type] : [tick, type, value]);
+  },
+
+  // Stop recording without keeping anything
+  discardRecording: function () {
+    this.recording = null;
+  },
+
+  // Close the recording with the run's result and save it
+  finishRecording: function (summary) {
+    if (!this.recording) return null;
+
+    const replay = this.recording;
+    replay.result = {
+      score: summary.score,
+      tier: summary.tier,
+      ticks: this.game.tick,
+      endReason: summary.endReason,
+    };
+
+    this.recording = null;
+    this.lastReplay = replay;
+    if (this.storage) this.storage.saveReplay(replay);
+    return replay;
+  },
+
+  // Watch a replay from the start
+  play: function (replay) {
+    if (!this.game || !replay) return false;
+
+    this.discardRecording();
+    this.playback = replay;
+    this.isPlaying = true;
+    this.paused = false;
+    this.seekTarget = null;
+    this.restartPlayback();
+
+    if (this.ui) this.ui.showReplayBar(replay);
+    return true;
+  },
+
+  // Rebuild the recorded run and rewind to tick 0
+  restartPlayback: function () {
+    this.eventIndex = 0;
+    this.accumulator = 0;
+    this.finished = false;
+    this.outOfSync = false;
+    this.game.startReplay(this.playback);
+  },
+
+  // Stop watching and hand the game back
+  stop: function () {
+    if (!this.isPlaying) return;
+
+    this.setSeekMuted(false);
+    this.isPlaying = false;
+    this.playback = null;
+    this.seekTarget = null;
+
+    this.game.endReplay();
+    if (this.ui) this.ui.hideReplayBar();
+  },
+
+  // Length of the replay in ticks
+  getDuration: function () {
+    if (!this.playback) return 0;
+    if (this.playback.result) return this.playback.result.ticks;
+
+    const events = this.playback.events;
+    return events.length > 0 ? events[events.length - 1][0] : 0;
+  },
+
+  // Change playback speed
+  setSpeed: function (speed) {
+    if (this.speeds.includes(speed)) this.speed = speed;
+    if (this.ui) this.ui.updateReplayBar();
+  },
+
+  // Pause or resume playback
+  togglePaused: function () {
+    this.paused = !this.paused;
+    if (this.ui) this.ui.updateReplayBar();
+    return this.paused;
+  },
+
+  // Jump to a tick - backwards rebuilds the run and fast-forwards from the start
+  seek: function (tick) {
+    if (!this.isPlaying) return;
+
+    const target = Math.max(0, Math.min(Math.round(tick), this.getDuration()));
+    if (target < this.game.tick || this.finished) this.restartPlayback();
+
+    this.seekTarget = target;
+    this.setSeekMuted(true);
+  },
+
+  // Silence sound effects while fast-forwarding
+  setSeekMuted: function (muted) {
+    if (!this.sound || muted === this.seekMuted) return;
+
+    if (muted) {
+      this.seekMuted = this.sound.enabled;
+      this.sound.enabled = false;
+    } else {
+      this.sound.enabled = this.seekMuted;
+      this.seekMuted = false;
+    }
+  },
+
+  // Advance playback by a frame's worth of real time (called by the game loop)
+  update: function (deltaTime) {
+    if (this.finished || this.outOfSync) return;
+
+    if (this.seekTarget !== null) {
+      const deadline = performance.now() + this.seekBudget;
+      while (this.game.tick < this.seekTarget && performance.now() < deadline) {
+        if (!this.step()) break;
+      }
+      if (this.game.tick >= this.seekTarget || this.finished || this.outOfSync) {
+        this.seekTarget = null;
+        this.setSeekMuted(false);
+      }
+    } else if (!this.paused) {
+      this.accumulator += deltaTime * this.speed;
+      while (this.accumulator >= this.game.tickStep) {
+        this.accumulator -= this.game.tickStep;
+        if (!this.step()) {
+          this.accumulator = 0;
+          break;
+        }
+      }
+    }
+
+    if (this.ui) this.ui.updateReplayBar();
+  },
+
+  // Apply the commands due on the current tick, then run it. False when playback can't go on
+  step: function () {
+    const game = this.game;
+    this.applyDueEvents(game.tick);
+
+    if (!game.isRunning) return false;
+
+    if (game.isPaused) {
+      // Waiting on a board or upgrade pick the log doesn't have - the run went a different way
+      if (this.ui && this.ui.isChoosing()) this.markOutOfSync();
+      return false;
+    }
+
+    game.runTick();
+    return true;
+  },
+
+  // Apply every logged command stamped with this tick
+  applyDueEvents: function (tick) {
+    const events = this.playback.events;
+    while (this.eventIndex < events.length && events[this.eventIndex][0] <= tick) {
+      const event = events[this.eventIndex++];
+      this.game.applyCommand(event[1], event[2]);
+    }
+  },
+
+  // Playback no longer matches the recording
+  markOutOfSync: function () {
+    this.outOfSync = true;
+    this.setSeekMuted(false);
+    if (this.ui) this.ui.setReplayStatus("Replay out of sync - the run went differently", true);
+  },
+
+  // The replayed run ended - check it against the recorded result
+  onRunEnded: function (summary) {
+    this.finished = true;
+    this.seekTarget = null;
+    this.setSeekMuted(false);
+
+    const expected = this.playback && this.playback.result ? this.playback.result.score : null;
+    if (!this.ui) return;
+
+    if (expected === null || expected === summary.score) {
+      this.ui.setReplayStatus("Replay finished");
+    } else {
+      this.ui.setReplayStatus("Replay finished - score differs from the recording", true);
+    }
+  },
+
+  // Serialize a replay for download
+  toText: function (replay) {
+    return JSON.stringify(replay);
+  },
+
+  // File name for a downloaded replay
+  getFileName: function (replay) {
+    const date = (replay.recordedAt || new Date().toISOString()).slice(0, 10);
+    return `coin-pusher-replay-${replay.seed}-${date}.json`;
+  },
+
+  // Parse and check a replay file -> { ok, replay } or { ok: false, error }
+  parse: function (text) {
+    let replay;
+    try {
+      replay = JSON.parse(text);
+    } catch (e) {
+      return { ok: false, error: "Not a replay file" };
+    }
+
+    if (!this.isValid(replay)) return { ok: false, error: "Not a replay file" };
+    if (replay.version > REPLAY_VERSION) {
+      return { ok: false, error: "Replay is from a newer version of the game" };
+    }
+    return { ok: true, replay: replay };
+  },
+
+  // Does this look like a replay we can play?
+  isValid: function (replay) {
+    return (
+      !!replay &&
+      replay.format === REPLAY_FORMAT &&
+      typeof replay.version === "number" &&
+      typeof replay.seed === "string" &&
+      replay.seed.length > 0 &&
+      !!replay.start &&
+      typeof replay.start === "object" &&
+      Array.isArray(replay.events) &&
+      replay.events.every((event) => Array.isArray(event) && typeof event[0] === "number" && typeof event[1] === "string")
+    );
+  },
+};
+
+export default Replay;
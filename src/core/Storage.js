@@ -1,17 +1,155 @@
 /**
  * Storage System for Coin Pusher World
- * Handles persistent save data and high scores using LocalStorage
+ * Handles persistent save data and high scores through a pluggable backend
+ * (IndexedDB, with localStorage and in-memory fallbacks - see StorageBackends.js)
+ *
+ * Every key is written as a versioned envelope ({ schema, version, data }).
+ * Reads run the data through the schema's migrations up to the current
+ * version and validate it; blobs that can't be parsed, migrated or
+ * validated are moved to a quarantine key instead of being thrown away.
+ *
+ * IndexedDB commits in the background, so a save made as the tab closes
+ * (pagehide) may never land. Records marked `mirror` are also written to
+ * localStorage synchronously, and reads take whichever copy is newer.
  */
 
+import { MemoryBackend, LocalStorageBackend, IndexedDBBackend } from './StorageBackends.js';
+
 const STORAGE_KEY = 'coinPusherWorld';
 const HIGH_SCORES_KEY = 'coinPusherWorld_highScores';
 const SETTINGS_KEY = 'coinPusherWorld_settings';
 const LIFETIME_STATS_KEY = 'coinPusherWorld_lifetimeStats';
 const DAILY_CHALLENGES_KEY = 'coinPusherWorld_dailyChallenges';
+const REPLAYS_KEY = 'coinPusherWorld_replays';
 const CHALLENGE_BONUS_KEY = 'coinPusherWorld_challengeBonus';
+const QUARANTINE_SUFFIX = '_quarantine';
+const PROFILE_FORMAT = 'coinPusherWorldProfile';
+const PROFILE_VERSION = 1;
 const MAX_HIGH_SCORES = 10;
+const MAX_RECENT_REPLAYS = 5;
+
+// Helpers for schema validators
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// FNV-1a hash as 8 hex digits - used as the profile file checksum
+function checksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Mode a pace was run in - run length and drop economy (null for paces saved before
+// they recorded it). Ghosts only race runs of the same mode
+function paceMode(pace) {
+  if (!isObject(pace) || !isNumber(pace.runTimeLimit)) return null;
+  return `${pace.runTimeLimit}:${pace.turnMode ? 'turns' : 'realtime'}`;
+}
+
+// Only the best high score of each mode keeps its pace curve (the ghost) - strip it from the rest
+function keepBestPace(scores) {
+  const kept = new Set();
+  return scores.map((entry) => {
+    if (!entry.pace) return entry;
+    const mode = paceMode(entry.pace);
+    if (mode !== null && !kept.has(mode)) {
+      kept.add(mode);
+      return entry;
+    }
+    const { pace, ...rest } = entry;
+    return rest;
+  });
+}
+
+// Schema registry - one entry per stored key.
+// migrations[n] upgrades data from version n to n + 1. Blobs written before
+// the registry existed have no envelope and count as version 0 (the game save
+// already stamped its own `version: 1`, so it starts from there).
+const SCHEMAS = {
+  game: {
+    key: STORAGE_KEY,
+    version: 2,
+    mirror: true, // the autosave on tab close must survive an unfinished IndexedDB write
+    migrations: {
+      0: (data) => data,
+      // v1 saves carried version/timestamp inline and may predate run timers
+      // and board snapshots
+      1: (data) => {
+        const { version, ...rest } = data;
+        return {
+          runTime: 0,
+          sessionStats: {},
+          powerUps: null,
+          relics: { collected: [] },
+          collectibles: null,
+          jackpot: null,
+          coins: null,
+          snapshot: null,
+          ...rest,
+        };
+      },
+    },
+    validate: (data) =>
+      isObject(data) &&
+      typeof data.seed === 'string' &&
+      data.seed.length > 0 &&
+      isNumber(data.score) &&
+      isNumber(data.expansionIndex) &&
+      (data.themes === undefined || Array.isArray(data.themes)),
+  },
+  highScores: {
+    key: HIGH_SCORES_KEY,
+    version: 1,
+    migrations: { 0: (data) => data },
+    validate: (data) =>
+      Array.isArray(data) && data.every((entry) => isObject(entry) && isNumber(entry.score)),
+  },
+  settings: {
+    key: SETTINGS_KEY,
+    version: 1,
+    migrations: { 0: (data) => data },
+    validate: (data) => isObject(data),
+  },
+  lifetimeStats: {
+    key: LIFETIME_STATS_KEY,
+    version: 1,
+    migrations: { 0: (data) => data },
+    validate: (data) =>
+      isObject(data) && Object.values(data).every((value) => isNumber(value)),
+  },
+  dailyChallenges: {
+    key: DAILY_CHALLENGES_KEY,
+    version: 1,
+    migrations: { 0: (data) => data },
+    validate: (data) =>
+      isObject(data) && typeof data.date === 'string' && Array.isArray(data.challenges),
+  },
+  challengeBonus: {
+    key: CHALLENGE_BONUS_KEY,
+    version: 1,
+    migrations: { 0: (data) => data },
+    validate: (data) => isNumber(data) && data >= 0,
+  },
+  replays: {
+    key: REPLAYS_KEY,
+    version: 1,
+    migrations: { 0: (data) => data },
+    validate: (data) =>
+      Array.isArray(data) &&
+      data.every((entry) => isObject(entry) && typeof entry.seed === 'string' && Array.isArray(entry.events)),
+  },
+};
+
+// Records that make up the player profile (the run in progress stays on this device)
+const PROFILE_RECORDS = ['highScores', 'lifetimeStats', 'settings', 'dailyChallenges', 'challengeBonus'];
 
 const Storage = {
+  // Schema registry (exposed for tooling and profile export)
+  schemas: SCHEMAS,
+
   // Default settings
   defaultSettings: {
     masterVolume: 0.6,
@@ -19,80 +157,271 @@ const Storage = {
     sfxVolume: 0.7,
     musicEnabled: true,
     sfxEnabled: true,
+    runLength: 10, // Minutes per run, 0 = endless
+    dropSweep: false, // Drop carriage sweeps across the board by itself
+    trajectoryPreview: true, // Ghost path through the pegs from the drop carriage
+    turnMode: false, // Turn-based drop economy - energy each turn instead of queue regen
+  },
+
+  // Active backend (picked on first use, upgraded to IndexedDB by init)
+  backend: null,
+
+  // Backends by name, for the ?storage= override
+  backends: {
+    memory: MemoryBackend,
+    localStorage: LocalStorageBackend,
+    indexedDB: IndexedDBBackend,
+  },
+
+  // Pick the best backend. IndexedDB has to load asynchronously, so call this
+  // (and wait for it) before reading anything. preferred: backend name to force
+  init: function (preferred = null) {
+    const self = this;
+
+    if (preferred && this.backends[preferred] && preferred !== 'indexedDB') {
+      this.useBackend(this.backends[preferred]);
+      return Promise.resolve(this.backend);
+    }
+
+    return IndexedDBBackend.load().then(function (ok) {
+      if (ok) {
+        // Carry over anything saved before the IndexedDB backend existed
+        const copied = IndexedDBBackend.importFrom(LocalStorageBackend);
+        if (copied > 0) console.log(`Moved ${copied} saved items to IndexedDB`);
+        self.useBackend(IndexedDBBackend);
+      } else {
+        self.useBackend(self.getFallbackBackend());
+      }
+      return self.backend;
+    });
+  },
+
+  // localStorage when it works, otherwise memory (private browsing)
+  getFallbackBackend: function () {
+    return LocalStorageBackend.isAvailable() ? LocalStorageBackend : MemoryBackend;
+  },
+
+  // Switch backends
+  useBackend: function (backend) {
+    this.backend = backend;
+    console.log('Storage backend: ' + backend.name);
   },
 
-  // Check if localStorage is available
+  // Active backend, falling back synchronously if init hasn't run
+  getBackend: function () {
+    if (!this.backend) this.backend = this.getFallbackBackend();
+    return this.backend;
+  },
+
+  // Check if the active backend can store data
   isAvailable: function () {
+    return this.getBackend().isAvailable();
+  },
+
+  // Bring a parsed blob up to the schema's current version.
+  // Returns { data, version, migrated } or throws with the reason
+  upgrade: function (name, parsed) {
+    const schema = SCHEMAS[name];
+    let data;
+    let version;
+
+    if (isObject(parsed) && parsed.schema === name && isNumber(parsed.version)) {
+      data = parsed.data;
+      version = parsed.version;
+    } else {
+      // Legacy blob written before envelopes
+      data = parsed;
+      version = name === 'game' && isObject(parsed) && isNumber(parsed.version) ? parsed.version : 0;
+    }
+
+    if (version > schema.version) {
+      throw new Error(`version ${version} is newer than supported version ${schema.version}`);
+    }
+
+    const fromVersion = version;
+    while (version < schema.version) {
+      const migrate = schema.migrations[version];
+      if (!migrate) throw new Error(`no migration from version ${version}`);
+      data = migrate(data);
+      version++;
+    }
+
+    if (!schema.validate(data)) {
+      throw new Error(`data failed validation for version ${version}`);
+    }
+
+    return { data, version, migrated: version !== fromVersion };
+  },
+
+  // Read a record by schema name. Returns the data, or null when missing or quarantined
+  readRecord: function (name) {
+    const schema = SCHEMAS[name];
+    if (!schema || !this.isAvailable()) return null;
+
+    let raw;
+    try {
+      raw = this.getRaw(schema);
+    } catch (e) {
+      console.warn(`Failed to read ${name}:`, e);
+      return null;
+    }
+    if (raw === null) return null;
+
+    try {
+      const result = this.upgrade(name, JSON.parse(raw));
+      // Persist the upgrade so migrations only run once
+      if (result.migrated) this.writeRecord(name, result.data);
+      return result.data;
+    } catch (e) {
+      this.quarantine(name, raw, e.message);
+      return null;
+    }
+  },
+
+  // Write a record wrapped in a versioned envelope
+  writeRecord: function (name, data) {
+    const schema = SCHEMAS[name];
+    if (!schema || !this.isAvailable()) return false;
+
+    if (!schema.validate(data)) {
+      console.warn(`Refusing to save invalid ${name} data`);
+      return false;
+    }
+
     try {
-      const test = '__storage_test__';
-      localStorage.setItem(test, test);
-      localStorage.removeItem(test);
+      const envelope = JSON.stringify({ schema: name, version: schema.version, data: data });
+      this.getBackend().setItem(schema.key, envelope);
+      if (schema.mirror) this.writeMirror(schema.key, envelope);
       return true;
     } catch (e) {
+      console.warn(`Failed to save ${name}:`, e);
       return false;
     }
   },
 
-  // Save game state
-  saveGame: function (gameData) {
-    if (!this.isAvailable()) return false;
+  // Remove a record
+  removeRecord: function (name) {
+    const schema = SCHEMAS[name];
+    if (!schema || !this.isAvailable()) return false;
 
     try {
-      const saveData = {
-        ...gameData,
-        timestamp: Date.now(),
-        version: 1,
-      };
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(saveData));
+      this.getBackend().removeItem(schema.key);
+      if (schema.mirror && this.isMirroring()) LocalStorageBackend.removeItem(schema.key);
       return true;
     } catch (e) {
-      console.warn('Failed to save game:', e);
       return false;
     }
   },
 
-  // Load game state
-  loadGame: function () {
-    if (!this.isAvailable()) return null;
+  // Are mirrored records also kept in localStorage? (only when IndexedDB is the backend)
+  isMirroring: function () {
+    return this.getBackend() === IndexedDBBackend && LocalStorageBackend.isAvailable();
+  },
 
+  // Write the synchronous localStorage copy of a mirrored record
+  writeMirror: function (key, raw) {
+    if (!this.isMirroring()) return;
     try {
-      const data = localStorage.getItem(STORAGE_KEY);
-      if (!data) return null;
-      return JSON.parse(data);
+      LocalStorageBackend.setItem(key, raw);
     } catch (e) {
-      console.warn('Failed to load game:', e);
-      return null;
+      // Over the localStorage cap - the IndexedDB copy still stands
+      console.warn(`Failed to mirror ${key}:`, e);
     }
   },
 
-  // Clear saved game
-  clearGame: function () {
-    if (!this.isAvailable()) return false;
+  // Stored blob of a record - for mirrored records, the copy written last
+  getRaw: function (schema) {
+    const raw = this.getBackend().getItem(schema.key);
+    if (!schema.mirror || !this.isMirroring()) return raw;
 
+    const mirrored = LocalStorageBackend.getItem(schema.key);
+    if (mirrored === null) return raw;
+    if (raw === null) return mirrored;
+    return this.getTimestamp(mirrored) > this.getTimestamp(raw) ? mirrored : raw;
+  },
+
+  // Save time of a stored blob (0 when it has none or can't be parsed)
+  getTimestamp: function (raw) {
     try {
-      localStorage.removeItem(STORAGE_KEY);
-      return true;
+      const parsed = JSON.parse(raw);
+      const data = isObject(parsed) && parsed.schema ? parsed.data : parsed;
+      return isObject(data) && isNumber(data.timestamp) ? data.timestamp : 0;
     } catch (e) {
-      return false;
+      return 0;
     }
   },
 
-  // Get high scores
-  getHighScores: function () {
+  // Move a corrupt blob aside so it can be inspected or recovered later
+  quarantine: function (name, raw, reason) {
+    const schema = SCHEMAS[name];
+    console.warn(`Quarantined corrupt ${name} data: ${reason}`);
+
+    try {
+      this.getBackend().setItem(
+        schema.key + QUARANTINE_SUFFIX,
+        JSON.stringify({ schema: name, reason: reason, timestamp: Date.now(), raw: raw })
+      );
+      this.getBackend().removeItem(schema.key);
+      if (schema.mirror && this.isMirroring()) LocalStorageBackend.removeItem(schema.key);
+    } catch (e) {
+      console.warn(`Failed to quarantine ${name}:`, e);
+    }
+  },
+
+  // List quarantined blobs ({ schema, reason, timestamp, raw })
+  getQuarantined: function () {
     if (!this.isAvailable()) return [];
 
+    const entries = [];
+    for (const name of Object.keys(SCHEMAS)) {
+      try {
+        const data = this.getBackend().getItem(SCHEMAS[name].key + QUARANTINE_SUFFIX);
+        if (data) entries.push(JSON.parse(data));
+      } catch (e) {
+        console.warn(`Failed to read quarantined ${name}:`, e);
+      }
+    }
+    return entries;
+  },
+
+  // Delete quarantined blobs (all, or one schema by name)
+  clearQuarantine: function (name = null) {
+    if (!this.isAvailable()) return false;
+
     try {
-      const data = localStorage.getItem(HIGH_SCORES_KEY);
-      if (!data) return [];
-      return JSON.parse(data);
+      const names = name ? [name] : Object.keys(SCHEMAS);
+      for (const schemaName of names) {
+        if (SCHEMAS[schemaName]) this.getBackend().removeItem(SCHEMAS[schemaName].key + QUARANTINE_SUFFIX);
+      }
+      return true;
     } catch (e) {
-      console.warn('Failed to load high scores:', e);
-      return [];
+      return false;
     }
   },
 
+  // Save game state
+  saveGame: function (gameData) {
+    return this.writeRecord('game', { ...gameData, timestamp: Date.now() });
+  },
+
+  // Load game state
+  loadGame: function () {
+    return this.readRecord('game');
+  },
+
+  // Clear saved game
+  clearGame: function () {
+    return this.removeRecord('game');
+  },
+
+  // Get high scores
+  getHighScores: function () {
+    return this.readRecord('highScores') || [];
+  },
+
   // Add a new high score
-  addHighScore: function (score, tier, date = null) {
+  // pace - the run's score curve and tier times (see Game.getPace), kept for the best run only
+  addHighScore: function (score, tier, date = null, pace = null) {
     if (!this.isAvailable()) return { added: false, rank: -1 };
 
     try {
@@ -102,13 +431,14 @@ const Storage = {
         tier: tier,
         date: date || new Date().toISOString(),
       };
+      if (pace) newEntry.pace = pace;
 
       // Add new score and sort
       scores.push(newEntry);
       scores.sort((a, b) => b.score - a.score);
 
-      // Keep only top scores
-      const trimmedScores = scores.slice(0, MAX_HIGH_SCORES);
+      // Keep only top scores - and only the best of each mode keeps its pace curve
+      const trimmedScores = keepBestPace(scores.slice(0, MAX_HIGH_SCORES));
 
       // Find rank of new score
       const rank = trimmedScores.findIndex(
@@ -116,7 +446,7 @@ const Storage = {
       );
 
       // Save updated scores
-      localStorage.setItem(HIGH_SCORES_KEY, JSON.stringify(trimmedScores));
+      if (!this.writeRecord('highScores', trimmedScores)) return { added: false, rank: -1 };
 
       return {
         added: rank !== -1,
@@ -142,43 +472,30 @@ const Storage = {
     return scores.length > 0 ? scores[0].score : 0;
   },
 
+  // Best high score of a mode with its pace curve ({ score, tier, date, pace }), or null
+  // mode: { runTimeLimit, turnMode } - the run the ghost will race
+  getBestRun: function (mode) {
+    const wanted = paceMode(mode);
+    if (wanted === null) return null;
+    const best = this.getHighScores().find(
+      (entry) => entry.pace && Array.isArray(entry.pace.scores) && paceMode(entry.pace) === wanted
+    );
+    return best || null;
+  },
+
   // Clear all high scores
   clearHighScores: function () {
-    if (!this.isAvailable()) return false;
-
-    try {
-      localStorage.removeItem(HIGH_SCORES_KEY);
-      return true;
-    } catch (e) {
-      return false;
-    }
+    return this.removeRecord('highScores');
   },
 
   // Get settings
   getSettings: function () {
-    if (!this.isAvailable()) return { ...this.defaultSettings };
-
-    try {
-      const data = localStorage.getItem(SETTINGS_KEY);
-      if (!data) return { ...this.defaultSettings };
-      return { ...this.defaultSettings, ...JSON.parse(data) };
-    } catch (e) {
-      console.warn('Failed to load settings:', e);
-      return { ...this.defaultSettings };
-    }
+    return { ...this.defaultSettings, ...this.readRecord('settings') };
   },
 
   // Save settings
   saveSettings: function (settings) {
-    if (!this.isAvailable()) return false;
-
-    try {
-      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
-      return true;
-    } catch (e) {
-      console.warn('Failed to save settings:', e);
-      return false;
-    }
+    return this.writeRecord('settings', settings);
   },
 
   // Update a single setting
@@ -220,29 +537,12 @@ const Storage = {
 
   // Get lifetime stats
   getLifetimeStats: function () {
-    if (!this.isAvailable()) return { ...this.defaultLifetimeStats };
-
-    try {
-      const data = localStorage.getItem(LIFETIME_STATS_KEY);
-      if (!data) return { ...this.defaultLifetimeStats };
-      return { ...this.defaultLifetimeStats, ...JSON.parse(data) };
-    } catch (e) {
-      console.warn('Failed to load lifetime stats:', e);
-      return { ...this.defaultLifetimeStats };
-    }
+    return { ...this.defaultLifetimeStats, ...this.readRecord('lifetimeStats') };
   },
 
   // Save lifetime stats
   saveLifetimeStats: function (stats) {
-    if (!this.isAvailable()) return false;
-
-    try {
-      localStorage.setItem(LIFETIME_STATS_KEY, JSON.stringify(stats));
-      return true;
-    } catch (e) {
-      console.warn('Failed to save lifetime stats:', e);
-      return false;
-    }
+    return this.writeRecord('lifetimeStats', stats);
   },
 
   // Update lifetime stats after a game session
@@ -274,53 +574,186 @@ const Storage = {
 
   // Get daily challenges data
   getDailyChallenges: function () {
-    if (!this.isAvailable()) return null;
-
-    try {
-      const data = localStorage.getItem(DAILY_CHALLENGES_KEY);
-      if (!data) return null;
-      return JSON.parse(data);
-    } catch (e) {
-      console.warn('Failed to load daily challenges:', e);
-      return null;
-    }
+    return this.readRecord('dailyChallenges');
   },
 
   // Save daily challenges data
   saveDailyChallenges: function (data) {
-    if (!this.isAvailable()) return false;
-
-    try {
-      localStorage.setItem(DAILY_CHALLENGES_KEY, JSON.stringify(data));
-      return true;
-    } catch (e) {
-      console.warn('Failed to save daily challenges:', e);
-      return false;
-    }
+    return this.writeRecord('dailyChallenges', data);
   },
 
   // Get challenge bonus coins (rewards from completed challenges)
   getChallengeBonus: function () {
-    if (!this.isAvailable()) return 0;
+    return this.readRecord('challengeBonus') || 0;
+  },
+
+  // Set challenge bonus coins
+  setChallengeBonus: function (amount) {
+    return this.writeRecord('challengeBonus', amount);
+  },
+
+  // Get saved replays (most recent first)
+  getReplays: function () {
+    return this.readRecord('replays') || [];
+  },
+
+  // Save a finished run's replay - keeps the most recent few plus the best scoring one
+  saveReplay: function (replay) {
+    const replays = [replay, ...this.getReplays()];
+    const scoreOf = (entry) => (entry.result ? entry.result.score : 0);
+
+    const kept = replays.slice(0, MAX_RECENT_REPLAYS);
+    const best = replays.reduce((top, entry) => (scoreOf(entry) > scoreOf(top) ? entry : top), replays[0]);
+    if (!kept.includes(best)) kept.push(best);
+
+    return this.writeRecord('replays', kept);
+  },
+
+  // Build an exportable profile with every profile record and a checksum
+  exportProfile: function () {
+    const records = {};
+    for (const name of PROFILE_RECORDS) {
+      const data = this.readRecord(name);
+      if (data !== null) records[name] = { version: SCHEMAS[name].version, data: data };
+    }
+
+    return {
+      format: PROFILE_FORMAT,
+      version: PROFILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      records: records,
+      checksum: checksum(JSON.stringify(records)),
+    };
+  },
+
+  // Profile as pretty-printed JSON text for download
+  exportProfileText: function () {
+    return JSON.stringify(this.exportProfile(), null, 2);
+  },
 
+  // Parse and verify a profile file.
+  // Returns { ok: true, records, exportedAt } with each record migrated to the
+  // current schema, or { ok: false, error }
+  parseProfile: function (text) {
+    let profile;
     try {
-      const data = localStorage.getItem(CHALLENGE_BONUS_KEY);
-      return data ? parseInt(data, 10) : 0;
+      profile = JSON.parse(text);
     } catch (e) {
-      return 0;
+      return { ok: false, error: 'File is not valid JSON' };
+    }
+
+    if (!isObject(profile) || profile.format !== PROFILE_FORMAT || !isObject(profile.records)) {
+      return { ok: false, error: 'Not a Coin Pusher World profile' };
+    }
+    if (!isNumber(profile.version) || profile.version > PROFILE_VERSION) {
+      return { ok: false, error: 'Profile was made by a newer version of the game' };
+    }
+    if (profile.checksum !== checksum(JSON.stringify(profile.records))) {
+      return { ok: false, error: 'Checksum mismatch - the file is damaged or was edited' };
+    }
+
+    const records = {};
+    for (const name of PROFILE_RECORDS) {
+      const record = profile.records[name];
+      if (record === undefined) continue;
+
+      try {
+        const envelope = isObject(record) ? { schema: name, version: record.version, data: record.data } : record;
+        records[name] = this.upgrade(name, envelope).data;
+      } catch (e) {
+        return { ok: false, error: `Invalid ${name}: ${e.message}` };
+      }
     }
+
+    return { ok: true, records: records, exportedAt: profile.exportedAt || null };
   },
 
-  // Set challenge bonus coins
-  setChallengeBonus: function (amount) {
+  // One-line summary of a profile record for the import preview
+  describeRecord: function (name, data) {
+    if (data === null || data === undefined) return 'none';
+
+    switch (name) {
+      case 'highScores':
+        return data.length > 0 ? `${data.length} score${data.length === 1 ? '' : 's'}, best ${data[0].score}` : 'no scores';
+      case 'lifetimeStats':
+        return `${data.gamesPlayed || 0} games, best ${data.bestScore || 0}`;
+      case 'settings':
+        return `run ${data.runLength > 0 ? data.runLength + ' min' : 'endless'}${data.turnMode ? ' in turns' : ''}, music ${data.musicEnabled === false ? 'off' : 'on'}`;
+      case 'dailyChallenges':
+        return `${(data.completed || []).length} completed on ${data.date}`;
+      case 'challengeBonus':
+        return `${data} bonus coins`;
+      default:
+        return 'present';
+    }
+  },
+
+  // Compare current records with parsed profile records.
+  // Returns [{ name, current, incoming }] for every record in either
+  previewProfileImport: function (records) {
+    return PROFILE_RECORDS.filter(
+      (name) => records[name] !== undefined || this.readRecord(name) !== null
+    ).map((name) => ({
+      name: name,
+      current: this.describeRecord(name, this.readRecord(name)),
+      incoming: this.describeRecord(name, records[name]),
+    }));
+  },
+
+  // Combine a current and an incoming record for a merge import
+  mergeRecord: function (name, current, incoming) {
+    if (current === null || current === undefined) return incoming;
+    if (incoming === null || incoming === undefined) return current;
+
+    switch (name) {
+      case 'highScores': {
+        // Union without duplicates, best first
+        const seen = new Set();
+        const merged = [...current, ...incoming]
+          .filter((entry) => {
+            const key = `${entry.score}|${entry.date}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          })
+          .sort((a, b) => b.score - a.score)
+          .slice(0, MAX_HIGH_SCORES);
+        return keepBestPace(merged);
+      }
+      case 'lifetimeStats': {
+        // Highest value per stat, so importing the same file twice doesn't double count
+        const merged = { ...current };
+        for (const [key, value] of Object.entries(incoming)) {
+          merged[key] = Math.max(merged[key] || 0, value);
+        }
+        return merged;
+      }
+      case 'dailyChallenges':
+        // Keep whichever day is newer
+        return incoming.date > current.date ? incoming : current;
+      case 'challengeBonus':
+        return Math.max(current, incoming);
+      default:
+        // Settings are per device - keep the current ones
+        return current;
+    }
+  },
+
+  // Apply parsed profile records ('merge' combines with current data, 'replace' overwrites it)
+  importProfile: function (records, mode = 'merge') {
     if (!this.isAvailable()) return false;
 
-    try {
-      localStorage.setItem(CHALLENGE_BONUS_KEY, String(amount));
-      return true;
-    } catch (e) {
-      return false;
+    let ok = true;
+    for (const name of PROFILE_RECORDS) {
+      const incoming = records[name];
+
+      if (mode === 'replace') {
+        ok = (incoming === undefined ? this.removeRecord(name) : this.writeRecord(name, incoming)) && ok;
+      } else if (incoming !== undefined) {
+        ok = this.writeRecord(name, this.mergeRecord(name, this.readRecord(name), incoming)) && ok;
+      }
     }
+    return ok;
   },
 };
 
@@ -0,0 +1,231 @@
+/**
+ * Storage Backends for Coin Pusher World
+ * Key/value stores that Storage reads and writes through.
+ *
+ * Every backend has the same synchronous surface so Storage stays synchronous:
+ *   name, isAvailable(), load() -> Promise, getItem(key), setItem(key, value),
+ *   removeItem(key), keys()
+ * Values are strings. IndexedDB is asynchronous, so that backend serves reads
+ * from a cache filled by load() and writes through to the database in the background.
+ */
+
+const DB_NAME = 'coinPusherWorld';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+const KEY_PREFIX = 'coinPusherWorld';
+
+// Plain in-memory map - tests, private browsing, or when nothing else works
+export const MemoryBackend = {
+  name: 'memory',
+  items: new Map(),
+
+  // Always usable
+  isAvailable: function () {
+    return true;
+  },
+
+  // Nothing to load
+  load: function () {
+    return Promise.resolve(true);
+  },
+
+  // Read a value (null when missing)
+  getItem: function (key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  },
+
+  // Store a value
+  setItem: function (key, value) {
+    this.items.set(key, String(value));
+  },
+
+  // Delete a value
+  removeItem: function (key) {
+    this.items.delete(key);
+  },
+
+  // Every stored key
+  keys: function () {
+    return [...this.items.keys()];
+  },
+
+  // Drop every stored item
+  clear: function () {
+    this.items.clear();
+  },
+};
+
+// Synchronous localStorage - the original store, ~5MB cap
+export const LocalStorageBackend = {
+  name: 'localStorage',
+
+  // Check if localStorage is available (throws in some private modes)
+  isAvailable: function () {
+    try {
+      const test = '__storage_test__';
+      localStorage.setItem(test, test);
+      localStorage.removeItem(test);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+
+  // Nothing to load
+  load: function () {
+    return Promise.resolve(this.isAvailable());
+  },
+
+  // Read a value (null when missing)
+  getItem: function (key) {
+    return localStorage.getItem(key);
+  },
+
+  // Store a value
+  setItem: function (key, value) {
+    localStorage.setItem(key, value);
+  },
+
+  // Delete a value
+  removeItem: function (key) {
+    localStorage.removeItem(key);
+  },
+
+  // Every stored key
+  keys: function () {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      keys.push(localStorage.key(i));
+    }
+    return keys;
+  },
+};
+
+// IndexedDB - large blobs (board snapshots, replays) without the localStorage cap
+export const IndexedDBBackend = {
+  name: 'indexedDB',
+  db: null,
+  cache: new Map(),
+  loaded: false,
+
+  // Usable once load() has opened the database
+  isAvailable: function () {
+    return this.loaded;
+  },
+
+  // Open the database and read every item into the cache.
+  // Resolves false when IndexedDB is missing or blocked
+  load: function () {
+    if (this.loaded) return Promise.resolve(true);
+    if (typeof indexedDB === 'undefined') return Promise.resolve(false);
+
+    const self = this;
+    return new Promise(function (resolve) {
+      let request;
+      try {
+        request = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (e) {
+        resolve(false);
+        return;
+      }
+
+      request.onupgradeneeded = function () {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onerror = function () {
+        console.warn('IndexedDB unavailable:', request.error);
+        resolve(false);
+      };
+      request.onsuccess = function () {
+        self.db = request.result;
+        self.readAll()
+          .then(function () {
+            self.loaded = true;
+            resolve(true);
+          })
+          .catch(function (e) {
+            console.warn('Failed to read IndexedDB:', e);
+            resolve(false);
+          });
+      };
+    });
+  },
+
+  // Fill the cache from the object store
+  readAll: function () {
+    const self = this;
+    return new Promise(function (resolve, reject) {
+      const store = self.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+      const request = store.openCursor();
+      request.onsuccess = function () {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        self.cache.set(cursor.key, cursor.value);
+        cursor.continue();
+      };
+      request.onerror = function () {
+        reject(request.error);
+      };
+    });
+  },
+
+  // Run a write in the background - the cache is already up to date
+  write: function (action, key, value) {
+    if (!this.db) return;
+
+    try {
+      const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      if (action === 'put') {
+        store.put(value, key);
+      } else {
+        store.delete(key);
+      }
+      transaction.onerror = function () {
+        console.warn(`IndexedDB ${action} failed for ${key}:`, transaction.error);
+      };
+    } catch (e) {
+      console.warn(`IndexedDB ${action} failed for ${key}:`, e);
+    }
+  },
+
+  // Read a value (null when missing)
+  getItem: function (key) {
+    return this.cache.has(key) ? this.cache.get(key) : null;
+  },
+
+  // Store a value
+  setItem: function (key, value) {
+    this.cache.set(key, String(value));
+    this.write('put', key, String(value));
+  },
+
+  // Delete a value
+  removeItem: function (key) {
+    this.cache.delete(key);
+    this.write('delete', key);
+  },
+
+  // Every stored key
+  keys: function () {
+    return [...this.cache.keys()];
+  },
+
+  // Copy game keys from another backend when this one is still empty (first run after upgrading)
+  importFrom: function (backend) {
+    if (this.cache.size > 0 || !backend.isAvailable()) return 0;
+
+    let copied = 0;
+    for (const key of backend.keys()) {
+      if (!key || !key.startsWith(KEY_PREFIX)) continue;
+      const value = backend.getItem(key);
+      if (value === null) continue;
+      this.setItem(key, value);
+      copied++;
+    }
+    return copied;
+  },
+};
@@ -121,6 +121,29 @@ export function formatNumber(num) {
   return Math.floor(num).toString();
 }
 
+// Format run time in seconds as m:ss
+export function formatTime(seconds) {
+  const whole = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+// Score of a recorded run at a run time - pace is { interval, scores, duration }
+// with scores[i] taken at i * interval; past the end it's the run's final score
+export function getPaceScoreAt(pace, finalScore, seconds) {
+  const scores = pace && pace.scores ? pace.scores : [];
+  if (scores.length === 0 || seconds >= pace.duration) return finalScore;
+
+  const index = Math.floor(seconds / pace.interval);
+  const from = scores[Math.min(index, scores.length - 1)];
+  const nextTime = (index + 1) * pace.interval;
+  const to = index + 1 < scores.length ? scores[index + 1] : finalScore;
+  const toTime = index + 1 < scores.length ? nextTime : pace.duration;
+
+  const span = toTime - index * pace.interval;
+  const t = span > 0 ? (seconds - index * pace.interval) / span : 1;
+  return from + (to - from) * Math.min(1, Math.max(0, t));
+}
+
 // Check if device is mobile
 export function isMobile() {
   return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
@@ -128,6 +151,11 @@ export function isMobile() {
   );
 }
 
+// Check if a DOM is available (false in headless Node simulations)
+export function hasDOM() {
+  return typeof document !== "undefined";
+}
+
 // Check WebGL support level
 export function getWebGLVersion() {
   const canvas = document.createElement("canvas");
@@ -180,6 +208,8 @@ const Utils = {
   throttle,
   debounce,
   formatNumber,
+  formatTime,
+  getPaceScoreAt,
   isMobile,
   getWebGLVersion,
   easing,
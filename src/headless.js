@@ -0,0 +1,246 @@
+/**
+ * Headless Entry Point for Coin Pusher World
+ * Runs the real game systems in Node with a stub renderer, no UI and silent sound
+ * so balance changes can be measured without a browser
+ */
+
+// Core modules
+import Game from './core/Game.js';
+import Physics from './core/Physics.js';
+import Random from './core/Random.js';
+
+// Audio (never initialized, so it stays silent)
+import Sound from './audio/Sound.js';
+
+// Game systems
+import Combo from './systems/Combo.js';
+import Jackpot from './systems/Jackpot.js';
+import PowerUps from './systems/PowerUps.js';
+import CoinRain from './systems/CoinRain.js';
+import Collectibles from './systems/Collectibles.js';
+import Coins from './systems/Coins.js';
+import Relics from './systems/Relics.js';
+import Modifiers from './systems/Modifiers.js';
+import Turns from './systems/Turns.js';
+
+// World
+import Board from './world/Board.js';
+import DropCarriage from './world/DropCarriage.js';
+
+const Headless = {
+  initialized: false,
+
+  // Wire every system the same way main.js does, minus the browser pieces
+  init: function (options = {}) {
+    // Silent sound - no AudioContext is ever created
+    Sound.mute();
+
+    const scene = Game.init({
+      headless: true,
+      rng: Random,
+      seed: options.seed || null,
+      physics: Physics,
+      ui: null,
+      board: Board,
+      coins: Coins,
+      powerUps: PowerUps,
+      sound: Sound,
+      combo: Combo,
+      coinRain: CoinRain,
+      jackpot: Jackpot,
+      collectibles: Collectibles,
+      carriage: DropCarriage,
+    });
+
+    Physics.init(Board, Random);
+
+    Board.init(scene, {
+      physics: Physics,
+      coins: Coins,
+      ui: null,
+      game: Game,
+      rng: Random,
+    });
+
+    Coins.init(scene, {
+      physics: Physics,
+      board: Board,
+      ui: null,
+      sound: Sound,
+      combo: Combo,
+      jackpot: Jackpot,
+      coinRain: CoinRain,
+      powerUps: PowerUps,
+      collectibles: Collectibles,
+      game: Game,
+      rng: Random,
+    });
+
+    PowerUps.init({
+      ui: null,
+      sound: Sound,
+      game: Game,
+      coins: Coins,
+      board: Board,
+      collectibles: Collectibles,
+      rng: Random,
+    });
+
+    Combo.init(null, Sound);
+
+    CoinRain.init({
+      game: Game,
+      sound: Sound,
+      ui: null,
+      coins: Coins,
+      board: Board,
+      jackpot: Jackpot,
+      rng: Random,
+    });
+
+    Jackpot.init(scene, {
+      game: Game,
+      ui: null,
+      sound: Sound,
+      coins: Coins,
+      board: Board,
+      rng: Random,
+    });
+
+    Collectibles.init(scene, {
+      physics: Physics,
+      powerUps: PowerUps,
+      ui: null,
+      game: Game,
+      sound: Sound,
+      coinRain: CoinRain,
+      board: Board,
+      rng: Random,
+    });
+
+    // Sweep by default so auto-drops spread across the board like a player aiming around
+    DropCarriage.init(scene, {
+      board: Board,
+      sweeping: options.sweep !== false,
+    });
+
+    Relics.init(scene, {
+      physics: Physics,
+      board: Board,
+      ui: null,
+      sound: Sound,
+      game: Game,
+      coins: Coins,
+      rng: Random,
+    });
+
+    // Wire up remaining cross-references after init
+    Game.physics = Physics;
+    Game.board = Board;
+    Game.coins = Coins;
+    Game.powerUps = PowerUps;
+    Game.sound = Sound;
+    Game.combo = Combo;
+    Game.coinRain = CoinRain;
+    Game.jackpot = Jackpot;
+    Game.collectibles = Collectibles;
+    Game.relics = Relics;
+    Coins.relics = Relics;
+    Board.relics = Relics;
+
+    Modifiers.init({ ui: null });
+    Game.modifiers = Modifiers;
+    Coins.modifiers = Modifiers;
+    Board.modifiers = Modifiers;
+    Combo.modifiers = Modifiers;
+    Jackpot.modifiers = Modifiers;
+    PowerUps.modifiers = Modifiers;
+    CoinRain.modifiers = Modifiers;
+    Relics.modifiers = Modifiers;
+
+    Turns.init({ game: Game, ui: null, coins: Coins, board: Board, modifiers: Modifiers });
+    Game.turns = Turns;
+    Coins.turns = Turns;
+
+    this.initialized = true;
+    return Game;
+  },
+
+  // Simulate a run and return a JSON-friendly summary
+  // options: minutes, seed, step (seconds per frame), autoDrop, sweep (drop carriage sweeps),
+  // timeLimit (minutes, 0 = endless), turns (turn-based drop economy - auto drop ends each turn)
+  run: function (options = {}) {
+    const minutes = options.minutes || 5;
+    const step = options.step || 1 / 60;
+    const totalSteps = Math.round((minutes * 60) / step);
+    const stepsPerMinute = Math.round(60 / step);
+
+    // Endless unless asked, so the run lasts the requested number of minutes
+    Game.runTimeLimit = (options.timeLimit || 0) * 60;
+    Game.turnMode = !!options.turns;
+
+    try {
+      if (!this.initialized) {
+        this.init(options);
+      } else {
+        Game.fixedSeed = options.seed || null;
+        Game.restart();
+      }
+
+      if (!Game.isRunning) Game.start();
+      Game.autoDrop = options.autoDrop !== false;
+      DropCarriage.sweeping = options.sweep !== false;
+
+      const scoreByMinute = [];
+      let simulatedSteps = 0;
+
+      for (let i = 0; i < totalSteps && Game.isRunning; i++) {
+        Game.runTick(step);
+        simulatedSteps++;
+
+        if (simulatedSteps % stepsPerMinute === 0) {
+          scoreByMinute.push(Game.score);
+        }
+      }
+
+      return this.getSummary(simulatedSteps * step, scoreByMinute);
+    } finally {
+      // Timers left over from this run never fire into the next one
+      Game.clock.reset();
+    }
+  },
+
+  // Score, tier and stats for the current run
+  getSummary: function (simulatedSeconds, scoreByMinute = []) {
+    const session = Game.getSessionSummary();
+
+    return {
+      seed: session.seed,
+      simulatedSeconds: Math.round(simulatedSeconds * 1000) / 1000,
+      score: session.score,
+      tier: session.tier,
+      expansionIndex: Game.currentExpansionIndex,
+      endReason: session.endReason,
+      scoreByMinute: scoreByMinute,
+      stats: {
+        coinsDropped: session.coinsDropped,
+        coinsScored: session.coinsScored,
+        bestCombo: session.bestCombo,
+        jackpotBursts: session.jackpotBursts,
+        collectiblesFound: session.collectiblesFound,
+        powerUpsEarned: session.powerUpsEarned,
+        coinQueue: Coins.coinQueue,
+        coinsOnBoard: Coins.activeCoins.length,
+        jackpotValue: Jackpot.value,
+        powerUps: { ...PowerUps.levels },
+        relics: Relics.collected.map((relic) => relic.id || relic.name),
+        turns: Turns.active ? Turns.turn : null,
+        usedThemes: [...Board.usedThemeIndices],
+        physics: Physics.getStats(),
+        rngDraws: Random.draws,
+      },
+    };
+  },
+};
+
+export default Headless;
@@ -7,6 +7,9 @@
 import Game from './core/Game.js';
 import Physics from './core/Physics.js';
 import Storage from './core/Storage.js';
+import Random from './core/Random.js';
+import GameClock from './core/GameClock.js';
+import Replay from './core/Replay.js';
 import { random, randomInt, clamp, formatNumber } from './core/Utils.js';
 
 // UI and Audio
@@ -21,17 +24,33 @@ import CoinRain from './systems/CoinRain.js';
 import Collectibles from './systems/Collectibles.js';
 import Coins from './systems/Coins.js';
 import Relics from './systems/Relics.js';
+import Modifiers from './systems/Modifiers.js';
 import DailyChallenges from './systems/DailyChallenges.js';
+import RunMode from './systems/RunMode.js';
+import Deck from './systems/Deck.js';
+import Combat from './systems/Combat.js';
+import Turns from './systems/Turns.js';
+import Shop from './systems/Shop.js';
 
 // World
 import Board from './world/Board.js';
+import DropCarriage from './world/DropCarriage.js';
+import TrajectoryPreview from './world/TrajectoryPreview.js';
 
 // Initialize the game when DOM is ready
-document.addEventListener('DOMContentLoaded', function () {
+document.addEventListener('DOMContentLoaded', async function () {
   console.log('Coin Pusher World - Vite Build');
 
-  // Initialize Game first to get the scene
+  const urlParams = new URLSearchParams(window.location.search);
+
+  // Open storage before anything reads settings or saves (IndexedDB loads asynchronously,
+  // ?storage=memory|localStorage|indexedDB forces a backend)
+  await Storage.init(urlParams.get('storage'));
+
+  // Initialize Game first to get the scene (also seeds the run RNG, ?seed= forces a seed)
   const scene = Game.init({
+    rng: Random,
+    seed: urlParams.get('seed'),
     physics: Physics,
     ui: UI,
     board: Board,
@@ -42,10 +61,13 @@ document.addEventListener('DOMContentLoaded', function () {
     coinRain: CoinRain,
     jackpot: Jackpot,
     collectibles: Collectibles,
+    carriage: DropCarriage,
+    preview: TrajectoryPreview,
+    replay: Replay,
   });
 
   // Initialize Physics with Board reference
-  Physics.init(Board);
+  Physics.init(Board, Random);
 
   // Initialize UI with Game reference
   UI.init(Game);
@@ -56,6 +78,7 @@ document.addEventListener('DOMContentLoaded', function () {
     coins: Coins,
     ui: UI,
     game: Game,
+    rng: Random,
   });
 
   // Initialize Coins with scene and all system references
@@ -70,6 +93,7 @@ document.addEventListener('DOMContentLoaded', function () {
     powerUps: PowerUps,
     collectibles: Collectibles,
     game: Game,
+    rng: Random,
   });
 
   // Initialize PowerUps
@@ -80,6 +104,7 @@ document.addEventListener('DOMContentLoaded', function () {
     coins: Coins,
     board: Board,
     collectibles: Collectibles,
+    rng: Random,
   });
 
   // Initialize Sound
@@ -93,8 +118,25 @@ document.addEventListener('DOMContentLoaded', function () {
   Sound.musicEnabled = savedSettings.musicEnabled;
   Sound.enabled = savedSettings.sfxEnabled;
 
+  // Initialize the drop carriage (sweeping is remembered between sessions)
+  DropCarriage.init(scene, {
+    board: Board,
+    sweeping: savedSettings.dropSweep,
+  });
+  UI.updateSweepButton(DropCarriage.sweeping);
+
+  // Initialize the trajectory preview (Foresight upgrades extend it)
+  TrajectoryPreview.init(scene, {
+    physics: Physics,
+    board: Board,
+    carriage: DropCarriage,
+    powerUps: PowerUps,
+    coins: Coins,
+    game: Game,
+    enabled: savedSettings.trajectoryPreview,
+  });
+
   // Auto-mute sounds for tests (check URL parameter)
-  const urlParams = new URLSearchParams(window.location.search);
   if (urlParams.has('mute') || urlParams.has('test')) {
     Sound.mute();
     console.log('Sound muted for testing');
@@ -111,6 +153,7 @@ document.addEventListener('DOMContentLoaded', function () {
     coins: Coins,
     board: Board,
     jackpot: Jackpot,
+    rng: Random,
   });
 
   // Initialize Jackpot
@@ -120,6 +163,7 @@ document.addEventListener('DOMContentLoaded', function () {
     sound: Sound,
     coins: Coins,
     board: Board,
+    rng: Random,
   });
 
   // Initialize Collectibles
@@ -131,6 +175,7 @@ document.addEventListener('DOMContentLoaded', function () {
     sound: Sound,
     coinRain: CoinRain,
     board: Board,
+    rng: Random,
   });
 
   // Initialize Relics
@@ -141,6 +186,7 @@ document.addEventListener('DOMContentLoaded', function () {
     sound: Sound,
     game: Game,
     coins: Coins,
+    rng: Random,
   });
 
   // Wire up remaining cross-references after init
@@ -156,14 +202,33 @@ document.addEventListener('DOMContentLoaded', function () {
   Game.collectibles = Collectibles;
   Game.relics = Relics;
 
-  // Wire Relics to Coins for drop checks
+  // Wire Relics to Coins for drop checks and to Board for tier bonuses
   Coins.relics = Relics;
+  Board.relics = Relics;
+
+  // Modifier stack - power-ups, relics and timed rewards register on it, the rest read stats from it
+  Modifiers.init({ ui: UI });
+  Game.modifiers = Modifiers;
+  Coins.modifiers = Modifiers;
+  Board.modifiers = Modifiers;
+  Combo.modifiers = Modifiers;
+  Jackpot.modifiers = Modifiers;
+  PowerUps.modifiers = Modifiers;
+  CoinRain.modifiers = Modifiers;
+  Relics.modifiers = Modifiers;
+  UI.modifiers = Modifiers;
+
+  // ?debug opens the modifier debug panel (backquote toggles it)
+  if (urlParams.has('debug')) UI.toggleModifierDebug(true);
 
   // Wire Storage and Sound to Game and UI
   Game.storage = Storage;
   UI.storage = Storage;
   UI.sound = Sound;
 
+  // Storage is wired now - offer to continue a saved run
+  UI.updateContinueButton();
+
   // Initialize Daily Challenges
   DailyChallenges.init({
     storage: Storage,
@@ -173,6 +238,76 @@ document.addEventListener('DOMContentLoaded', function () {
   });
   Game.dailyChallenges = DailyChallenges;
 
+  // Initialize Replays (recording starts with each new run)
+  Replay.init({
+    game: Game,
+    storage: Storage,
+    ui: UI,
+    sound: Sound,
+  });
+  UI.replay = Replay;
+
+  // Initialize Run mode (encounters are played through Game.startEncounter)
+  RunMode.init({
+    game: Game,
+    ui: UI,
+    rng: Random,
+    sound: Sound,
+    powerUps: PowerUps,
+    board: Board,
+    deck: Deck,
+  });
+  Game.runMode = RunMode;
+  UI.runMode = RunMode;
+
+  // Initialize the Run mode coin deck (dropped coins come from its hand during encounters)
+  Deck.init({
+    game: Game,
+    ui: UI,
+    rng: Random,
+    runMode: RunMode,
+  });
+  Game.deck = Deck;
+  Coins.deck = Deck;
+
+  // Initialize Run mode combat (coins that fall during a fight damage the enemy)
+  Combat.init({
+    game: Game,
+    ui: UI,
+    sound: Sound,
+    coins: Coins,
+    deck: Deck,
+    runMode: RunMode,
+  });
+  Game.combat = Combat;
+  Coins.combat = Combat;
+  Deck.combat = Combat;
+
+  // Initialize the turn-based drop economy (Endless runs with the setting on)
+  Turns.init({
+    game: Game,
+    ui: UI,
+    coins: Coins,
+    board: Board,
+    modifiers: Modifiers,
+  });
+  Game.turns = Turns;
+  Coins.turns = Turns;
+
+  // Initialize the shop (gold slots pay into it; opens between Endless tiers and at Run mode shop nodes)
+  Shop.init({
+    game: Game,
+    ui: UI,
+    sound: Sound,
+    relics: Relics,
+    powerUps: PowerUps,
+    deck: Deck,
+    runMode: RunMode,
+  });
+  Game.shop = Shop;
+  Coins.shop = Shop;
+  RunMode.shop = Shop;
+
   // Expose for console debugging and automated tests
   Object.assign(window, {
     Game,
@@ -187,8 +322,18 @@ document.addEventListener('DOMContentLoaded', function () {
     Jackpot,
     Collectibles,
     Relics,
+    DropCarriage,
+    TrajectoryPreview,
     Storage,
     DailyChallenges,
+    Random,
+    GameClock,
+    Replay,
+    RunMode,
+    Deck,
+    Combat,
+    Turns,
+    Shop,
   });
 
   console.log('Game initialized successfully!');
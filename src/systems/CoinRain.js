@@ -3,7 +3,6 @@
  * Non-interrupting reward system that spawns coins from above
  */
 
-import { random } from '../core/Utils.js';
 
 const CoinRain = {
   // Track coins dropped for rewards
@@ -29,6 +28,8 @@ const CoinRain = {
   coins: null,
   board: null,
   jackpot: null,
+  rng: null,
+  modifiers: null, // wired after init
 
   // Initialize
   init: function (refs = {}) {
@@ -38,6 +39,7 @@ const CoinRain = {
     this.coins = refs.coins;
     this.board = refs.board;
     this.jackpot = refs.jackpot;
+    this.rng = refs.rng;
     this.coinsDropped = 0;
   },
 
@@ -53,7 +55,7 @@ const CoinRain = {
   // Pick a random reward based on weights
   pickReward: function () {
     const totalWeight = this.rewards.reduce((sum, r) => sum + r.weight, 0);
-    let roll = Math.random() * totalWeight;
+    let roll = this.rng.next() * totalWeight;
 
     for (const reward of this.rewards) {
       roll -= reward.weight;
@@ -76,6 +78,8 @@ const CoinRain = {
       prefix = "BONUS: ";
     } else if (reason === "bonusSlot") {
       prefix = "SLOT BONUS: ";
+    } else if (reason === "cosmicEgg") {
+      prefix = "🥚 ";
     }
 
     if (this.ui) {
@@ -87,7 +91,7 @@ const CoinRain = {
     this.applyReward(reward);
 
     // Always spawn some visual coin rain
-    this.spawnCoinRain(10 + Math.floor(Math.random() * 10));
+    this.spawnCoinRain(this.rng.int(10, 19));
   },
 
   // Apply the selected reward
@@ -98,12 +102,18 @@ const CoinRain = {
         break;
 
       case "multiplier":
-        if (this.coins) {
-          this.coins.valueMultiplier *= reward.value;
-          setTimeout(() => {
-            this.coins.valueMultiplier = Math.max(1, this.coins.valueMultiplier / reward.value);
-            if (this.ui) this.ui.showMessage("Multiplier ended!");
-          }, 30000);
+        if (this.modifiers) {
+          this.modifiers.add({
+            id: "coinRainMultiplier",
+            stat: "coinValue",
+            op: "mul",
+            value: reward.value,
+            duration: 30,
+            source: "coinRain",
+            label: reward.label,
+            icon: reward.icon,
+            endMessage: "Multiplier ended!",
+          });
         }
         break;
 
@@ -124,38 +134,25 @@ const CoinRain = {
   // Spawn coins falling from above
   spawnCoinRain: function (count) {
     const dropZone = this.board?.getDropZone();
-    if (!dropZone || !this.coins) return;
-
-    for (let i = 0; i < count; i++) {
-      setTimeout(() => {
-        const x = random(dropZone.minX, dropZone.maxX);
-        const y = dropZone.y + 3 + Math.random() * 5;
-        const z = dropZone.z + Math.random() * 2;
-        const type = Math.random() < 0.2 ? "special" : "gold";
-        this.coins.spawnCoin(x, y, z, type);
-      }, i * 60);
-    }
+    if (!dropZone || !this.coins || !this.game) return;
+
+    this.game.clock.repeat(0.06, () => {
+      const x = this.rng.range(dropZone.minX, dropZone.maxX);
+      const y = dropZone.y + this.rng.range(3, 8);
+      const z = dropZone.z + this.rng.range(0, 2);
+      const type = this.rng.chance(0.2) ? "special" : "gold";
+      this.coins.spawnCoin(x, y, z, type);
+    }, count);
   },
 
-  // Trigger frenzy mode
+  // Trigger frenzy mode - double pusher speed and coin value (refreshes a running frenzy)
   triggerFrenzyMode: function (duration) {
     if (this.ui) this.ui.showMessage("🔥 FRENZY MODE!");
+    if (!this.modifiers) return;
 
-    // Speed up pushers
-    const pushers = this.board?.pushers || [];
-    const originalSpeeds = pushers.map(p => p.speed);
-    pushers.forEach(p => p.speed *= 2);
-
-    // Double coin value
-    const originalMult = this.coins?.valueMultiplier || 1;
-    if (this.coins) this.coins.valueMultiplier *= 2;
-
-    // End frenzy after duration
-    setTimeout(() => {
-      pushers.forEach((p, i) => p.speed = originalSpeeds[i]);
-      if (this.coins) this.coins.valueMultiplier = originalMult;
-      if (this.ui) this.ui.showMessage("Frenzy ended!");
-    }, duration * 1000);
+    const frenzy = { id: "frenzy", op: "mul", value: 2, duration: duration, source: "coinRain", label: "Frenzy", icon: "🔥" };
+    this.modifiers.add({ ...frenzy, stat: "pusherSpeed" });
+    this.modifiers.add({ ...frenzy, stat: "coinValue", endMessage: "Frenzy ended!" });
   },
 };
 
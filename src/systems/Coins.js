@@ -4,7 +4,22 @@
  */
 
 import * as THREE from 'three';
-import { random, randomInt } from '../core/Utils.js';
+import { slotTypes } from '../world/themes/index.js';
+import { coinDefinitions } from './Deck.js';
+
+// Physics variants - any coin type can come in any variant
+// rimColor tints the rims so a variant can be told apart on the board (standard keeps the type's rims),
+// stickiness makes touching coins drag each other along so they clump,
+// weight is the odds among variants when a regular drop rolls one,
+// cost is the energy it takes to drop one in turn mode (see Turns.js)
+export const coinVariants = {
+  standard: { id: "standard", name: "Standard", radius: 0.35, height: 0.12, mass: 1, friction: 0.35, restitution: 0.25, stickiness: 0, rimColor: null, weight: 0, cost: 1 },
+  heavy: { id: "heavy", name: "Heavy", radius: 0.35, height: 0.18, mass: 2.5, friction: 0.4, restitution: 0.15, stickiness: 0, rimColor: 0x444455, weight: 30, cost: 2 },
+  light: { id: "light", name: "Light", radius: 0.32, height: 0.08, mass: 0.5, friction: 0.12, restitution: 0.3, stickiness: 0, rimColor: 0xe8f4ff, weight: 30, cost: 1 },
+  sticky: { id: "sticky", name: "Sticky", radius: 0.35, height: 0.12, mass: 1.1, friction: 1.2, restitution: 0.05, stickiness: 0.5, rimColor: 0x33cc44, weight: 15, cost: 2 },
+  bouncy: { id: "bouncy", name: "Bouncy", radius: 0.33, height: 0.12, mass: 0.9, friction: 0.3, restitution: 0.75, stickiness: 0, rimColor: 0xff55aa, weight: 15, cost: 2 },
+  big: { id: "big", name: "Big", radius: 0.5, height: 0.14, mass: 1.8, friction: 0.35, restitution: 0.2, stickiness: 0, rimColor: 0xff9922, weight: 10, cost: 3 },
+};
 
 const Coins = {
   // Coin pool for performance
@@ -21,6 +36,8 @@ const Coins = {
   materials: {},
   rimMaterials: {},
   faceMaterials: {},
+  variantGeometries: {}, // variant -> { body, rim }
+  variantRimMaterials: {}, // variant -> rim material (standard has none)
 
   // Queue system
   coinQueue: 0,
@@ -37,7 +54,7 @@ const Coins = {
   coinRadius: 0.35,
   coinHeight: 0.12,
   baseValue: 10,
-  valueMultiplier: 1,
+  variantChance: 0.12, // odds a regular drop is a non-standard variant
 
   // References
   scene: null,
@@ -51,6 +68,12 @@ const Coins = {
   powerUps: null,
   collectibles: null,
   game: null,
+  rng: null,
+  deck: null, // Run mode coin deck (wired after init)
+  combat: null, // Run mode fights (wired after init)
+  turns: null, // turn-based drop economy (wired after init)
+  shop: null, // gold wallet (wired after init)
+  modifiers: null, // wired after init
 
   // Initialize coin system
   init: function (scene, refs = {}) {
@@ -65,6 +88,7 @@ const Coins = {
     this.powerUps = refs.powerUps;
     this.collectibles = refs.collectibles;
     this.game = refs.game;
+    this.rng = refs.rng;
 
     this.coinPool = [];
     this.activeCoins = [];
@@ -72,6 +96,10 @@ const Coins = {
     this.queueTimer = 0;
     this.regenTimer = 0;
 
+    // Upgrade effects belong to the run that earned them
+    this.maxQueueSize = 20;
+    this.queueSpeed = 3;
+
     // Create enhanced coin geometry with beveled edge
     this.geometry = new THREE.CylinderGeometry(
       this.coinRadius,
@@ -89,6 +117,28 @@ const Coins = {
       32
     );
 
+    // Body and rim geometry per physics variant (standard shares the geometry above)
+    this.variantGeometries = {};
+    this.variantRimMaterials = {};
+    for (const variant of Object.values(coinVariants)) {
+      const isStandard = variant.radius === this.coinRadius && variant.height === this.coinHeight;
+      this.variantGeometries[variant.id] = isStandard
+        ? { body: this.geometry, rim: this.rimGeometry }
+        : {
+            body: new THREE.CylinderGeometry(variant.radius, variant.radius, variant.height, 32, 1),
+            rim: new THREE.TorusGeometry(variant.radius - 0.02, 0.025, 8, 32),
+          };
+
+      if (variant.rimColor !== null) {
+        this.variantRimMaterials[variant.id] = new THREE.MeshPhongMaterial({
+          color: variant.rimColor,
+          specular: 0xffffff,
+          shininess: variant.id === "sticky" ? 40 : 110,
+          emissive: new THREE.Color(variant.rimColor).multiplyScalar(0.15),
+        });
+      }
+    }
+
     // Face emblem geometries
     this.starGeometry = this.createStarGeometry(0.15, 0.07, 5);
     this.gemGeometry = this.createGemGeometry(0.12);
@@ -353,7 +403,9 @@ const Coins = {
       body: null,
       active: false,
       type: "gold",
+      variant: "standard",
       value: this.baseValue,
+      deckCoin: null, // Run mode deck coin this is (null for regular coins)
     });
 
     return this.coinPool[this.coinPool.length - 1];
@@ -402,6 +454,46 @@ const Coins = {
     }
   },
 
+  // Apply a physics variant's shape - body and rim geometry, emblem height and tinted rims
+  // (call after applyCoinType)
+  applyCoinVariant: function (coin, variantId) {
+    const variant = coinVariants[variantId] || coinVariants.standard;
+    const geometries = this.variantGeometries[variant.id];
+    const parts = coin.mesh.userData;
+    const faceY = variant.height / 2 + 0.01;
+    const emblemScale = variant.radius / this.coinRadius;
+
+    parts.body.geometry = geometries.body;
+    parts.topRim.geometry = geometries.rim;
+    parts.bottomRim.geometry = geometries.rim;
+    parts.topRim.position.y = faceY;
+    parts.bottomRim.position.y = -faceY;
+    parts.topEmblem.position.y = faceY;
+    parts.bottomEmblem.position.y = -faceY;
+    parts.topEmblem.scale.setScalar(emblemScale);
+    parts.bottomEmblem.scale.setScalar(emblemScale);
+
+    const rimMaterial = this.variantRimMaterials[variant.id];
+    if (rimMaterial) {
+      parts.topRim.material = rimMaterial;
+      parts.bottomRim.material = rimMaterial;
+    }
+  },
+
+  // Roll the physics variant of a regular drop
+  rollVariant: function () {
+    if (!this.rng.chance(this.variantChance)) return "standard";
+
+    const variants = Object.values(coinVariants).filter((variant) => variant.weight > 0);
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let roll = this.rng.range(0, total);
+    for (const variant of variants) {
+      roll -= variant.weight;
+      if (roll < 0) return variant.id;
+    }
+    return "standard";
+  },
+
   // Apply rainbow prismatic effect (static, no flashing)
   applyRainbowEffect: function (coin) {
     const group = coin.mesh;
@@ -460,15 +552,19 @@ const Coins = {
   },
 
   // Spawn a coin at position
-  spawnCoin: function (x, y, z, type) {
+  // variant: physics variant id (see coinVariants) - standard when omitted
+  spawnCoin: function (x, y, z, type, variant = "standard") {
     type = type || "gold";
+    const physical = coinVariants[variant] || coinVariants.standard;
 
     const coin = this.getCoin();
     coin.active = true;
     coin.type = type;
+    coin.variant = physical.id;
 
-    // Apply the visual theme for this coin type
+    // Apply the visual theme for this coin type, then the variant's shape
     this.applyCoinType(coin, type);
+    this.applyCoinVariant(coin, physical.id);
 
     coin.mesh.visible = true;
     coin.mesh.position.set(x, y, z);
@@ -476,22 +572,23 @@ const Coins = {
     // Rotate around Z by 90 degrees so cylinder axis is horizontal (along X)
     coin.mesh.rotation.set(0, 0, Math.PI / 2);
 
-    // Set value based on type and multiplier
+    // Set value based on type and the coin value stat (upgrades, relics, timed rewards)
+    const valueMultiplier = this.modifiers ? this.modifiers.get("coinValue") : 1;
     switch (type) {
       case "gold":
-        coin.value = this.baseValue * this.valueMultiplier;
+        coin.value = this.baseValue * valueMultiplier;
         break;
       case "silver":
-        coin.value = this.baseValue * 0.5 * this.valueMultiplier;
+        coin.value = this.baseValue * 0.5 * valueMultiplier;
         break;
       case "bronze":
-        coin.value = this.baseValue * 0.25 * this.valueMultiplier;
+        coin.value = this.baseValue * 0.25 * valueMultiplier;
         break;
       case "special":
-        coin.value = this.baseValue * 5 * this.valueMultiplier;
+        coin.value = this.baseValue * 5 * valueMultiplier;
         break;
       case "rainbow":
-        coin.value = this.baseValue * 10 * this.valueMultiplier;
+        coin.value = this.baseValue * 10 * valueMultiplier;
         break;
     }
 
@@ -502,11 +599,12 @@ const Coins = {
       x: x,
       y: y,
       z: z,
-      radius: this.coinRadius,
-      height: this.coinHeight,
-      mass: 1,
-      friction: 0.35,
-      restitution: 0.25,
+      radius: physical.radius,
+      height: physical.height,
+      mass: physical.mass,
+      friction: physical.friction,
+      restitution: physical.restitution,
+      stickiness: physical.stickiness,
       mesh: coin.mesh,
       // Initial rotation - coin standing on edge (vertical like pachinko)
       rx: 0,
@@ -520,11 +618,11 @@ const Coins = {
 
     if (coin.body) {
       // Add small random velocity for natural spread - reduced for more controlled drops
-      coin.body.vx = random(-0.3, 0.3);
-      coin.body.vy = random(-0.2, 0);
+      coin.body.vx = this.rng.range(-0.3, 0.3);
+      coin.body.vy = this.rng.range(-0.2, 0);
 
       // Small initial spin - reduced for more realistic behavior
-      coin.body.ay = random(-0.5, 0.5);
+      coin.body.ay = this.rng.range(-0.5, 0.5);
     }
 
     this.activeCoins.push(coin);
@@ -553,16 +651,27 @@ const Coins = {
 
     // Check bonus zones first
     const bonusResult = this.checkBonusZones(body.x, body.y, body.z);
+    let relicBonus = 0;
+    let effectTriggered = true;
+    let combatPoints = coin.value; // what the fall hits a Run mode enemy for
 
     if (bonusResult) {
       if (bonusResult.type === "miss") {
         // Small consolation score
         if (this.game) this.game.addScore(Math.floor(coin.value * 0.1), body.x, body.y, body.z, 1);
         if (this.ui) this.ui.showMessage("Saved!");
+        combatPoints = 0;
+      } else if (bonusResult.type === "slot" && bonusResult.slotType === "dud") {
+        // Dud slot - the coin is lost (deck coins don't trigger either)
+        effectTriggered = false;
+        combatPoints = 0;
+        if (this.ui) this.ui.showMessage("Dud!");
       } else if (bonusResult.type === "slot") {
-        // Slot multiplier + combo multiplier
-        const slotMult = bonusResult.multiplier || 1;
+        // Slot multiplier (boosted by relics when it pays out) + combo multiplier
+        let slotMult = bonusResult.multiplier !== undefined ? bonusResult.multiplier : 1;
+        if (slotMult > 1 && this.modifiers) slotMult *= this.modifiers.get("slotMultiplier");
         const totalMult = slotMult * comboMult;
+        combatPoints = coin.value * slotMult;
         if (this.game) {
           this.game.addScore(coin.value, body.x, body.y, body.z, totalMult);
           // Screen shake for high multiplier slots
@@ -578,11 +687,13 @@ const Coins = {
 
         if (bonusResult.isBonus) {
           // Bonus slots trigger coin rain or powerup
-          if (this.coinRain && Math.random() < 0.5) {
+          if (this.coinRain && this.rng.chance(0.5)) {
             this.coinRain.trigger("bonusSlot");
           } else if (this.powerUps) {
             this.powerUps.showSelection();
           }
+        } else if (bonusResult.slotType) {
+          relicBonus = this.applySlotEffect(bonusResult.slotType, coin);
         }
 
         // Chance to spawn collectible
@@ -604,13 +715,50 @@ const Coins = {
     // Play sound
     if (this.sound) this.sound.play("coin");
 
-    // Check for relic drop
-    if (this.relics) this.relics.checkDrop();
+    // Run mode fight - the fall hits the enemy
+    if (this.combat) this.combat.onCoinScored(combatPoints);
+
+    // Deck coin - trigger its effect and send it to the discard pile
+    if (coin.deckCoin && this.deck) {
+      this.deck.onCoinFell(coin.deckCoin, { x: body.x, y: body.y, z: body.z }, effectTriggered);
+    }
+
+    // Check for relic drop (relic slots raise the chance)
+    if (this.relics) this.relics.checkDrop(relicBonus);
 
     // Recycle coin
     this.recycleCoin(coin);
   },
 
+  // Special scoring slot effects (refund, jackpot feed, relic chance).
+  // Returns the extra relic drop chance for this coin
+  applySlotEffect: function (slotType, coin) {
+    const def = slotTypes[slotType];
+    if (!def) return 0;
+
+    switch (slotType) {
+      case "refund":
+        this.addToQueue(def.refund);
+        if (this.ui) this.ui.showMessage("+" + def.refund + " Refund!");
+        return 0;
+
+      case "jackpot":
+        if (this.jackpot) this.jackpot.contribute(coin.value * def.feed);
+        if (this.ui) this.ui.showMessage("Jackpot Fed!");
+        return 0;
+
+      case "relic":
+        return def.relicChance;
+
+      case "gold":
+        if (this.shop) this.shop.earnGold(def.gold);
+        return 0;
+
+      default:
+        return 0;
+    }
+  },
+
   // Check if coin hit a bonus zone
   checkBonusZones: function (x, y, z) {
     const bonusZones = this.board?.bonusZones || [];
@@ -654,17 +802,26 @@ const Coins = {
   triggerBonus: function (zone, x, y) {
     switch (zone.type) {
       case "queue":
-        const addAmount = randomInt(3, 8);
+        const addAmount = this.rng.int(3, 8);
         this.addToQueue(addAmount);
         if (this.ui) this.ui.showMessage("+" + addAmount + " Coins!", x, y);
         if (this.sound) this.sound.play("bonus");
         break;
 
       case "multiplier":
-        this.valueMultiplier *= 2;
-        setTimeout(() => {
-          this.valueMultiplier = Math.max(1, this.valueMultiplier / 2);
-        }, 10000);
+        // Hitting it again restarts the 10s rather than doubling again
+        if (this.modifiers) {
+          this.modifiers.add({
+            id: "multiplierZone",
+            stat: "coinValue",
+            op: "mul",
+            value: 2,
+            duration: 10,
+            source: "board",
+            label: "2x Value zone",
+            icon: "✖️",
+          });
+        }
         if (this.ui) this.ui.showMessage("2x Value!", x, y);
         if (this.sound) this.sound.play("bonus");
         break;
@@ -688,6 +845,7 @@ const Coins = {
   recycleCoin: function (coin) {
     coin.active = false;
     coin.mesh.visible = false;
+    coin.deckCoin = null;
 
     if (coin.body && this.physics) {
       this.physics.removeBody(coin.body);
@@ -701,24 +859,40 @@ const Coins = {
   },
 
   // Drop a coin manually - returns true if coin was dropped
-  dropCoin: function () {
+  // x: release position (the drop carriage); random within the drop zone when omitted
+  // variant: physics variant (rolled when omitted), cost: queue coins it takes
+  // (turn mode pays its energy up front and passes 0)
+  dropCoin: function (x = null, variant = null, cost = 1) {
     const dropZone = this.board?.getDropZone();
     if (!dropZone) return false;
 
     // Check queue
-    if (this.coinQueue <= 0) return false;
-    this.coinQueue--;
+    if (this.coinQueue < cost) return false;
+
+    // Run mode encounters drop the selected coin of the hand (plain coins while the
+    // whole deck is on the board)
+    const deckCoin = this.deck && this.deck.active ? this.deck.takeSelected() : null;
+
+    this.coinQueue -= cost;
     if (this.ui) this.ui.updateQueue(this.coinQueue);
 
-    // Random X position within drop zone
-    const dropX = random(dropZone.minX, dropZone.maxX);
+    const dropX = x !== null ? x : this.rng.range(dropZone.minX, dropZone.maxX);
     const dropY = dropZone.y;
     const dropZ = dropZone.z;
 
+    if (deckCoin) {
+      const def = coinDefinitions[deckCoin.id];
+      const coin = this.spawnCoin(dropX, dropY, dropZ, def.visual, def.variant);
+      coin.deckCoin = deckCoin;
+      this.applyDropValue(coin);
+      return true;
+    }
+
     // Determine coin type with luck factor
-    const luckyChance = this.powerUps ? this.powerUps.getLuckyChance() : 0.05;
+    let luckyChance = this.powerUps ? this.powerUps.getLuckyChance() : 0.05;
+    if (this.modifiers) luckyChance += this.modifiers.get("luckyChance");
     let type = "gold";
-    const rand = Math.random();
+    const rand = this.rng.next();
 
     if (rand < luckyChance * 0.5) {
       type = "rainbow";
@@ -730,10 +904,29 @@ const Coins = {
       type = "bronze";
     }
 
-    this.spawnCoin(dropX, dropY, dropZ, type);
+    const coin = this.spawnCoin(dropX, dropY, dropZ, type, variant || this.rollVariant());
+    this.applyDropValue(coin);
     return true;
   },
 
+  // Dropped coin value stat (golden touch) - each drop spends a use
+  applyDropValue: function (coin) {
+    if (!this.modifiers) return;
+    coin.value *= this.modifiers.get("dropValue");
+    this.modifiers.use("dropValue");
+  },
+
+  // Drop a plain gold coin that doesn't come out of the queue (relic extra coins)
+  dropFreeCoin: function (x = null) {
+    const dropZone = this.board?.getDropZone();
+    if (!dropZone) return;
+
+    // Nudge it off the paid coin so the two don't spawn inside each other
+    const baseX = x !== null ? x : this.rng.range(dropZone.minX, dropZone.maxX);
+    const dropX = Math.max(dropZone.minX, Math.min(dropZone.maxX, baseX + this.rng.range(-1, 1)));
+    this.spawnCoin(dropX, dropZone.y + 1, dropZone.z, "gold", this.rollVariant());
+  },
+
   // Add coins to queue
   addToQueue: function (amount) {
     this.coinQueue = Math.min(this.coinQueue + amount, this.maxQueueSize);
@@ -742,7 +935,10 @@ const Coins = {
 
   // Update coin queue regeneration (passive income)
   updateQueue: function (deltaTime) {
-    // Always regenerate coins over time (passive income)
+    // Turn mode grants energy each turn instead
+    if (this.turns && this.turns.active) return;
+
+    // Regenerate coins over time (passive income)
     this.regenTimer += deltaTime;
 
     if (this.regenTimer >= this.regenInterval) {
@@ -760,9 +956,10 @@ const Coins = {
   // Update all coins
   update: function (deltaTime) {
     this.updateQueue(deltaTime);
+    this.applyMagnetism(deltaTime);
 
     // Update rainbow coins with slow, smooth color shifting (no flashing)
-    const time = performance.now() * 0.0002; // Very slow animation
+    const time = (this.game ? this.game.clock.time : 0) * 0.0002; // Very slow animation
     for (let i = 0; i < this.activeCoins.length; i++) {
       const coin = this.activeCoins[i];
       if (coin.type === "rainbow" && coin.rainbowHue !== undefined) {
@@ -775,13 +972,14 @@ const Coins = {
           parts.body.material.color.setHSL(currentHue, 0.6, 0.7);
           parts.body.material.emissive.setHSL(currentHue, 0.5, 0.15);
 
-          // Rim stays complementary
+          // Rim stays complementary (variant rims are shared tints - leave them be)
           const rimHue = (currentHue + 0.5) % 1;
-          if (parts.topRim.material.color) {
+          const ownRims = !this.variantRimMaterials[coin.variant];
+          if (ownRims && parts.topRim.material.color) {
             parts.topRim.material.color.setHSL(rimHue, 0.7, 0.6);
             parts.topRim.material.emissive.setHSL(rimHue, 0.5, 0.1);
           }
-          if (parts.bottomRim.material.color) {
+          if (ownRims && parts.bottomRim.material.color) {
             parts.bottomRim.material.color.setHSL(rimHue, 0.7, 0.6);
             parts.bottomRim.material.emissive.setHSL(rimHue, 0.5, 0.1);
           }
@@ -810,6 +1008,18 @@ const Coins = {
     }
   },
 
+  // Relic magnetism - coins drift toward the middle of the board
+  applyMagnetism: function (deltaTime) {
+    const magnetism = this.modifiers ? this.modifiers.get("magnetism") : 0;
+    if (magnetism <= 0) return;
+
+    for (const coin of this.activeCoins) {
+      const body = coin.body;
+      if (!body || body.isSleeping) continue;
+      body.vx -= body.x * magnetism * deltaTime;
+    }
+  },
+
   // Get active coin count
   getActiveCount: function () {
     return this.activeCoins.length;
@@ -824,8 +1034,49 @@ const Coins = {
     this.maxQueueSize = max;
   },
 
-  setValueMultiplier: function (mult) {
-    this.valueMultiplier = mult;
+  // Get save data
+  getSaveData: function () {
+    return {
+      queue: this.coinQueue,
+      regenTimer: this.regenTimer,
+    };
+  },
+
+  // Load save data (call after power-ups so the queue cap is right)
+  loadSaveData: function (data) {
+    if (!data) return;
+    this.coinQueue = Math.min(Math.max(0, data.queue || 0), this.maxQueueSize);
+    this.regenTimer = data.regenTimer || 0;
+    if (this.ui) this.ui.updateQueue(this.coinQueue);
+  },
+
+  // Snapshot every coin on the board - type, variant, value and body state
+  getSnapshot: function () {
+    const snapshot = [];
+    for (const coin of this.activeCoins) {
+      if (!coin.body || !this.physics) continue;
+      snapshot.push({
+        type: coin.type,
+        variant: coin.variant,
+        value: coin.value,
+        body: this.physics.getBodyState(coin.body),
+      });
+    }
+    return snapshot;
+  },
+
+  // Rehydrate coins from getSnapshot() through the pool
+  restoreSnapshot: function (snapshot) {
+    if (!Array.isArray(snapshot)) return;
+
+    this.cleanup();
+    for (const saved of snapshot) {
+      if (!saved || !saved.body) continue;
+
+      const coin = this.spawnCoin(saved.body.x, saved.body.y, saved.body.z, saved.type, saved.variant);
+      if (typeof saved.value === "number") coin.value = saved.value;
+      if (this.physics) this.physics.setBodyState(coin.body, saved.body);
+    }
   },
 
   // Clean up all coins
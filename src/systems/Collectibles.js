@@ -88,6 +88,7 @@ const Collectibles = {
   sound: null,
   coinRain: null,
   board: null,
+  rng: null,
 
   // Initialize
   init: function (scene, refs = {}) {
@@ -99,6 +100,7 @@ const Collectibles = {
     this.sound = refs.sound;
     this.coinRain = refs.coinRain;
     this.board = refs.board;
+    this.rng = refs.rng;
 
     this.activeItems = [];
     this.collection = {};
@@ -131,14 +133,14 @@ const Collectibles = {
     const luck = this.powerUps ? this.powerUps.getLuckyChance() : 0.05;
     const chance = this.baseDropChance + luck * 0.5;
 
-    if (Math.random() < chance) {
+    if (this.rng.chance(chance)) {
       this.spawnRandom(x, y, z);
     }
   },
 
   // Spawn a random collectible
   spawnRandom: function (x, y, z) {
-    const rand = Math.random();
+    const rand = this.rng.next();
     let rarity = "common";
     let cumulative = 0;
 
@@ -170,7 +172,7 @@ const Collectibles = {
       }
     }
 
-    const chosen = availableItems[Math.floor(Math.random() * availableItems.length)];
+    const chosen = this.rng.pick(availableItems);
     this.spawn(x, y, z, chosen.setId, chosen.item);
   },
 
@@ -281,7 +283,7 @@ const Collectibles = {
 
   // Update collectibles
   update: function (deltaTime) {
-    const time = performance.now() * 0.001;
+    const time = (this.game ? this.game.clock.time : 0) * 0.001;
     const scoringY = this.board?.scoringY ?? -15;
 
     for (let i = this.activeItems.length - 1; i >= 0; i--) {
@@ -321,6 +323,25 @@ const Collectibles = {
     return status;
   },
 
+  // Get save data
+  getSaveData: function () {
+    return {
+      collection: JSON.parse(JSON.stringify(this.collection)),
+    };
+  },
+
+  // Load save data (unknown sets/items from older saves are ignored)
+  loadSaveData: function (data) {
+    if (!data || !data.collection) return;
+
+    for (const setId in this.collection) {
+      const saved = data.collection[setId] || {};
+      for (const itemId in this.collection[setId]) {
+        this.collection[setId][itemId] = saved[itemId] || 0;
+      }
+    }
+  },
+
   // Cleanup
   cleanup: function () {
     for (let i = this.activeItems.length - 1; i >= 0; i--) {
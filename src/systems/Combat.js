@@ -0,0 +1,396 @@
+/**
+ * Combat for Coin Pusher World
+ * Run mode encounters are fights (see docs/design-spec.md). The enemy has HP and
+ * telegraphs its next move; the player has the run's HP, block and a few energy
+ * per turn. A turn goes:
+ *   1. energy refills and a new hand is drawn
+ *   2. each drop spends one energy
+ *   3. once the energy is spent the board settles for a few seconds
+ *   4. the enemy acts on its intent, then the next turn starts
+ * Coins that fall off the board hit the enemy - their points (scoring slot
+ * multipliers included) are turned into damage, and deck coins add their own
+ * damage and block. Win and loss go through Game.gameOver.
+ */
+
+// Intent types an enemy can telegraph
+export const intentTypes = {
+  attack: { icon: "🗡️", name: "Attack" }, // value damage (+ strength) to the player
+  defend: { icon: "🛡️", name: "Defend" }, // value block for the enemy
+  buff: { icon: "💪", name: "Buff" }, // +value strength - every attack hits harder
+  curse: { icon: "🧿", name: "Curse" }, // value Curse Coins into the discard pile for this fight
+};
+
+// Passive abilities
+//   enrage - +value strength at the start of every turn after the first (punishes long setups)
+//   thorns - every value-th coin that falls deals 1 damage to the player (punishes spam)
+//   shell  - takes half damage until it's been hit for value in one turn (rewards burst turns)
+export const enemyAbilities = {
+  enrage: { icon: "😡", describe: (value) => `Gains ${value} strength every turn` },
+  thorns: { icon: "🌵", describe: (value) => `Every ${value} coins that fall deal 1 damage to you` },
+  shell: { icon: "🐚", describe: (value) => `Takes half damage until hit for ${value} in one turn` },
+};
+
+// Enemy definitions - act (0-2), the node type it's fought at, HP before row scaling,
+// a repeating intent pattern and an optional ability
+export const enemyDefinitions = {
+  coinSlime: {
+    id: "coinSlime",
+    name: "Coin Slime",
+    icon: "🟢",
+    act: 0,
+    tier: "battle",
+    hp: 30,
+    intents: [{ type: "attack", value: 5 }, { type: "attack", value: 7 }, { type: "defend", value: 5 }],
+  },
+  rustGolem: {
+    id: "rustGolem",
+    name: "Rust Golem",
+    icon: "🗿",
+    act: 0,
+    tier: "battle",
+    hp: 38,
+    intents: [{ type: "defend", value: 6 }, { type: "attack", value: 9 }],
+  },
+  clawMachine: {
+    id: "clawMachine",
+    name: "Claw Machine",
+    icon: "🦾",
+    act: 0,
+    tier: "elite",
+    hp: 65,
+    intents: [{ type: "attack", value: 8 }, { type: "buff", value: 2 }, { type: "attack", value: 11 }],
+    ability: { type: "thorns", value: 5 },
+  },
+  tokenKing: {
+    id: "tokenKing",
+    name: "Token King",
+    icon: "🤴",
+    act: 0,
+    tier: "boss",
+    hp: 110,
+    intents: [
+      { type: "attack", value: 9 },
+      { type: "defend", value: 12 },
+      { type: "curse", value: 1 },
+      { type: "attack", value: 13 },
+    ],
+    ability: { type: "enrage", value: 1 },
+  },
+  pinballWizard: {
+    id: "pinballWizard",
+    name: "Pinball Wizard",
+    icon: "🧙",
+    act: 1,
+    tier: "battle",
+    hp: 55,
+    intents: [{ type: "attack", value: 8 }, { type: "buff", value: 2 }, { type: "attack", value: 8 }],
+  },
+  neonBat: {
+    id: "neonBat",
+    name: "Neon Bat",
+    icon: "🦇",
+    act: 1,
+    tier: "battle",
+    hp: 46,
+    intents: [{ type: "attack", value: 6 }, { type: "attack", value: 6 }, { type: "curse", value: 1 }],
+    ability: { type: "thorns", value: 6 },
+  },
+  shellback: {
+    id: "shellback",
+    name: "Shellback",
+    icon: "🐢",
+    act: 1,
+    tier: "elite",
+    hp: 95,
+    intents: [{ type: "defend", value: 10 }, { type: "attack", value: 12 }, { type: "attack", value: 9 }],
+    ability: { type: "shell", value: 20 },
+  },
+  oneArmedBandit: {
+    id: "oneArmedBandit",
+    name: "One-Armed Bandit",
+    icon: "🎰",
+    act: 1,
+    tier: "boss",
+    hp: 170,
+    intents: [
+      { type: "attack", value: 12 },
+      { type: "curse", value: 2 },
+      { type: "attack", value: 15 },
+      { type: "defend", value: 15 },
+    ],
+    ability: { type: "enrage", value: 2 },
+  },
+  tiltDemon: {
+    id: "tiltDemon",
+    name: "Tilt Demon",
+    icon: "👹",
+    act: 2,
+    tier: "battle",
+    hp: 80,
+    intents: [{ type: "attack", value: 11 }, { type: "attack", value: 11 }, { type: "buff", value: 3 }],
+  },
+  vaultGuard: {
+    id: "vaultGuard",
+    name: "Vault Guard",
+    icon: "💂",
+    act: 2,
+    tier: "battle",
+    hp: 90,
+    intents: [{ type: "defend", value: 14 }, { type: "attack", value: 15 }],
+    ability: { type: "shell", value: 25 },
+  },
+  prizeHydra: {
+    id: "prizeHydra",
+    name: "Prize Hydra",
+    icon: "🐉",
+    act: 2,
+    tier: "elite",
+    hp: 140,
+    intents: [
+      { type: "attack", value: 10 },
+      { type: "attack", value: 10 },
+      { type: "buff", value: 3 },
+      { type: "attack", value: 17 },
+    ],
+    ability: { type: "thorns", value: 4 },
+  },
+  theHouse: {
+    id: "theHouse",
+    name: "The House",
+    icon: "🏛️",
+    act: 2,
+    tier: "boss",
+    hp: 260,
+    intents: [
+      { type: "attack", value: 15 },
+      { type: "defend", value: 20 },
+      { type: "curse", value: 2 },
+      { type: "attack", value: 22 },
+    ],
+    ability: { type: "enrage", value: 2 },
+  },
+};
+
+const Combat = {
+  // Turn settings
+  turnEnergy: 3, // drops per turn
+  settleTime: 5, // seconds the board keeps running after the last drop before the enemy acts
+  pointsPerDamage: 10, // coin points per point of damage
+
+  // Fight state
+  active: false,
+  enemy: null, // { def, hp, maxHp, block, strength, intent, turnDamage, shellBroken }
+  turn: 0,
+  phase: "player", // "player" (dropping), "settling" (board running out), "enemy"
+  energy: 0,
+  block: 0, // player block - soaks up enemy attacks, gone at the start of the next turn
+  settleTimer: 0,
+  coinsFallen: 0,
+
+  // References
+  game: null,
+  ui: null,
+  sound: null,
+  coins: null,
+  deck: null,
+  runMode: null,
+
+  // Initialize combat system
+  init: function (refs = {}) {
+    this.game = refs.game;
+    this.ui = refs.ui;
+    this.sound = refs.sound;
+    this.coins = refs.coins;
+    this.deck = refs.deck;
+    this.runMode = refs.runMode;
+  },
+
+  // Start a fight against an enemy (hp already scaled for the node)
+  start: function (enemyId, hp) {
+    const def = enemyDefinitions[enemyId];
+    if (!def) return;
+
+    this.active = true;
+    this.enemy = {
+      def: def,
+      hp: hp,
+      maxHp: hp,
+      block: 0,
+      strength: 0,
+      intent: null,
+      turnDamage: 0,
+      shellBroken: false,
+    };
+    this.turn = 0;
+    this.block = 0;
+    this.coinsFallen = 0;
+    this.startTurn();
+  },
+
+  // Fight over (won, lost or abandoned)
+  stop: function () {
+    this.active = false;
+    this.enemy = null;
+    if (this.ui) this.ui.updateCombat(null);
+  },
+
+  // New turn - energy back, block gone, a fresh hand and the enemy's next intent
+  startTurn: function () {
+    const enemy = this.enemy;
+    this.turn++;
+    this.phase = "player";
+    this.energy = this.turnEnergy;
+    this.block = 0;
+    enemy.turnDamage = 0;
+    enemy.shellBroken = false;
+
+    const ability = enemy.def.ability;
+    if (ability && ability.type === "enrage" && this.turn > 1) enemy.strength += ability.value;
+
+    const pattern = enemy.def.intents;
+    enemy.intent = pattern[(this.turn - 1) % pattern.length];
+
+    // Enough coins in the queue for every drop this turn
+    if (this.coins && this.coins.coinQueue < this.energy) {
+      this.coins.addToQueue(this.energy - this.coins.coinQueue);
+    }
+    if (this.deck && this.deck.active && this.turn > 1) this.deck.newTurn();
+
+    this.updateUI();
+  },
+
+  // Spend energy on a drop - false when the turn's energy is gone
+  spendEnergy: function () {
+    if (!this.active) return true;
+    if (this.phase !== "player" || this.energy <= 0) return false;
+
+    this.energy--;
+    if (this.energy === 0) {
+      // Last drop - let the board run out before the enemy acts
+      this.phase = "settling";
+      this.settleTimer = this.settleTime;
+    }
+    this.updateUI();
+    return true;
+  },
+
+  // Count down the settle, then the enemy's turn (called by Game.update)
+  update: function (deltaTime) {
+    if (!this.active || this.phase !== "settling") return;
+
+    this.settleTimer -= deltaTime;
+    if (this.settleTimer <= 0) this.enemyTurn();
+  },
+
+  // A coin fell off the board - its points (slot multiplier included) hit the enemy
+  onCoinScored: function (points) {
+    if (!this.active) return;
+
+    this.coinsFallen++;
+    const ability = this.enemy.def.ability;
+    if (ability && ability.type === "thorns" && this.coinsFallen % ability.value === 0) {
+      if (this.ui) this.ui.showMessage(`${enemyAbilities.thorns.icon} Thorns! -1 HP`);
+      this.hurtPlayer(1);
+      if (!this.active) return;
+    }
+
+    if (points > 0) this.dealDamage(Math.max(1, Math.round(points / this.pointsPerDamage)));
+  },
+
+  // Damage the enemy - block soaks it up first (and a shell halves it)
+  dealDamage: function (amount) {
+    if (!this.active || amount <= 0) return;
+
+    const enemy = this.enemy;
+    const ability = enemy.def.ability;
+    enemy.turnDamage += amount;
+
+    if (ability && ability.type === "shell" && !enemy.shellBroken) {
+      if (enemy.turnDamage >= ability.value) {
+        enemy.shellBroken = true;
+        if (this.ui) this.ui.showMessage(`${enemyAbilities.shell.icon} Shell cracked!`);
+      } else {
+        amount = Math.ceil(amount / 2);
+      }
+    }
+
+    const blocked = Math.min(enemy.block, amount);
+    enemy.block -= blocked;
+    enemy.hp = Math.max(0, enemy.hp - (amount - blocked));
+    this.updateUI();
+
+    if (enemy.hp <= 0) {
+      if (this.ui) this.ui.showMessage(`${enemy.def.icon} ${enemy.def.name} defeated!`);
+      if (this.game) this.game.gameOver("victory");
+    }
+  },
+
+  // Player block from deck coins
+  gainBlock: function (amount) {
+    if (!this.active) return;
+    this.block += amount;
+    this.updateUI();
+  },
+
+  // Damage the player - block first, the rest comes off the run's HP
+  hurtPlayer: function (amount) {
+    const blocked = Math.min(this.block, amount);
+    this.block -= blocked;
+    this.updateUI();
+    if (this.runMode && amount > blocked) this.runMode.takeDamage(amount - blocked);
+  },
+
+  // The enemy acts on its intent, then the next turn starts
+  enemyTurn: function () {
+    const enemy = this.enemy;
+    const intent = enemy.intent;
+    this.phase = "enemy";
+
+    // Enemy block lasts until its own turn comes around
+    enemy.block = 0;
+
+    switch (intent.type) {
+      case "attack": {
+        const damage = intent.value + enemy.strength;
+        if (this.ui) this.ui.showMessage(`${enemy.def.icon} ${enemy.def.name} attacks for ${damage}!`);
+        if (this.sound) this.sound.play("hit");
+        this.hurtPlayer(damage);
+        break;
+      }
+      case "defend":
+        enemy.block += intent.value;
+        if (this.ui) this.ui.showMessage(`${enemy.def.icon} ${enemy.def.name} defends (+${intent.value} block)`);
+        break;
+      case "buff":
+        enemy.strength += intent.value;
+        if (this.ui) this.ui.showMessage(`${enemy.def.icon} ${enemy.def.name} powers up (+${intent.value} strength)`);
+        break;
+      case "curse":
+        for (let i = 0; i < intent.value; i++) {
+          if (this.deck) this.deck.addTemporaryCoin("curse");
+        }
+        if (this.ui) this.ui.showMessage(`${enemy.def.icon} ${enemy.def.name} curses your deck!`);
+        break;
+    }
+
+    // The attack may have ended the fight
+    if (this.active) this.startTurn();
+  },
+
+  // Refresh the enemy and player display
+  updateUI: function () {
+    if (this.ui) this.ui.updateCombat(this);
+  },
+
+  // Text for the enemy's current intent (value includes strength for attacks)
+  describeIntent: function () {
+    const intent = this.enemy ? this.enemy.intent : null;
+    if (!intent) return "";
+
+    const type = intentTypes[intent.type];
+    const value = intent.type === "attack" ? intent.value + this.enemy.strength : intent.value;
+    return `${type.icon} ${type.name} ${value}`;
+  },
+};
+
+export default Combat;
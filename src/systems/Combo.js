@@ -3,6 +3,8 @@
  * Multiple falls in quick succession multiply rewards!
  */
 
+import { hasDOM } from '../core/Utils.js';
+
 const Combo = {
   // Current combo state
   count: 0,
@@ -32,6 +34,7 @@ const Combo = {
   // References (set during init)
   ui: null,
   sound: null,
+  modifiers: null, // wired after init
 
   // Initialize
   init: function (ui = null, sound = null) {
@@ -45,6 +48,8 @@ const Combo = {
 
   // Create combo UI
   createUI: function () {
+    if (!hasDOM()) return;
+
     const container = document.createElement("div");
     container.id = "combo-container";
     container.className = "hidden";
@@ -84,9 +89,11 @@ const Combo = {
     }
   },
 
-  // Get current multiplier
+  // Get current multiplier (combo bonuses stretch the part above 1x)
   getMultiplier: function () {
-    return this.getCurrentTier().mult;
+    const mult = this.getCurrentTier().mult;
+    const bonus = this.modifiers ? this.modifiers.get("comboBonus") : 0;
+    return bonus > 0 ? 1 + (mult - 1) * (1 + bonus) : mult;
   },
 
   // Get current tier
@@ -135,6 +142,12 @@ const Combo = {
     }
   },
 
+  // Clear the combo and best combo for a new run
+  reset: function () {
+    this.endCombo();
+    this.bestCombo = 0;
+  },
+
   // End combo - returns bonus info if any
   endCombo: function () {
     let bonus = null;
@@ -0,0 +1,327 @@
+/**
+ * Coin Deck for Coin Pusher World
+ * Run mode coins are a player-owned pool, like cards in a deckbuilder (see
+ * docs/design-spec.md). Each fight shuffles the pool into a draw pile and
+ * draws a hand; dropping a coin takes that coin out of the hand and onto the
+ * board, and when it falls its effect triggers and it goes to the discard pile.
+ * Every combat turn discards what's left of the hand and draws a new one
+ * (as does playing the hand out), reshuffling the discard pile when the draw
+ * pile runs dry. While every deck coin is still on the board, drops are plain
+ * coins so the board keeps moving.
+ */
+
+// Coin tags
+export const coinTags = ["Attack", "Block", "Combo", "Growth", "Curse", "Interest"];
+
+// Coin definitions
+// visual: Coins material set, variant: Coins physics variant (size, weight, grip, bounce),
+// effect: what happens when it falls
+//   damage - hits the enemy, chain - extra damage per other Combo coin that fell this turn,
+//   grow - damage the coin gains for good each time it falls, block - soaks up the enemy's attacks this turn,
+//   gold - Run mode gold, interest - extra gold per Interest coin that fell earlier this fight,
+//   selfDamage - HP lost, exhaust - leaves the deck for the rest of the fight
+export const coinDefinitions = {
+  strike: {
+    id: "strike",
+    name: "Strike Coin",
+    icon: "⚔️",
+    rarity: "basic",
+    tags: ["Attack"],
+    visual: "gold",
+    variant: "standard",
+    effect: { damage: 6 },
+    description: "6 damage when it falls",
+  },
+  guard: {
+    id: "guard",
+    name: "Guard Token",
+    icon: "🛡️",
+    rarity: "basic",
+    tags: ["Block"],
+    visual: "silver",
+    variant: "standard",
+    effect: { block: 5 },
+    description: "5 block when it falls - block soaks up the enemy's attacks this turn",
+  },
+  heavySlam: {
+    id: "heavySlam",
+    name: "Heavy Slam",
+    icon: "🔨",
+    rarity: "rare",
+    tags: ["Attack"],
+    visual: "bronze",
+    variant: "heavy",
+    effect: { damage: 11 },
+    description: "11 damage when it falls. Heavy - pushes stacks hard",
+  },
+  chain: {
+    id: "chain",
+    name: "Chain Coin",
+    icon: "🔗",
+    rarity: "basic",
+    tags: ["Attack", "Combo"],
+    visual: "special",
+    variant: "light",
+    effect: { damage: 3, chain: 3 },
+    description: "3 damage, +3 more per other Combo coin that fell this turn. Light - slides far",
+  },
+  sprout: {
+    id: "sprout",
+    name: "Sprout Coin",
+    icon: "🌱",
+    rarity: "rare",
+    tags: ["Growth"],
+    visual: "bronze",
+    variant: "big",
+    effect: { damage: 3, grow: 2 },
+    description: "3 damage when it falls, and +2 more every time after for the rest of the run. Big",
+  },
+  interest: {
+    id: "interest",
+    name: "Interest Coin",
+    icon: "💰",
+    rarity: "basic",
+    tags: ["Interest", "Growth"],
+    visual: "gold",
+    variant: "light",
+    effect: { gold: 3, interest: 1 },
+    description: "3 gold when it falls, +1 per Interest coin that fell earlier this fight",
+  },
+  luckySeven: {
+    id: "luckySeven",
+    name: "Lucky Seven",
+    icon: "🍀",
+    rarity: "epic",
+    tags: ["Attack", "Combo"],
+    visual: "rainbow",
+    variant: "bouncy",
+    effect: { damage: 7, chain: 7 },
+    description: "7 damage, +7 more per other Combo coin that fell this turn. Bouncy",
+  },
+  curse: {
+    id: "curse",
+    name: "Curse Coin",
+    icon: "🧿",
+    rarity: "basic",
+    tags: ["Curse"],
+    visual: "bronze",
+    variant: "sticky",
+    effect: { selfDamage: 3, exhaust: true },
+    description: "Lose 3 HP when it falls, then it's gone for the fight. Sticky - clogs the board",
+    unlisted: true, // never offered as a reward
+  },
+};
+
+// Odds of each rarity when coins are offered
+const rarityWeights = { basic: 60, rare: 32, epic: 8 };
+
+const Deck = {
+  // Coins drawn at the start of each turn
+  handSize: 5,
+
+  // Is a deck in play (Run mode fights only)
+  active: false,
+
+  // Piles - entries are the run's coin instances ({ uid, id, bonus }), plus coins
+  // enemies add for the fight (negative uid)
+  drawPile: [],
+  hand: [],
+  discardPile: [],
+  exhausted: [],
+  selected: 0, // hand index the next drop takes
+
+  // Per turn and per fight tallies
+  turn: 0,
+  turnFalls: {}, // tag -> coins that fell this turn
+  encounterFalls: {}, // tag -> coins that fell this fight
+  nextTemporaryUid: -1,
+
+  // References
+  game: null,
+  ui: null,
+  rng: null,
+  runMode: null,
+  combat: null,
+
+  // Initialize deck system
+  init: function (refs = {}) {
+    this.game = refs.game;
+    this.ui = refs.ui;
+    this.rng = refs.rng;
+    this.runMode = refs.runMode;
+    this.combat = refs.combat;
+  },
+
+  // Shuffle the run's coins into a fresh draw pile and draw the first hand
+  start: function (coins) {
+    this.active = true;
+    this.drawPile = this.rng.shuffle(coins);
+    this.hand = [];
+    this.discardPile = [];
+    this.exhausted = [];
+    this.selected = 0;
+    this.turn = 0;
+    this.encounterFalls = {};
+    this.nextTemporaryUid = -1;
+    this.startTurn();
+  },
+
+  // Put the deck away (fight over)
+  stop: function () {
+    this.active = false;
+    this.drawPile = [];
+    this.hand = [];
+    this.discardPile = [];
+    this.exhausted = [];
+    this.selected = 0;
+    if (this.ui) this.ui.updateHand(null);
+  },
+
+  // New turn - fresh hand
+  startTurn: function () {
+    this.turn++;
+    this.turnFalls = {};
+    this.draw(this.handSize);
+  },
+
+  // Combat turn - discard what's left of the hand and draw a new one
+  newTurn: function () {
+    this.discardPile.push(...this.hand);
+    this.hand = [];
+    this.selected = 0;
+    this.startTurn();
+  },
+
+  // An enemy adds a coin to the discard pile for the rest of the fight (not the run's deck)
+  addTemporaryCoin: function (id) {
+    if (!this.active || !coinDefinitions[id]) return;
+    this.discardPile.push({ uid: this.nextTemporaryUid--, id: id, bonus: 0 });
+    if (this.ui) this.ui.updateHand(this);
+  },
+
+  // Draw coins into the hand, reshuffling the discard pile when the draw pile runs out
+  draw: function (count) {
+    for (let i = 0; i < count; i++) {
+      if (this.drawPile.length === 0) {
+        if (this.discardPile.length === 0) break;
+        this.drawPile = this.rng.shuffle(this.discardPile);
+        this.discardPile = [];
+      }
+      this.hand.push(this.drawPile.pop());
+    }
+    this.selected = Math.min(this.selected, Math.max(0, this.hand.length - 1));
+    if (this.ui) this.ui.updateHand(this);
+  },
+
+  // Pick which hand coin the next drop takes
+  select: function (index) {
+    if (index < 0 || index >= this.hand.length) return;
+    this.selected = index;
+    if (this.ui) this.ui.updateHand(this);
+  },
+
+  // Take the selected coin out of the hand for a drop (null when every coin is on the board)
+  takeSelected: function () {
+    if (!this.active) return null;
+    if (this.hand.length === 0 && this.hasCoinsToDraw()) this.startTurn();
+    if (this.hand.length === 0) return null;
+
+    const coin = this.hand.splice(this.selected, 1)[0];
+    this.selected = Math.min(this.selected, Math.max(0, this.hand.length - 1));
+
+    // Hand played out - next turn
+    if (this.hand.length === 0 && this.hasCoinsToDraw()) {
+      this.startTurn();
+    } else if (this.ui) {
+      this.ui.updateHand(this);
+    }
+    return coin;
+  },
+
+  // Are there coins left to draw (including the discard pile)?
+  hasCoinsToDraw: function () {
+    return this.drawPile.length > 0 || this.discardPile.length > 0;
+  },
+
+  // A deck coin fell - trigger its effect and discard it
+  // triggered: false when it fell somewhere that cancels effects (dud slots)
+  onCoinFell: function (coin, position, triggered = true) {
+    if (!this.active) return;
+
+    const def = coinDefinitions[coin.id];
+    if (def && triggered) this.applyEffect(coin, def, position);
+
+    if (def && def.effect.exhaust) {
+      this.exhausted.push(coin);
+    } else {
+      this.discardPile.push(coin);
+    }
+    if (this.ui) this.ui.updateHand(this);
+  },
+
+  // Resolve a coin's effect
+  applyEffect: function (coin, def, position) {
+    const effect = def.effect;
+    let damage = (effect.damage || 0) + (coin.bonus || 0);
+    if (effect.chain) damage += effect.chain * (this.turnFalls.Combo || 0);
+
+    // Damage counts as score too, at the rate coin points turn into damage
+    if (damage > 0 && this.game && this.combat) {
+      const score = damage * this.combat.pointsPerDamage;
+      this.game.addScore(score, position.x, position.y, position.z, 1);
+      if (this.ui) this.ui.showCoinScore(score, position);
+    }
+    if (effect.grow) coin.bonus = (coin.bonus || 0) + effect.grow;
+    if (effect.block && this.combat) this.combat.gainBlock(effect.block);
+
+    if (effect.gold && this.runMode) {
+      const gold = effect.gold + (effect.interest || 0) * (this.encounterFalls.Interest || 0);
+      this.runMode.gold += gold;
+      if (this.game && this.game.shop) this.game.shop.updateGoldUI();
+      if (this.ui) this.ui.showMessage(`${def.icon} +${gold} gold`);
+    }
+
+    if (effect.selfDamage && this.runMode) {
+      if (this.ui) this.ui.showMessage(`${def.icon} -${effect.selfDamage} HP`);
+      this.runMode.takeDamage(effect.selfDamage);
+    }
+
+    // Count tags after the effect so chains only see the coins before them
+    for (const tag of def.tags) {
+      this.turnFalls[tag] = (this.turnFalls[tag] || 0) + 1;
+      this.encounterFalls[tag] = (this.encounterFalls[tag] || 0) + 1;
+    }
+
+    // Damage last - it may end the fight
+    if (damage > 0 && this.combat) this.combat.dealDamage(damage);
+  },
+
+  // Definition of the coin the next drop takes (null when there's no deck in play)
+  getSelectedDefinition: function () {
+    if (!this.active || this.hand.length === 0) return null;
+    return coinDefinitions[this.hand[this.selected].id] || null;
+  },
+
+  // Offer random coins of the reward list, weighted by rarity
+  getOfferedCoins: function (count, rng) {
+    const offered = [];
+    const candidates = Object.values(coinDefinitions).filter((def) => !def.unlisted);
+
+    while (offered.length < count && candidates.length > 0) {
+      const total = candidates.reduce((sum, def) => sum + rarityWeights[def.rarity], 0);
+      let roll = rng.range(0, total);
+      let index = candidates.length - 1;
+      for (let i = 0; i < candidates.length; i++) {
+        roll -= rarityWeights[candidates[i].rarity];
+        if (roll < 0) {
+          index = i;
+          break;
+        }
+      }
+      offered.push(candidates.splice(index, 1)[0]);
+    }
+    return offered;
+  },
+};
+
+export default Deck;
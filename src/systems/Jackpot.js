@@ -4,7 +4,7 @@
  */
 
 import * as THREE from 'three';
-import { formatNumber, random } from '../core/Utils.js';
+import { formatNumber, hasDOM } from '../core/Utils.js';
 
 const Jackpot = {
   // Current jackpot value
@@ -37,6 +37,8 @@ const Jackpot = {
   sound: null,
   coins: null,
   board: null,
+  rng: null,
+  modifiers: null, // wired after init
 
   // Initialize
   init: function (scene, refs = {}) {
@@ -46,6 +48,7 @@ const Jackpot = {
     this.sound = refs.sound;
     this.coins = refs.coins;
     this.board = refs.board;
+    this.rng = refs.rng;
     this.value = 100;
     this.createUI();
     this.create3DMeter();
@@ -53,6 +56,8 @@ const Jackpot = {
 
   // Create UI elements
   createUI: function () {
+    if (!hasDOM()) return;
+
     const container = document.createElement("div");
     container.id = "jackpot-container";
     container.innerHTML = `
@@ -102,9 +107,10 @@ const Jackpot = {
     this.scene.add(this.ring);
   },
 
-  // Add to jackpot when coin scores
+  // Add to jackpot when coin scores (jackpot rate bonuses raise the fill rate)
   contribute: function (coinValue) {
-    const contribution = Math.floor(coinValue * this.contributionRate);
+    const rate = this.contributionRate * (1 + (this.modifiers ? this.modifiers.get("jackpotRate") : 0));
+    const contribution = Math.floor(coinValue * rate);
     this.value = Math.min(this.value + contribution, this.maxValue);
     this.updateUI();
   },
@@ -136,7 +142,7 @@ const Jackpot = {
     const fillPercent = this.value / this.maxValue;
     const chance = this.burstChancePerItem + fillPercent * 0.2;
 
-    if (Math.random() < chance) {
+    if (this.rng.chance(chance)) {
       this.burst();
       return true;
     }
@@ -165,23 +171,25 @@ const Jackpot = {
     this.value = 100;
     this.updateUI();
 
-    setTimeout(() => {
+    if (this.game) {
+      this.game.clock.after(3, () => {
+        this.isBursting = false;
+      });
+    } else {
       this.isBursting = false;
-    }, 3000);
+    }
   },
 
   // Spawn celebration effects
   spawnCelebration: function () {
     // Rain golden coins
-    if (this.coins) {
-      for (let i = 0; i < 50; i++) {
-        setTimeout(() => {
-          const x = random(-8, 8);
-          const y = 16 + Math.random() * 5;
-          const z = random(-2, 4);
-          this.coins.spawnCoin(x, y, z, Math.random() < 0.3 ? "special" : "gold");
-        }, i * 40);
-      }
+    if (this.coins && this.game) {
+      this.game.clock.repeat(0.04, () => {
+        const x = this.rng.range(-8, 8);
+        const y = this.rng.range(16, 21);
+        const z = this.rng.range(-2, 4);
+        this.coins.spawnCoin(x, y, z, this.rng.chance(0.3) ? "special" : "gold");
+      }, 50);
     }
 
     // Spawn particles from jackpot orb
@@ -213,7 +221,7 @@ const Jackpot = {
 
   // Update
   update: function (deltaTime) {
-    const time = performance.now() * 0.001;
+    const time = this.game ? this.game.clock.time * 0.001 : 0;
 
     if (this.mesh) {
       this.mesh.position.y = 14 + Math.sin(time * 2) * 0.3;
@@ -249,6 +257,20 @@ const Jackpot = {
     }
   },
 
+  // Get save data
+  getSaveData: function () {
+    return {
+      value: this.value,
+    };
+  },
+
+  // Load save data
+  loadSaveData: function (data) {
+    if (!data || typeof data.value !== "number") return;
+    this.value = Math.min(Math.max(0, data.value), this.maxValue);
+    this.updateUI();
+  },
+
   // Cleanup
   cleanup: function () {
     if (this.mesh) this.scene.remove(this.mesh);
@@ -0,0 +1,187 @@
+/**
+ * Modifier Stack for Coin Pusher World
+ * One registry for every stat bonus - power-up levels, relics, board bonus zones
+ * and timed rewards like frenzy or golden touch. Each source registers additive
+ * or multiplicative modifiers on a stat; systems ask for the final value with
+ * get(), which is (base + every add) x every mul.
+ *
+ * Timed modifiers count down in Game.update, so they stop while the game is
+ * paused and follow game ticks in replays. Modifiers that run out (by time or
+ * by uses) are saved with the run; permanent ones are registered again by their
+ * source when it loads.
+ */
+
+// Stats modifiers can target - base value and the system that reads it
+export const modifierStats = {
+  coinValue: { base: 1, target: "Coins.spawnCoin (coin value)" },
+  dropValue: { base: 1, target: "Coins.dropCoin (dropped coin value)" },
+  pusherSpeed: { base: 1, target: "Board.updatePusher / updateCoinMover" },
+  luckyChance: { base: 0, target: "Coins.dropCoin (special coin chance)" },
+  comboBonus: { base: 0, target: "Combo.getMultiplier" },
+  jackpotRate: { base: 0, target: "Jackpot.contribute" },
+  magnetism: { base: 0, target: "Coins.update (drift toward center)" },
+  extraCoin: { base: 0, target: "Game.dropCoin (free coins per drop)" },
+  slotMultiplier: { base: 1, target: "Coins.onCoinFallOff (slot multipliers)" },
+  allBonus: { base: 0, target: "Relics (scales every relic bonus)" },
+  tierBonus: { base: 0, target: "Board.expandWithTheme (bonus per new tier)" },
+};
+
+const Modifiers = {
+  // Registered modifiers:
+  // { id, stat, op: "add"|"mul", value, source, label, icon,
+  //   remaining: seconds left (null = no time limit), uses: uses left (null = unlimited),
+  //   stacking: "refresh"|"stack"|"keep", endMessage }
+  active: [],
+
+  // References
+  ui: null,
+
+  // Initialize modifier stack
+  init: function (refs = {}) {
+    this.ui = refs.ui;
+    this.active = [];
+  },
+
+  // Clear everything (new world - sources register again as they load)
+  reset: function () {
+    this.active = [];
+  },
+
+  // Register a modifier. Stacking rules for a modifier with the same id on the same stat:
+  //   refresh - (default) takes the new value and the longer of the two timers
+  //   stack   - both count
+  //   keep    - the existing one stays and the new one is dropped
+  // Returns false when a keep rule dropped it
+  add: function (modifier) {
+    const entry = {
+      id: modifier.id,
+      stat: modifier.stat,
+      op: modifier.op || "add",
+      value: modifier.value,
+      source: modifier.source || "",
+      label: modifier.label || modifier.id,
+      icon: modifier.icon || "",
+      remaining: modifier.duration !== undefined ? modifier.duration : null,
+      uses: modifier.uses !== undefined ? modifier.uses : null,
+      stacking: modifier.stacking || "refresh",
+      endMessage: modifier.endMessage || null,
+    };
+
+    const existing = this.find(entry.id, entry.stat);
+    if (existing && entry.stacking === "keep") return false;
+
+    if (existing && entry.stacking === "refresh") {
+      existing.value = entry.value;
+      existing.remaining = this.longer(existing.remaining, entry.remaining);
+      existing.uses = this.longer(existing.uses, entry.uses);
+      return true;
+    }
+
+    this.active.push(entry);
+    return true;
+  },
+
+  // The longer of two limits (null = no limit)
+  longer: function (a, b) {
+    if (a === null || b === null) return null;
+    return Math.max(a, b);
+  },
+
+  // First modifier with this id on this stat
+  find: function (id, stat) {
+    return this.active.find((entry) => entry.id === id && entry.stat === stat) || null;
+  },
+
+  // Is any modifier with this id active?
+  has: function (id) {
+    return this.active.some((entry) => entry.id === id);
+  },
+
+  // Remove every modifier with this id
+  remove: function (id) {
+    this.active = this.active.filter((entry) => entry.id !== id);
+  },
+
+  // Remove every modifier a source registered
+  removeSource: function (source) {
+    this.active = this.active.filter((entry) => entry.source !== source);
+  },
+
+  // Final value of a stat - (base + every add) x every mul
+  get: function (stat) {
+    const info = modifierStats[stat];
+    let add = info ? info.base : 0;
+    let mul = 1;
+
+    for (const entry of this.active) {
+      if (entry.stat !== stat) continue;
+      if (entry.op === "mul") {
+        mul *= entry.value;
+      } else {
+        add += entry.value;
+      }
+    }
+    return add * mul;
+  },
+
+  // Spend one use of every limited-use modifier on a stat (e.g. a golden touch drop)
+  use: function (stat) {
+    for (const entry of this.active) {
+      if (entry.stat === stat && entry.uses !== null) entry.uses--;
+    }
+    this.expire((entry) => entry.uses !== null && entry.uses <= 0);
+  },
+
+  // Count down timed modifiers (game time - stops while paused)
+  update: function (deltaTime) {
+    for (const entry of this.active) {
+      if (entry.remaining !== null) entry.remaining -= deltaTime;
+    }
+    this.expire((entry) => entry.remaining !== null && entry.remaining <= 0);
+  },
+
+  // Drop modifiers that ran out and announce the ones that say so
+  expire: function (isOver) {
+    const ended = this.active.filter(isOver);
+    if (ended.length === 0) return;
+
+    this.active = this.active.filter((entry) => !isOver(entry));
+    for (const entry of ended) {
+      // Effects spanning several stats end once - announce after the last of them
+      if (entry.endMessage && !this.has(entry.id) && this.ui) this.ui.showMessage(entry.endMessage);
+    }
+  },
+
+  // Every active modifier, plus the final value of each stat they touch
+  // -> { sources: [entries], totals: [{ stat, value, target }] }
+  getSummary: function () {
+    const stats = [...new Set(this.active.map((entry) => entry.stat))];
+    return {
+      sources: this.active.map((entry) => ({ ...entry })),
+      totals: stats.map((stat) => ({
+        stat: stat,
+        value: this.get(stat),
+        target: modifierStats[stat] ? modifierStats[stat].target : "",
+      })),
+    };
+  },
+
+  // Get save data - only modifiers that run out; permanent ones come back with their source
+  getSaveData: function () {
+    return this.active
+      .filter((entry) => entry.remaining !== null || entry.uses !== null)
+      .map((entry) => ({ ...entry }));
+  },
+
+  // Load save data (after the sources that register permanent modifiers)
+  loadSaveData: function (data) {
+    if (!Array.isArray(data)) return;
+
+    for (const saved of data) {
+      if (!saved || !saved.id || !saved.stat || typeof saved.value !== "number") continue;
+      this.active.push({ ...saved });
+    }
+  },
+};
+
+export default Modifiers;
@@ -3,7 +3,7 @@
  * Handles upgrades, abilities, and power-up effects
  */
 
-import { random } from '../core/Utils.js';
+import { hasDOM } from '../core/Utils.js';
 
 const PowerUps = {
   // Permanent upgrade types
@@ -80,6 +80,15 @@ const PowerUps = {
       baseEffect: 0.15,
       effectPerLevel: 0.05,
     },
+    foresight: {
+      id: "foresight",
+      name: "Foresight",
+      icon: "🔭",
+      description: "Drop preview sees further, then shows landing spread",
+      maxLevel: 4,
+      baseEffect: 1.2, // Seconds of flight previewed (reaching the shelf takes 2.5-3.5s)
+      effectPerLevel: 0.8,
+    },
   },
 
   // Temporary abilities
@@ -118,12 +127,6 @@ const PowerUps = {
     },
   },
 
-  // Active temporary effects
-  activeEffects: {
-    frenzy: false,
-    goldenTouch: 0,
-  },
-
   // Current levels for each power-up
   levels: {},
 
@@ -134,6 +137,8 @@ const PowerUps = {
   coins: null,
   board: null,
   collectibles: null,
+  rng: null,
+  modifiers: null, // wired after init
 
   // Initialize power-up system
   init: function (refs = {}) {
@@ -143,11 +148,21 @@ const PowerUps = {
     this.coins = refs.coins;
     this.board = refs.board;
     this.collectibles = refs.collectibles;
+    this.rng = refs.rng;
+
+    this.reset();
+  },
 
+  // Reset upgrade levels, ability cooldowns and timed effects for a new run (keeps system references)
+  reset: function () {
     this.levels = {};
     for (const key in this.types) {
       this.levels[key] = 0;
     }
+    for (const id in this.abilities) {
+      this.abilities[id].currentCooldown = 0;
+    }
+    if (this.modifiers) this.modifiers.removeSource("powerUps");
   },
 
   // Get current effect value for a power-up
@@ -178,7 +193,17 @@ const PowerUps = {
     if (this.coins) {
       this.coins.setQueueSpeed(this.getEffect("queueSpeed"));
       this.coins.setMaxQueue(Math.floor(this.getEffect("queueCapacity")));
-      this.coins.setValueMultiplier(this.getEffect("coinValue"));
+    }
+    if (this.modifiers) {
+      this.modifiers.add({
+        id: "coinValueUpgrade",
+        stat: "coinValue",
+        op: "mul",
+        value: this.getEffect("coinValue"),
+        source: "powerUps",
+        label: "Coin Value Lv " + this.levels.coinValue,
+        icon: this.types.coinValue.icon,
+      });
     }
   },
 
@@ -207,6 +232,16 @@ const PowerUps = {
     return this.getEffect("widerPusher");
   },
 
+  // Get how many seconds of a drop the trajectory preview shows
+  getPreviewDuration: function () {
+    return this.getEffect("foresight");
+  },
+
+  // Landing spread on the first shelf unlocks at Foresight level 2
+  hasPreviewSpread: function () {
+    return (this.levels.foresight || 0) >= 2;
+  },
+
   // Activate an ability
   activateAbility: function (abilityId) {
     const ability = this.abilities[abilityId];
@@ -236,40 +271,27 @@ const PowerUps = {
     if (this.ui) this.ui.showMessage("🌧️ COIN SHOWER!");
     if (this.sound) this.sound.play("ability");
 
-    if (this.board && this.coins) {
+    if (this.game && this.board && this.coins) {
       const dropZone = this.board.getDropZone();
-      for (let i = 0; i < 30; i++) {
-        setTimeout(() => {
-          const x = random(dropZone.minX, dropZone.maxX);
-          const y = dropZone.y + Math.random() * 5;
-          const z = dropZone.z + Math.random() * 2;
-          this.coins.spawnCoin(x, y, z, "gold");
-        }, i * 40);
-      }
+      this.game.clock.repeat(0.04, () => {
+        const x = this.rng.range(dropZone.minX, dropZone.maxX);
+        const y = dropZone.y + this.rng.range(0, 5);
+        const z = dropZone.z + this.rng.range(0, 2);
+        this.coins.spawnCoin(x, y, z, "gold");
+      }, 30);
     }
   },
 
-  // Frenzy Mode ability
+  // Frenzy Mode ability - double pusher speed and coin value for 15s
+  // (shares the "frenzy" modifiers with coin rain's frenzy, so the two refresh rather than stack)
   doFrenzyMode: function () {
-    if (this.activeEffects.frenzy) return;
-
     if (this.ui) this.ui.showMessage("🔥 FRENZY MODE!");
     if (this.sound) this.sound.play("ability");
-    this.activeEffects.frenzy = true;
 
-    if (this.board && this.coins) {
-      const originalSpeeds = this.board.pushers.map(p => p.speed);
-      this.board.pushers.forEach(p => p.speed *= 2);
-
-      const originalMult = this.coins.valueMultiplier;
-      this.coins.valueMultiplier *= 2;
-
-      setTimeout(() => {
-        this.board.pushers.forEach((p, i) => p.speed = originalSpeeds[i]);
-        this.coins.valueMultiplier = originalMult;
-        this.activeEffects.frenzy = false;
-        if (this.ui) this.ui.showMessage("Frenzy ended!");
-      }, 15000);
+    if (this.modifiers) {
+      const frenzy = { id: "frenzy", op: "mul", value: 2, duration: 15, source: "powerUps", label: "Frenzy Mode", icon: "🔥" };
+      this.modifiers.add({ ...frenzy, stat: "pusherSpeed" });
+      this.modifiers.add({ ...frenzy, stat: "coinValue", endMessage: "Frenzy ended!" });
     }
   },
 
@@ -297,20 +319,24 @@ const PowerUps = {
     }
   },
 
-  // Golden Touch ability
+  // Golden Touch ability - the next 20 dropped coins are worth 5x
   doGoldenTouch: function () {
     if (this.ui) this.ui.showMessage("✨ GOLDEN TOUCH!");
     if (this.sound) this.sound.play("ability");
-    this.activeEffects.goldenTouch = 20;
-  },
 
-  // Check if golden touch is active
-  useGoldenTouch: function () {
-    if (this.activeEffects.goldenTouch > 0) {
-      this.activeEffects.goldenTouch--;
-      return true;
+    if (this.modifiers) {
+      this.modifiers.add({
+        id: "goldenTouch",
+        stat: "dropValue",
+        op: "mul",
+        value: 5,
+        uses: 20,
+        source: "powerUps",
+        label: "Golden Touch",
+        icon: "✨",
+        endMessage: "Golden touch ended!",
+      });
     }
-    return false;
   },
 
   // Update cooldowns
@@ -324,6 +350,13 @@ const PowerUps = {
 
   // Show power-up selection screen
   showSelection: function () {
+    // No menu to show in headless runs - take the first offer so simulations still level up
+    if (!hasDOM()) {
+      const offered = this.rollOffers();
+      if (offered) this.selectUpgrade(offered[0]);
+      return;
+    }
+
     const menu = document.getElementById("upgrade-menu");
     if (!menu) return;
 
@@ -336,21 +369,8 @@ const PowerUps = {
 
     options.innerHTML = "";
 
-    const available = [];
-    for (const key in this.types) {
-      if (this.levels[key] < this.types[key].maxLevel) {
-        available.push(key);
-      }
-    }
-
-    const shuffled = available.sort(() => Math.random() - 0.5);
-    const offered = shuffled.slice(0, 3);
-
-    if (offered.length === 0) {
-      if (this.coins) this.coins.addToQueue(10);
-      if (this.ui) this.ui.showMessage("All maxed! +10 Queue!");
-      return;
-    }
+    const offered = this.rollOffers();
+    if (!offered) return;
 
     for (let i = 0; i < offered.length; i++) {
       const typeId = offered[i];
@@ -365,7 +385,12 @@ const PowerUps = {
       `;
 
       optionDiv.addEventListener("click", () => {
-        this.selectUpgrade(typeId);
+        // Through the game so the choice is recorded in the replay
+        if (this.game) {
+          this.game.command("upgrade", typeId);
+        } else {
+          this.selectUpgrade(typeId);
+        }
       });
 
       options.appendChild(optionDiv);
@@ -375,11 +400,32 @@ const PowerUps = {
     if (this.game) this.game.pause();
   },
 
+  // Roll up to 3 upgrade offers (null when everything is maxed)
+  rollOffers: function () {
+    const available = [];
+    for (const key in this.types) {
+      if (this.levels[key] < this.types[key].maxLevel) {
+        available.push(key);
+      }
+    }
+
+    const shuffled = this.rng.shuffle(available);
+    const offered = shuffled.slice(0, 3);
+
+    if (offered.length === 0) {
+      if (this.coins) this.coins.addToQueue(10);
+      if (this.ui) this.ui.showMessage("All maxed! +10 Queue!");
+      return null;
+    }
+
+    return offered;
+  },
+
   // Select an upgrade
   selectUpgrade: function (powerUpId) {
     this.upgrade(powerUpId);
 
-    const menu = document.getElementById("upgrade-menu");
+    const menu = hasDOM() ? document.getElementById("upgrade-menu") : null;
     if (menu) menu.classList.add("hidden");
 
     if (this.game) this.game.resume();
@@ -398,7 +444,11 @@ const PowerUps = {
   // Load save data
   loadSaveData: function (data) {
     if (data && data.levels) {
-      this.levels = { ...data.levels };
+      // Start from zero so upgrades added since the save still show up in offers
+      this.reset();
+      for (const key in data.levels) {
+        if (this.types[key]) this.levels[key] = data.levels[key];
+      }
       this.applyEffects();
 
       for (const key in this.levels) {
@@ -436,7 +486,7 @@ const PowerUps = {
     const currentLevel = this.levels[powerupType] || 0;
 
     // 30% chance to upgrade, otherwise bonus coins
-    if (currentLevel < type.maxLevel && Math.random() < 0.3) {
+    if (currentLevel < type.maxLevel && this.rng.chance(0.3)) {
       this.upgrade(powerupType);
       if (this.ui) this.ui.showMessage(type.icon + " " + type.name + " +1!");
       if (this.sound) this.sound.play("levelup");
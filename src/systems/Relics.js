@@ -5,7 +5,7 @@
  */
 
 import * as THREE from 'three';
-import { random } from '../core/Utils.js';
+import { hasDOM } from '../core/Utils.js';
 
 const Relics = {
   // All available relics
@@ -102,6 +102,9 @@ const Relics = {
     },
   },
 
+  // Bonuses Cosmic Egg can hand out on a new tier
+  tierBonusRewards: ["coins", "coinRain", "powerUp", "jackpot"],
+
   // Rarity weights for spawning
   rarityWeights: {
     common: 50,
@@ -116,20 +119,6 @@ const Relics = {
   // Active relic meshes on the board
   activeRelics: [],
 
-  // Computed bonuses from collected relics
-  bonuses: {
-    coinValue: 0,
-    luckyChance: 0,
-    comboBonus: 0,
-    jackpotRate: 0,
-    magnetism: 0,
-    extraCoin: 0,
-    slotMultiplier: 1,
-    pusherSpeed: 0,
-    allBonus: 0,
-    tierBonus: 0,
-  },
-
   // References
   scene: null,
   physics: null,
@@ -138,11 +127,13 @@ const Relics = {
   sound: null,
   game: null,
   coins: null,
+  rng: null,
+  modifiers: null, // wired after init
 
   // Drop chance per scored coin
   dropChance: 0.003,
-  lastDropTime: 0,
   dropCooldown: 30000, // 30 seconds between drops
+  lastDropTime: -30000, // A new run can drop a relic straight away
 
   // Initialize
   init: function (scene, refs = {}) {
@@ -153,31 +144,18 @@ const Relics = {
     this.sound = refs.sound;
     this.game = refs.game;
     this.coins = refs.coins;
+    this.rng = refs.rng;
 
     this.collected = [];
     this.activeRelics = [];
-    this.resetBonuses();
+    this.syncModifiers();
     this.createUI();
   },
 
-  // Reset bonuses
-  resetBonuses: function () {
-    this.bonuses = {
-      coinValue: 0,
-      luckyChance: 0,
-      comboBonus: 0,
-      jackpotRate: 0,
-      magnetism: 0,
-      extraCoin: 0,
-      slotMultiplier: 1,
-      pusherSpeed: 0,
-      allBonus: 0,
-      tierBonus: 0,
-    };
-  },
-
   // Create UI for collected relics
   createUI: function () {
+    if (!hasDOM()) return;
+
     const container = document.createElement("div");
     container.id = "relics-display";
     container.innerHTML = "";
@@ -190,6 +168,8 @@ const Relics = {
 
   // Update UI display
   updateUI: function () {
+    if (!hasDOM()) return;
+
     const container = document.getElementById("relics-display");
     if (!container) return;
 
@@ -208,16 +188,21 @@ const Relics = {
     container.innerHTML = html;
   },
 
+  // Game time in ms (drop cooldowns and animations stop while paused)
+  getTime: function () {
+    return this.game ? this.game.clock.time : 0;
+  },
+
   // Check if a relic should drop
-  checkDrop: function () {
-    const now = performance.now();
+  checkDrop: function (bonusChance = 0) {
+    const now = this.getTime();
     if (now - this.lastDropTime < this.dropCooldown) return;
 
-    // Increase chance based on score
+    // Increase chance based on score (and relic scoring slots)
     const scoreBonus = this.game ? Math.min(this.game.score / 50000, 0.01) : 0;
-    const chance = this.dropChance + scoreBonus;
+    const chance = this.dropChance + scoreBonus + bonusChance;
 
-    if (Math.random() < chance) {
+    if (this.rng.chance(chance)) {
       this.spawnRelic();
       this.lastDropTime = now;
     }
@@ -238,7 +223,7 @@ const Relics = {
       totalWeight += this.rarityWeights[relic.rarity] || 10;
     }
 
-    let roll = Math.random() * totalWeight;
+    let roll = this.rng.next() * totalWeight;
     for (const relic of available) {
       roll -= this.rarityWeights[relic.rarity] || 10;
       if (roll <= 0) return relic;
@@ -255,7 +240,7 @@ const Relics = {
     const dropZone = this.board?.getDropZone();
     if (!dropZone) return null;
 
-    const x = random(dropZone.minX + 2, dropZone.maxX - 2);
+    const x = this.rng.range(dropZone.minX + 2, dropZone.maxX - 2);
     const y = dropZone.y + 5;
     const z = dropZone.z;
 
@@ -321,7 +306,7 @@ const Relics = {
       type: relic,
       mesh: group,
       body: relicBody,
-      spawnTime: performance.now(),
+      spawnTime: this.getTime(),
     };
 
     this.activeRelics.push(activeRelic);
@@ -343,7 +328,7 @@ const Relics = {
     this.collected.push(relic);
 
     // Apply bonus
-    this.applyBonus(relic);
+    this.syncModifiers();
 
     // Remove from active
     const idx = this.activeRelics.indexOf(activeRelic);
@@ -366,57 +351,90 @@ const Relics = {
     this.updateUI();
   },
 
-  // Apply a relic's bonus
-  applyBonus: function (relic) {
-    const effect = relic.effect;
-
-    switch (effect.type) {
-      case "coinValue":
-        this.bonuses.coinValue += effect.value;
-        break;
-      case "luckyChance":
-        this.bonuses.luckyChance += effect.value;
-        break;
-      case "comboBonus":
-        this.bonuses.comboBonus += effect.value;
-        break;
-      case "jackpotRate":
-        this.bonuses.jackpotRate += effect.value;
-        break;
-      case "magnetism":
-        this.bonuses.magnetism += effect.value;
-        break;
-      case "extraCoin":
-        this.bonuses.extraCoin += effect.value;
-        break;
+  // Add a relic without it dropping on the board (bought in the shop)
+  grant: function (relicId) {
+    const relic = this.types[relicId];
+    if (!relic || this.collected.includes(relic)) return false;
+
+    this.collected.push(relic);
+    this.syncModifiers();
+    if (this.ui) this.ui.showMessage(`${relic.icon} ${relic.name}! ${relic.description}`);
+    this.updateUI();
+    return true;
+  },
+
+  // Relic bonus scaled by allBonus (scale = 1 + the allBonus total)
+  // (slotMultiplier is a multiplier; extraCoin and tierBonus are counts and aren't scaled)
+  getRelicValue: function (relic, scale) {
+    const value = relic.effect.value;
+
+    switch (relic.effect.type) {
       case "slotMultiplier":
-        this.bonuses.slotMultiplier *= effect.value;
-        break;
-      case "pusherSpeed":
-        this.bonuses.pusherSpeed += effect.value;
-        // Apply to existing pushers
-        if (this.board) {
-          for (const pusher of this.board.pushers) {
-            pusher.speed *= (1 + effect.value);
-          }
-        }
-        break;
+        return 1 + (value - 1) * scale;
       case "allBonus":
-        this.bonuses.allBonus += effect.value;
-        break;
+      case "extraCoin":
       case "tierBonus":
-        this.bonuses.tierBonus += effect.value;
-        break;
+        return value;
+      default:
+        return value * scale;
     }
   },
 
-  // Get computed bonus value with allBonus applied
+  // Register every collected relic on the modifier stack (again, since allBonus rescales them all)
+  syncModifiers: function () {
+    if (!this.modifiers) return;
+
+    this.modifiers.removeSource("relics");
+    const register = (relic, index, scale) => {
+      this.modifiers.add({
+        id: "relic" + index,
+        stat: relic.effect.type,
+        op: relic.effect.type === "slotMultiplier" ? "mul" : "add",
+        value: this.getRelicValue(relic, scale),
+        source: "relics",
+        label: relic.name,
+        icon: relic.icon,
+        stacking: "stack",
+      });
+    };
+
+    // allBonus relics go first - the rest are scaled by their total
+    this.collected.forEach((relic, index) => {
+      if (relic.effect.type === "allBonus") register(relic, index, 1);
+    });
+    const scale = 1 + this.modifiers.get("allBonus");
+    this.collected.forEach((relic, index) => {
+      if (relic.effect.type !== "allBonus") register(relic, index, scale);
+    });
+  },
+
+  // Final value of a bonus from the modifier stack
   getBonus: function (type) {
-    const base = this.bonuses[type] || 0;
-    if (type === "slotMultiplier") {
-      return base * (1 + this.bonuses.allBonus);
+    return this.modifiers ? this.modifiers.get(type) : 0;
+  },
+
+  // A new tier was unlocked - Cosmic Egg hands out a random bonus per egg
+  onTierUnlocked: function () {
+    const count = this.getBonus("tierBonus");
+
+    for (let i = 0; i < count; i++) {
+      switch (this.rng.pick(this.tierBonusRewards)) {
+        case "coins":
+          if (this.coins) this.coins.addToQueue(10);
+          if (this.ui) this.ui.showMessage("🥚 +10 Coins!");
+          break;
+        case "coinRain":
+          if (this.game && this.game.coinRain) this.game.coinRain.trigger("cosmicEgg");
+          break;
+        case "powerUp":
+          if (this.game && this.game.powerUps) this.game.powerUps.showSelection();
+          break;
+        case "jackpot":
+          if (this.game && this.game.jackpot) this.game.jackpot.contribute(2000);
+          if (this.ui) this.ui.showMessage("🥚 Jackpot Boost!");
+          break;
+      }
     }
-    return base * (1 + this.bonuses.allBonus);
   },
 
   // Check if a body is a relic and should be collected
@@ -437,17 +455,12 @@ const Relics = {
 
   // Update
   update: function (deltaTime) {
-    const time = performance.now() * 0.001;
+    const time = this.getTime() * 0.001;
 
     for (const activeRelic of this.activeRelics) {
       const mesh = activeRelic.mesh;
       const body = activeRelic.body;
 
-      // Sync position from physics
-      if (body) {
-        mesh.position.set(body.x, body.y, body.z);
-      }
-
       // Rotate the main body
       mesh.children[0].rotation.y += deltaTime * 1.5;
       mesh.children[0].rotation.x += deltaTime * 0.5;
@@ -483,6 +496,31 @@ const Relics = {
     }
   },
 
+  // Get save data
+  getSaveData: function () {
+    return {
+      collected: this.collected.map((relic) => relic.id),
+      // The clock starts over on Continue, so save what's left of the cooldown
+      dropCooldownLeft: Math.max(0, this.dropCooldown - (this.getTime() - this.lastDropTime)),
+    };
+  },
+
+  // Load save data - re-applies each relic's bonus
+  loadSaveData: function (data) {
+    if (!data || !data.collected) return;
+
+    this.collected = [];
+    for (const id of data.collected) {
+      const relic = this.types[id];
+      if (relic) this.collected.push(relic);
+    }
+    if (typeof data.dropCooldownLeft === "number") {
+      this.lastDropTime = this.getTime() - (this.dropCooldown - data.dropCooldownLeft);
+    }
+    this.syncModifiers();
+    this.updateUI();
+  },
+
   // Cleanup
   cleanup: function () {
     for (const activeRelic of this.activeRelics) {
@@ -493,7 +531,10 @@ const Relics = {
     }
     this.activeRelics = [];
     this.collected = [];
-    this.resetBonuses();
+    // Drop cooldown runs on the game clock, which starts over with each world - the first drop needn't wait
+    this.lastDropTime = -this.dropCooldown;
+    this.syncModifiers();
+    this.updateUI();
   },
 };
 
@@ -0,0 +1,615 @@
+/**
+ * Run Mode for Coin Pusher World
+ * Roguelite runs across a seeded 3-act node map (see docs/design-spec.md).
+ * Battle, elite and boss nodes are fights played on the regular board (see
+ * Combat.js) - beat the enemy to collect the payout, flee and lose HP. Shops,
+ * rests, board nodes and events are resolved on the map. Beat the Act 3 boss
+ * to win; run out of HP and the run is over.
+ *
+ * Power-up levels, relics and boards picked up at board nodes carry over from
+ * one encounter to the next, and every encounter is played with the run's coin
+ * deck (see Deck.js) - won encounters offer a new coin for it.
+ */
+
+import { tierThemes, getThemeOptions } from '../world/themes/index.js';
+import { coinDefinitions } from './Deck.js';
+import { enemyDefinitions } from './Combat.js';
+import { createRandom } from '../core/Random.js';
+
+// Node types on the map
+export const runNodeTypes = {
+  battle: { id: "battle", name: "Battle", icon: "⚔️" },
+  elite: { id: "elite", name: "Elite", icon: "💀" },
+  shop: { id: "shop", name: "Shop", icon: "🛒" },
+  rest: { id: "rest", name: "Rest", icon: "🔥" },
+  board: { id: "board", name: "Board", icon: "🧩" },
+  event: { id: "event", name: "Event", icon: "❓" },
+  boss: { id: "boss", name: "Boss", icon: "👑" },
+};
+
+// Acts - each has its own enemies (see Combat.js)
+export const runActs = [
+  { name: "Act 1 - Arcade Row" },
+  { name: "Act 2 - Neon Underpass" },
+  { name: "Act 3 - The Grand Cabinet" },
+];
+
+// Encounter settings per fighting node type (fleeDamage: HP lost for running from the fight)
+const encounterTypes = {
+  battle: { coins: 20, payout: [15, 25], fleeDamage: 8 },
+  elite: { coins: 25, payout: [35, 50], fleeDamage: 14 },
+  boss: { coins: 30, payout: [80, 100], fleeDamage: 25 },
+};
+
+// Odds of each type on the free rows of the map (elites and shops need a few rows first)
+const nodeWeights = [
+  { type: "battle", weight: 45, minRow: 0 },
+  { type: "event", weight: 20, minRow: 1 },
+  { type: "elite", weight: 12, minRow: 2 },
+  { type: "shop", weight: 12, minRow: 1 },
+  { type: "board", weight: 11, minRow: 1 },
+];
+
+// Map events - each choice has an optional gold cost and an effect
+const runEvents = [
+  {
+    id: "fountain",
+    icon: "⛲",
+    name: "Wishing Fountain",
+    text: "Coins glitter at the bottom of an old fountain.",
+    choices: [
+      { label: "Toss in 20 gold", cost: 20, effect: { heal: 12 }, result: "You feel refreshed. +12 HP" },
+      { label: "Walk on", effect: {} },
+    ],
+  },
+  {
+    id: "vendingMachine",
+    icon: "🥤",
+    name: "Jammed Vending Machine",
+    text: "Something is stuck in the slot. It could come loose with a good shake.",
+    choices: [
+      { label: "Shake it", effect: { gold: 35, damage: 6 }, result: "Coins spill out - and so does the machine. +35 gold, -6 HP" },
+      { label: "Leave it", effect: {} },
+    ],
+  },
+  {
+    id: "tinkerer",
+    icon: "🔧",
+    name: "Wandering Tinkerer",
+    text: "\"Give me a few coins and I'll tune up your machine.\"",
+    choices: [
+      { label: "Pay 30 gold", cost: 30, effect: { upgrade: true }, result: "Your machine hums a little happier." },
+      { label: "No thanks", effect: {} },
+    ],
+  },
+  {
+    id: "luckyPenny",
+    icon: "🪙",
+    name: "Lucky Penny",
+    text: "A shiny penny lies face up on the floor.",
+    choices: [{ label: "Pocket it", effect: { gold: 15 }, result: "+15 gold" }],
+  },
+  {
+    id: "cursedToken",
+    icon: "🧿",
+    name: "Cursed Token",
+    text: "A heavy token offers riches - for a piece of you.",
+    choices: [
+      { label: "Take the deal", effect: { coin: "curse", gold: 60 }, result: "A Curse Coin joins your deck. +60 gold" },
+      { label: "Refuse", effect: {} },
+    ],
+  },
+];
+
+const RunMode = {
+  // Map shape - rows per act (the last row is the boss) and nodes per row
+  rowsPerAct: 7,
+  minRowWidth: 2,
+  maxRowWidth: 4,
+
+  // Player resources
+  startingHp: 40,
+  startingGold: 0,
+  startingCoins: ["strike", "strike", "strike", "strike", "strike", "guard", "guard", "guard", "chain", "chain", "interest", "interest"],
+  coinRewardChoices: 3,
+
+  // Rest heal (shop prices are in Shop.js)
+  restHealRatio: 0.3,
+
+  // Run state
+  active: false,
+  seed: "",
+  act: 0,
+  maps: [], // one per act: { rows: [[node, ...], ...] }
+  currentNodeId: null, // last node entered (null at the start of an act)
+  visited: [],
+  hp: 0,
+  maxHp: 0,
+  gold: 0,
+  boards: [], // theme indices added at board nodes
+  coins: [], // the coin deck: { uid, id, bonus } per coin
+  nextCoinUid: 1,
+  carry: { powerUps: null, relics: null }, // carried into each encounter
+  outcome: null, // "won" or "lost" once the run is over
+  encountersWon: 0,
+
+  // References
+  game: null,
+  ui: null,
+  rng: null,
+  sound: null,
+  powerUps: null,
+  board: null,
+  deck: null,
+  shop: null, // wired after init
+
+  // Initialize run mode
+  init: function (refs = {}) {
+    this.game = refs.game;
+    this.ui = refs.ui;
+    this.rng = refs.rng;
+    this.sound = refs.sound;
+    this.powerUps = refs.powerUps;
+    this.board = refs.board;
+    this.deck = refs.deck;
+  },
+
+  // Start a new run (seed = null picks a fresh one)
+  start: function (seed = null) {
+    if (!this.rng) return;
+
+    // The map rolls from its own stream so the game's RNG is left alone
+    const mapRng = createRandom(seed || this.rng.generateSeed());
+    this.seed = mapRng.seed;
+    this.maps = runActs.map((act, index) => this.generateAct(index, mapRng));
+    this.act = 0;
+    this.currentNodeId = null;
+    this.visited = [];
+    this.hp = this.startingHp;
+    this.maxHp = this.startingHp;
+    this.gold = this.startingGold;
+    this.boards = [];
+    this.coins = [];
+    this.nextCoinUid = 1;
+    this.startingCoins.forEach((id) => this.addCoin(id));
+    this.carry = { powerUps: null, relics: null };
+    this.outcome = null;
+    this.encountersWon = 0;
+    this.active = true;
+
+    console.log("Run mode seed: " + this.seed);
+    if (this.ui) this.ui.showRunMap(this);
+  },
+
+  // Build one act's map: rows of nodes, each linked to one or two nodes on the next row
+  generateAct: function (act, rng) {
+    const rows = [];
+
+    for (let row = 0; row < this.rowsPerAct; row++) {
+      const isBoss = row === this.rowsPerAct - 1;
+      const width = isBoss ? 1 : rng.int(this.minRowWidth, this.maxRowWidth);
+      const nodes = [];
+
+      for (let i = 0; i < width; i++) {
+        nodes.push({
+          id: `${act}-${row}-${i}`,
+          act: act,
+          row: row,
+          x: (i + 0.5) / width, // 0-1 across the map
+          type: this.pickNodeType(row, rng),
+          next: [],
+        });
+      }
+      rows.push(nodes);
+    }
+
+    // Link each node to the closest node(s) on the next row, then make sure
+    // nothing on the next row is unreachable
+    for (let row = 0; row < rows.length - 1; row++) {
+      const next = rows[row + 1];
+      const closest = (x) =>
+        next.reduce((best, node) => (Math.abs(node.x - x) < Math.abs(best.x - x) ? node : best), next[0]);
+
+      for (const node of rows[row]) {
+        node.next.push(closest(node.x).id);
+        if (next.length > 1 && rng.chance(0.4)) {
+          const branch = closest(node.x + (rng.chance(0.5) ? -1 : 1) / next.length);
+          if (!node.next.includes(branch.id)) node.next.push(branch.id);
+        }
+      }
+
+      for (const target of next) {
+        if (rows[row].some((node) => node.next.includes(target.id))) continue;
+        const from = rows[row].reduce(
+          (best, node) => (Math.abs(node.x - target.x) < Math.abs(best.x - target.x) ? node : best),
+          rows[row][0]
+        );
+        from.next.push(target.id);
+      }
+    }
+
+    // Roll what each node holds
+    for (const row of rows) {
+      for (const node of row) this.setupNode(node, rng);
+    }
+
+    return { rows: rows };
+  },
+
+  // Node type for a row - battles first, a rest before the boss, weighted picks in between
+  pickNodeType: function (row, rng) {
+    if (row === 0) return "battle";
+    if (row === this.rowsPerAct - 1) return "boss";
+    if (row === this.rowsPerAct - 2) return "rest";
+
+    const options = nodeWeights.filter((option) => row >= option.minRow);
+    const total = options.reduce((sum, option) => sum + option.weight, 0);
+    let roll = rng.range(0, total);
+    for (const option of options) {
+      roll -= option.weight;
+      if (roll < 0) return option.type;
+    }
+    return "battle";
+  },
+
+  // Roll what a node holds (enemy and payout, event - shops roll their stock when opened)
+  setupNode: function (node, rng) {
+    const encounter = encounterTypes[node.type];
+    if (encounter) {
+      const enemies = Object.values(enemyDefinitions).filter((def) => def.act === node.act && def.tier === node.type);
+      node.enemy = rng.pick(enemies).id;
+      node.payout = rng.int(encounter.payout[0], encounter.payout[1]);
+    } else if (node.type === "event") {
+      node.event = rng.pick(runEvents).id;
+    }
+  },
+
+  // Find a node of the current act by id
+  getNode: function (id) {
+    const map = this.maps[this.act];
+    if (!map) return null;
+    for (const row of map.rows) {
+      const node = row.find((candidate) => candidate.id === id);
+      if (node) return node;
+    }
+    return null;
+  },
+
+  // Nodes the player can move to next
+  getAvailableNodes: function () {
+    if (!this.active || this.outcome) return [];
+
+    const map = this.maps[this.act];
+    if (this.currentNodeId === null) return map.rows[0];
+
+    const current = this.getNode(this.currentNodeId);
+    return current ? current.next.map((id) => this.getNode(id)) : [];
+  },
+
+  // Move onto a node and play it
+  enterNode: function (id) {
+    const node = this.getAvailableNodes().find((candidate) => candidate.id === id);
+    if (!node) return false;
+
+    this.currentNodeId = node.id;
+    this.visited.push(node.id);
+
+    switch (node.type) {
+      case "battle":
+      case "elite":
+      case "boss":
+        this.startEncounter(node);
+        break;
+      case "rest":
+        this.showRest(node);
+        break;
+      case "shop":
+        this.showShop(node);
+        break;
+      case "board":
+        this.showBoardChoice(node);
+        break;
+      case "event":
+        this.showEvent(node);
+        break;
+    }
+    return true;
+  },
+
+  // Enemy, coins and payout of a fighting node (enemies get tougher row by row)
+  createEncounter: function (node) {
+    const settings = encounterTypes[node.type];
+    const enemy = enemyDefinitions[node.enemy];
+
+    return {
+      nodeId: node.id,
+      type: node.type,
+      name: `${runActs[node.act].name.split(" - ")[0]} ${runNodeTypes[node.type].name}`,
+      enemy: enemy.id,
+      enemyHp: Math.round(enemy.hp * (1 + 0.05 * node.row)),
+      coins: settings.coins,
+      payout: node.payout,
+      fleeDamage: settings.fleeDamage,
+      seed: `${this.seed}-${node.id}`,
+      boards: [...this.boards],
+      deck: this.coins,
+      powerUps: this.carry.powerUps,
+      relics: this.carry.relics,
+    };
+  },
+
+  // Play a fighting node on the board
+  startEncounter: function (node) {
+    const encounter = this.createEncounter(node);
+    if (this.ui) this.ui.hideRunMap();
+    if (this.game) this.game.startEncounter(encounter);
+  },
+
+  // Encounter over - pay out or take damage, then back to the map
+  // result: { encounter, won, score } - lost with HP left means the player fled
+  completeEncounter: function (result) {
+    const encounter = result.encounter;
+
+    // Upgrades and relics found during the encounter stay for the run
+    this.carry = {
+      powerUps: this.game && this.game.powerUps ? this.game.powerUps.getSaveData() : null,
+      relics: this.game && this.game.relics ? this.game.relics.getSaveData() : null,
+    };
+
+    let text;
+    if (result.won) {
+      this.encountersWon++;
+      this.gold += encounter.payout;
+      text = `${enemyDefinitions[encounter.enemy].name} defeated! +${encounter.payout} gold`;
+    } else if (this.hp > 0) {
+      this.hp = Math.max(0, this.hp - encounter.fleeDamage);
+      text = `Fled the fight. -${encounter.fleeDamage} HP`;
+    } else {
+      text = `${enemyDefinitions[encounter.enemy].name} wins.`;
+    }
+
+    if (this.ui) this.ui.showRunMap(this);
+
+    if (this.hp <= 0) {
+      this.end(false);
+      return;
+    }
+
+    if (result.won && encounter.type === "boss") {
+      if (this.act >= runActs.length - 1) {
+        this.end(true);
+        return;
+      }
+
+      // On to the next act
+      this.act++;
+      this.currentNodeId = null;
+      this.hp = Math.min(this.maxHp, this.hp + Math.round(this.maxHp * this.restHealRatio));
+      text += ` - ${runActs[this.act].name} begins!`;
+      if (this.ui) this.ui.showRunMap(this);
+    }
+
+    // Won encounters offer a coin for the deck
+    const offered =
+      result.won && this.deck
+        ? this.deck.getOfferedCoins(this.coinRewardChoices, this.nodeRng({ id: encounter.nodeId }))
+        : [];
+    const choices = offered.map((def) => ({
+      label: `${def.icon} ${def.name} - ${def.description}`,
+      onChoose: () => this.addCoin(def.id),
+    }));
+    choices.push({ label: offered.length > 0 ? "Skip" : "Continue" });
+    if (offered.length > 0) text += " - pick a coin for your deck:";
+
+    this.showPanel({
+      icon: result.won ? "🏆" : "💥",
+      title: result.won ? `${encounter.name} won` : `${encounter.name} lost`,
+      text: text,
+      choices: choices,
+    });
+  },
+
+  // Rest - heal or tune up a power-up
+  showRest: function (node) {
+    const heal = Math.round(this.maxHp * this.restHealRatio);
+    const upgrade = this.pickUpgrade(node);
+
+    this.showPanel({
+      icon: runNodeTypes.rest.icon,
+      title: "Rest Stop",
+      text: "Catch your breath, or spend the time tinkering.",
+      choices: [
+        { label: `Rest (+${heal} HP)`, onChoose: () => this.heal(heal) },
+        {
+          label: upgrade ? `Tinker (+1 ${this.powerUps.types[upgrade].name})` : "Tinker (nothing left to upgrade)",
+          disabled: !upgrade,
+          onChoose: () => this.addUpgrade(upgrade),
+        },
+      ],
+    });
+  },
+
+  // Shop - relics, power-up levels, deck coins, coin removal and repairs (see Shop.js)
+  showShop: function (node) {
+    if (this.shop) this.shop.open(node);
+  },
+
+  // Back to the map from the shop
+  leaveShop: function () {
+    if (this.ui && this.active) this.ui.showRunMap(this);
+  },
+
+  // Board node - add a board to every encounter from now on
+  showBoardChoice: function (node) {
+    const maxBoards = this.board ? this.board.maxTiers - 1 : 0;
+    const used = [0, ...this.boards];
+    const options = this.boards.length < maxBoards ? getThemeOptions(used, this.nodeRng(node)) : [];
+
+    const choices = options.map((option) => ({
+      label: `${option.theme.icon} ${option.theme.name} - ${option.theme.focusLabel}`,
+      onChoose: () => {
+        this.boards.push(option.index);
+      },
+    }));
+    choices.push({ label: options.length > 0 ? "Skip" : "Continue" });
+
+    this.showPanel({
+      icon: runNodeTypes.board.icon,
+      title: "Board Workshop",
+      text:
+        options.length > 0
+          ? "Bolt a new board onto your pyramid - it's there from the start of every encounter."
+          : "Your pyramid is as tall as it gets.",
+      choices: choices,
+    });
+  },
+
+  // Event - pick one of its choices
+  showEvent: function (node) {
+    const event = runEvents.find((candidate) => candidate.id === node.event) || runEvents[0];
+
+    this.showPanel({
+      icon: event.icon,
+      title: event.name,
+      text: event.text,
+      choices: event.choices.map((choice) => ({
+        label: choice.cost ? `${choice.label} (${choice.cost} gold)` : choice.label,
+        disabled: !!choice.cost && this.gold < choice.cost,
+        onChoose: () => {
+          if (choice.cost) this.spend(choice.cost);
+          this.applyEventEffect(node, choice.effect);
+          if (choice.result && this.ui) this.ui.showMessage(choice.result);
+        },
+      })),
+    });
+  },
+
+  // Apply an event choice's effect
+  applyEventEffect: function (node, effect) {
+    if (effect.gold) this.gold += effect.gold;
+    if (effect.maxHp) {
+      this.maxHp = Math.max(1, this.maxHp + effect.maxHp);
+      this.hp = Math.min(this.hp, this.maxHp);
+    }
+    if (effect.heal) this.heal(effect.heal);
+    if (effect.damage) this.hp = Math.max(1, this.hp - effect.damage); // Events never end a run
+    if (effect.upgrade) this.addUpgrade(this.pickUpgrade(node));
+    if (effect.coin) this.addCoin(effect.coin);
+  },
+
+  // Show a map panel - choices close it unless keepOpen is set
+  showPanel: function (panel) {
+    if (!this.ui) return;
+
+    const choices = panel.choices.map((choice) => ({
+      ...choice,
+      onChoose: () => {
+        if (choice.onChoose) choice.onChoose();
+        if (!choice.keepOpen) this.ui.hideRunPanel();
+        if (this.active) this.ui.showRunMap(this);
+      },
+    }));
+    this.ui.showRunPanel({ ...panel, choices: choices });
+  },
+
+  // Random stream for a node's choices - the same node always offers the same things
+  nodeRng: function (node) {
+    return createRandom(`${this.seed}-${node.id}-CHOICE`);
+  },
+
+  // Random power-up that can still level up (null when everything is maxed)
+  pickUpgrade: function (node) {
+    if (!this.powerUps) return null;
+    const open = Object.keys(this.powerUps.types).filter(
+      (id) => this.getUpgradeLevel(id) < this.powerUps.types[id].maxLevel
+    );
+    return open.length > 0 ? this.nodeRng(node).pick(open) : null;
+  },
+
+  // Carried level of a power-up
+  getUpgradeLevel: function (id) {
+    const levels = this.carry.powerUps ? this.carry.powerUps.levels : null;
+    return levels && levels[id] ? levels[id] : 0;
+  },
+
+  // Add a power-up level to what the next encounter starts with
+  addUpgrade: function (id) {
+    if (!id) return;
+    const levels = { ...(this.carry.powerUps ? this.carry.powerUps.levels : {}) };
+    levels[id] = (levels[id] || 0) + 1;
+    this.carry = { ...this.carry, powerUps: { levels: levels } };
+  },
+
+  // Add a coin to the deck
+  addCoin: function (id) {
+    if (!coinDefinitions[id]) return;
+    this.coins.push({ uid: this.nextCoinUid++, id: id, bonus: 0 });
+  },
+
+  // Take a coin of this kind out of the deck (the one that has grown the least)
+  removeCoin: function (id) {
+    let index = -1;
+    this.coins.forEach((coin, i) => {
+      if (coin.id === id && (index === -1 || coin.bonus < this.coins[index].bonus)) index = i;
+    });
+    if (index === -1) return false;
+    this.coins.splice(index, 1);
+    return true;
+  },
+
+  // Add a relic to what the next encounter starts with
+  addRelic: function (id) {
+    const collected = this.carry.relics && this.carry.relics.collected ? this.carry.relics.collected : [];
+    if (collected.includes(id)) return;
+    this.carry = { ...this.carry, relics: { collected: [...collected, id] } };
+  },
+
+  // Lose HP during an encounter - at 0 the encounter (and the run) is lost
+  takeDamage: function (amount) {
+    this.hp = Math.max(0, this.hp - amount);
+    if (this.hp <= 0 && this.game && this.game.encounter) this.game.gameOver("defeated");
+  },
+
+  // Heal, capped at max HP
+  heal: function (amount) {
+    this.hp = Math.min(this.maxHp, this.hp + amount);
+  },
+
+  // Spend gold
+  spend: function (amount) {
+    this.gold = Math.max(0, this.gold - amount);
+  },
+
+  // Run over - won by beating the last boss, lost at 0 HP
+  end: function (won) {
+    this.outcome = won ? "won" : "lost";
+    if (this.sound) this.sound.play(won ? "win" : "hit");
+
+    this.showPanel({
+      icon: won ? "🏆" : "💀",
+      title: won ? "Run Complete!" : "Run Over",
+      text: won
+        ? `You beat all ${runActs.length} acts with ${this.gold} gold to spare.`
+        : `Knocked out in ${runActs[this.act].name} after ${this.encountersWon} encounters won.`,
+      choices: [{ label: "Main Menu", onChoose: () => this.quit() }],
+    });
+  },
+
+  // Leave run mode and go back to the start screen
+  quit: function () {
+    this.active = false;
+    if (this.ui) {
+      this.ui.hideRunPanel();
+      this.ui.hideRunMap();
+    }
+    if (this.game) this.game.resetToMenu();
+    if (this.ui) this.ui.showStartScreen();
+  },
+
+  // Themes of the boards added this run (for the map header)
+  getBoardThemes: function () {
+    return this.boards.map((index) => tierThemes[index]).filter(Boolean);
+  },
+};
+
+export default RunMode;
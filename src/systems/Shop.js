@@ -0,0 +1,371 @@
+/**
+ * Shop for Coin Pusher World
+ * Spend gold on relics, power-up levels and - in Run mode - coins for the deck,
+ * removing a coin from it or a repair kit. Gold is its own currency, apart from
+ * score: coins that fall into gold slots pay it (see slotTypes in
+ * world/themes/index.js), and Run mode adds fight payouts and Interest coins.
+ *
+ * Endless runs open the shop a moment after every new tier; Run mode opens it
+ * at shop nodes on the map. Stock is rolled from its own seed (the run's seed
+ * plus the visit or map node and the reroll count), so a shop always offers the
+ * same things and rolling it never moves the run's random stream. Prices go up
+ * act by act - in Endless, tier by tier.
+ */
+
+import { createRandom } from '../core/Random.js';
+
+const Shop = {
+  // Offers per visit
+  relicOffers: 2,
+  powerUpOffers: 3,
+  coinOffers: 2,
+
+  // Prices (before act scaling)
+  relicPrices: { common: 60, uncommon: 90, rare: 140, legendary: 220 },
+  coinPrices: { basic: 30, rare: 50, epic: 80 },
+  powerUpBasePrice: 40,
+  powerUpPricePerLevel: 15,
+  removePrice: 50,
+  healPrice: 25,
+  healAmount: 10,
+  rerollBasePrice: 10,
+  rerollPriceStep: 5, // each reroll this visit costs this much more
+  actPriceScale: 0.25, // +25% per act
+  minDeckSize: 5, // coin removal stops here
+
+  // Seconds after a new Endless tier before the shop opens
+  openDelay: 1.5,
+
+  // State
+  gold: 0, // Endless wallet (Run mode spends RunMode.gold)
+  visits: 0,
+  isOpen: false,
+  node: null, // Run mode map node being shopped at (null in Endless)
+  stock: [], // offers: { kind: "relic"|"powerUp"|"coin"|"remove"|"heal", id, price, sold }
+  rerolls: 0,
+  removing: false, // picking the coin to remove
+
+  // References
+  game: null,
+  ui: null,
+  sound: null,
+  relics: null,
+  powerUps: null,
+  deck: null,
+  runMode: null,
+
+  // Initialize shop
+  init: function (refs = {}) {
+    this.game = refs.game;
+    this.ui = refs.ui;
+    this.sound = refs.sound;
+    this.relics = refs.relics;
+    this.powerUps = refs.powerUps;
+    this.deck = refs.deck;
+    this.runMode = refs.runMode;
+  },
+
+  // New world - empty wallet, shop closed
+  reset: function () {
+    this.gold = 0;
+    this.visits = 0;
+    this.close();
+    this.updateGoldUI();
+  },
+
+  // Is this a Run mode shop? (the run's gold, carried upgrades and deck)
+  inRun: function () {
+    return !!(this.runMode && this.runMode.active);
+  },
+
+  // Gold in the current wallet
+  getGold: function () {
+    return this.inRun() ? this.runMode.gold : this.gold;
+  },
+
+  // A coin fell into a gold slot
+  earnGold: function (amount) {
+    if (this.inRun()) {
+      this.runMode.gold += amount;
+    } else {
+      this.gold += amount;
+    }
+    this.updateGoldUI();
+  },
+
+  // Pay from the current wallet
+  spendGold: function (amount) {
+    if (this.inRun()) {
+      this.runMode.spend(amount);
+    } else {
+      this.gold = Math.max(0, this.gold - amount);
+    }
+    this.updateGoldUI();
+  },
+
+  // Endless - a new tier is up; open the shop once the fanfare is over
+  onTierUnlocked: function () {
+    if (!this.game || !this.ui || this.inRun()) return;
+    this.game.clock.after(this.openDelay, () => this.openEndless());
+  },
+
+  // Open the Endless shop (waits while a board or upgrade pick is up)
+  openEndless: function () {
+    if (!this.game || !this.game.isRunning || this.isOpen) return;
+    if (this.ui.isChoosing()) {
+      this.game.clock.after(1, () => this.openEndless());
+      return;
+    }
+
+    this.visits++;
+    this.open(null);
+    this.game.pause();
+  },
+
+  // Open the shop - node is the Run mode map node (null in Endless)
+  open: function (node) {
+    this.node = node;
+    this.rerolls = 0;
+    this.removing = false;
+    this.isOpen = true;
+    this.stock = this.rollStock();
+    if (this.ui) this.ui.showShop(this);
+  },
+
+  // Close the shop (Endless runs pick up where they stopped)
+  close: function () {
+    const wasEndless = this.isOpen && !this.node;
+    this.isOpen = false;
+    this.node = null;
+    this.stock = [];
+    this.removing = false;
+    if (this.ui) this.ui.hideShop();
+    if (wasEndless && this.game) this.game.resume();
+  },
+
+  // Handle a shop input - an offer index, "reroll", "leave", "cancel" or "remove:<coin id>"
+  // (Endless inputs come through Game.command so replays see them)
+  handle: function (action) {
+    if (!this.isOpen) return;
+
+    if (typeof action === "number") {
+      this.buy(action);
+    } else if (action === "reroll") {
+      this.reroll();
+    } else if (action === "leave") {
+      const node = this.node;
+      this.close();
+      if (node && this.runMode) this.runMode.leaveShop();
+      return;
+    } else if (action === "cancel") {
+      this.removing = false;
+    } else if (typeof action === "string" && action.startsWith("remove:")) {
+      this.removeCoin(action.slice(7));
+    }
+    if (this.ui && this.isOpen) this.ui.showShop(this);
+  },
+
+  // Act prices scale with - the run's act, or tiers unlocked past the first shop in Endless
+  getAct: function () {
+    if (this.inRun()) return this.runMode.act;
+    return this.game ? Math.max(0, this.game.currentExpansionIndex - 1) : 0;
+  },
+
+  // Price after act scaling
+  scalePrice: function (price) {
+    return Math.round(price * (1 + this.actPriceScale * this.getAct()));
+  },
+
+  // Price of the next reroll this visit
+  getRerollPrice: function () {
+    return this.scalePrice(this.rerollBasePrice + this.rerollPriceStep * this.rerolls);
+  },
+
+  // Seed the stock is rolled from
+  getSeed: function () {
+    if (this.node && this.runMode) return `${this.runMode.seed}-${this.node.id}-SHOP-${this.rerolls}`;
+    return `${this.game ? this.game.seed : ""}-SHOP-${this.visits}-${this.rerolls}`;
+  },
+
+  // Roll the offers from the shop's own seed (the run's random stream is left alone)
+  rollStock: function () {
+    const rng = createRandom(this.getSeed());
+
+    const stock = [];
+    for (const relic of this.pickRelics(this.relicOffers, rng)) {
+      stock.push({ kind: "relic", id: relic.id, price: this.scalePrice(this.relicPrices[relic.rarity] || 100), sold: false });
+    }
+
+    const openPowerUps = this.powerUps
+      ? Object.keys(this.powerUps.types).filter((id) => this.getPowerUpLevel(id) < this.powerUps.types[id].maxLevel)
+      : [];
+    for (const id of rng.shuffle(openPowerUps).slice(0, this.powerUpOffers)) {
+      const price = this.powerUpBasePrice + this.powerUpPricePerLevel * this.getPowerUpLevel(id);
+      stock.push({ kind: "powerUp", id: id, price: this.scalePrice(price), sold: false });
+    }
+
+    // The deck, removals and repairs are Run mode's
+    if (this.inRun()) {
+      if (this.deck) {
+        for (const def of this.deck.getOfferedCoins(this.coinOffers, rng)) {
+          stock.push({ kind: "coin", id: def.id, price: this.scalePrice(this.coinPrices[def.rarity] || 40), sold: false });
+        }
+      }
+      stock.push({ kind: "remove", id: "remove", price: this.scalePrice(this.removePrice), sold: false });
+      stock.push({ kind: "heal", id: "heal", price: this.scalePrice(this.healPrice), sold: false });
+    }
+
+    return stock;
+  },
+
+  // Relics not owned yet, weighted by rarity
+  pickRelics: function (count, rng) {
+    if (!this.relics) return [];
+
+    const owned = this.getOwnedRelics();
+    const candidates = Object.values(this.relics.types).filter((relic) => !owned.includes(relic.id));
+    const picked = [];
+
+    while (picked.length < count && candidates.length > 0) {
+      const weight = (relic) => this.relics.rarityWeights[relic.rarity] || 10;
+      let roll = rng.next() * candidates.reduce((sum, relic) => sum + weight(relic), 0);
+      let index = candidates.length - 1;
+      for (let i = 0; i < candidates.length; i++) {
+        roll -= weight(candidates[i]);
+        if (roll < 0) {
+          index = i;
+          break;
+        }
+      }
+      picked.push(candidates.splice(index, 1)[0]);
+    }
+    return picked;
+  },
+
+  // Relic ids the player has (carried in Run mode)
+  getOwnedRelics: function () {
+    if (this.inRun()) {
+      const carried = this.runMode.carry.relics;
+      return carried && carried.collected ? carried.collected : [];
+    }
+    return this.relics ? this.relics.collected.map((relic) => relic.id) : [];
+  },
+
+  // Power-up level the player has (carried in Run mode)
+  getPowerUpLevel: function (id) {
+    if (this.inRun()) return this.runMode.getUpgradeLevel(id);
+    return this.powerUps ? this.powerUps.levels[id] || 0 : 0;
+  },
+
+  // Why an offer can't be bought right now (null when it can)
+  getBlockReason: function (offer) {
+    if (offer.sold) return "Sold";
+    if (offer.kind === "remove" && this.runMode && this.runMode.coins.length <= this.minDeckSize) return "Deck too small";
+    if (offer.kind === "heal" && this.runMode && this.runMode.hp >= this.runMode.maxHp) return "Full HP";
+    if (this.getGold() < offer.price) return "Not enough gold";
+    return null;
+  },
+
+  // Buy an offer
+  buy: function (index) {
+    const offer = this.stock[index];
+    if (!offer || this.getBlockReason(offer)) return;
+
+    // Removal is paid once the coin is picked
+    if (offer.kind === "remove") {
+      this.removing = true;
+      return;
+    }
+
+    this.spendGold(offer.price);
+    offer.sold = true;
+    this.applyOffer(offer);
+    if (this.sound) this.sound.play("powerup");
+  },
+
+  // Hand over what was bought
+  applyOffer: function (offer) {
+    const run = this.inRun() ? this.runMode : null;
+
+    switch (offer.kind) {
+      case "relic":
+        if (run) {
+          run.addRelic(offer.id);
+        } else if (this.relics) {
+          this.relics.grant(offer.id);
+        }
+        break;
+      case "powerUp":
+        if (run) {
+          run.addUpgrade(offer.id);
+        } else if (this.powerUps) {
+          this.powerUps.upgrade(offer.id);
+        }
+        break;
+      case "coin":
+        if (run) run.addCoin(offer.id);
+        break;
+      case "heal":
+        if (run) run.heal(this.healAmount);
+        break;
+    }
+  },
+
+  // Remove one coin of this kind from the Run mode deck (the removal offer's second step)
+  removeCoin: function (coinId) {
+    const offer = this.stock.find((candidate) => candidate.kind === "remove");
+    if (!this.removing || !offer || this.getBlockReason(offer) || !this.runMode) return;
+
+    if (!this.runMode.removeCoin(coinId)) return;
+    this.spendGold(offer.price);
+    offer.sold = true;
+    this.removing = false;
+  },
+
+  // New stock for gold - each reroll this visit costs more
+  reroll: function () {
+    const price = this.getRerollPrice();
+    if (this.getGold() < price) return;
+
+    this.spendGold(price);
+    this.rerolls++;
+    this.removing = false;
+    this.stock = this.rollStock();
+  },
+
+  // Show the wallet on the HUD
+  updateGoldUI: function () {
+    if (this.ui) this.ui.updateGold(this.getGold());
+  },
+
+  // Get save data (Endless - an open shop keeps its stock, since purchases change what a re-roll would offer)
+  getSaveData: function () {
+    const open = this.isOpen && !this.node;
+    return {
+      gold: this.gold,
+      visits: this.visits,
+      open: open ? { rerolls: this.rerolls, stock: this.stock.map((offer) => ({ ...offer })) } : null,
+    };
+  },
+
+  // Load save data (after the relics and power-ups it prices against)
+  loadSaveData: function (data) {
+    if (!data) return;
+    this.gold = Math.max(0, data.gold || 0);
+    this.visits = Math.max(0, data.visits || 0);
+    this.updateGoldUI();
+
+    // Saved with the shop open - open it again where the player left it
+    if (data.open && Array.isArray(data.open.stock)) {
+      this.node = null;
+      this.rerolls = Math.max(0, data.open.rerolls || 0);
+      this.removing = false;
+      this.isOpen = true;
+      this.stock = data.open.stock.map((offer) => ({ ...offer, sold: !!offer.sold }));
+      if (this.ui) this.ui.showShop(this);
+      if (this.game) this.game.pause();
+    }
+  },
+};
+
+export default Shop;
@@ -0,0 +1,190 @@
+/**
+ * Turn Mode for Coin Pusher World
+ * An optional drop economy for Endless runs (Settings > Drop Economy). Instead
+ * of the coin queue refilling every few seconds, each turn grants energy and
+ * the pushers hold still while the player drops. Coins cost energy by variant
+ * (see coinVariants in Coins.js), so the player picks which coin each drop is.
+ * Ending the turn lets the board settle: the pushers run a fixed number of
+ * cycles, whatever falls scores, then the next turn starts.
+ *
+ * Energy lives in the coin queue, so rewards that add coins to the queue (bonus
+ * zones, refund slots, power-ups) add energy. Unspent energy carries over, up
+ * to the queue's capacity.
+ */
+
+import { coinVariants } from './Coins.js';
+
+const Turns = {
+  // Settings
+  energyPerTurn: 10,
+  settleCycles: 2, // pusher cycles the board runs between turns
+
+  // State
+  active: false,
+  turn: 0,
+  phase: "player", // "player" (dropping, pushers held) or "settling" (pushers running)
+  settleLeft: 0, // pusher seconds left to settle (at normal pusher speed)
+  selected: "standard", // coin variant the next drop uses
+
+  // References
+  game: null,
+  ui: null,
+  coins: null,
+  board: null,
+  modifiers: null,
+
+  // Initialize turn mode
+  init: function (refs = {}) {
+    this.game = refs.game;
+    this.ui = refs.ui;
+    this.coins = refs.coins;
+    this.board = refs.board;
+    this.modifiers = refs.modifiers;
+  },
+
+  // Play the run in turns (new run - the energy of the first turn replaces the starting queue)
+  start: function () {
+    this.active = true;
+    this.turn = 0;
+    this.selected = "standard";
+    if (this.coins) this.coins.coinQueue = 0;
+    this.startTurn();
+  },
+
+  // Back to the real-time economy (new world)
+  stop: function () {
+    this.active = false;
+    this.release();
+    if (this.ui) this.ui.updateTurns(null);
+  },
+
+  // New turn - energy in, pushers held
+  startTurn: function () {
+    this.turn++;
+    this.phase = "player";
+    this.hold();
+    if (this.coins) this.coins.addToQueue(this.energyPerTurn);
+    if (this.ui) this.ui.showMessage(`Turn ${this.turn} - ⚡ +${this.energyPerTurn}`);
+    this.updateUI();
+  },
+
+  // Stop the pushers while the player drops (a modifier, so frenzies can't restart them)
+  hold: function () {
+    if (!this.modifiers) return;
+    this.modifiers.add({
+      id: "turnHold",
+      stat: "pusherSpeed",
+      op: "mul",
+      value: 0,
+      source: "turns",
+      label: "Board held",
+      icon: "⏸️",
+      stacking: "keep",
+    });
+  },
+
+  // Let the pushers run again
+  release: function () {
+    if (this.modifiers) this.modifiers.remove("turnHold");
+  },
+
+  // Coin variants in the order the turn panel and number keys list them
+  getVariantIds: function () {
+    return Object.keys(coinVariants);
+  },
+
+  // Energy a coin variant costs
+  getCost: function (variantId) {
+    const variant = coinVariants[variantId];
+    return variant && variant.cost ? variant.cost : 1;
+  },
+
+  // Can the selected coin be dropped right now? (always, outside turn mode)
+  canAfford: function () {
+    if (!this.active) return true;
+    return this.phase === "player" && !!this.coins && this.coins.coinQueue >= this.getCost(this.selected);
+  },
+
+  // Pick the coin variant the next drop uses
+  select: function (variantId) {
+    if (!this.active || !coinVariants[variantId]) return;
+    this.selected = variantId;
+    this.updateUI();
+  },
+
+  // Pay for a drop - returns { variant, cost }, or null when the drop can't happen
+  takeDrop: function () {
+    if (!this.active || !this.coins) return null;
+
+    if (this.phase !== "player") {
+      if (this.ui) this.ui.showMessage("The board is settling...");
+      return null;
+    }
+
+    const cost = this.getCost(this.selected);
+    if (this.coins.coinQueue < cost) {
+      if (this.ui) this.ui.showMessage(`Needs ⚡ ${cost} - end the turn`);
+      return null;
+    }
+
+    this.coins.coinQueue -= cost;
+    if (this.ui) this.ui.updateQueue(this.coins.coinQueue);
+    this.updateUI();
+    return { variant: this.selected, cost: cost };
+  },
+
+  // End the turn - the board settles before the next one
+  endTurn: function () {
+    if (!this.active || this.phase !== "player") return;
+
+    this.phase = "settling";
+    this.settleLeft = this.settleCycles * (this.board ? this.board.getPusherCycleTime() : 4);
+    this.release();
+    this.updateUI();
+  },
+
+  // Count down the settle phase in pusher time (a frenzy settles the board faster)
+  update: function (deltaTime) {
+    if (!this.active || this.phase !== "settling") return;
+
+    const speed = this.board ? this.board.getPusherSpeedFactor() : 1;
+    this.settleLeft -= deltaTime * speed;
+    if (this.settleLeft <= 0) this.startTurn();
+  },
+
+  // Refresh the turn panel
+  updateUI: function () {
+    if (this.ui) this.ui.updateTurns(this);
+  },
+
+  // Get save data (null outside turn mode)
+  getSaveData: function () {
+    if (!this.active) return null;
+    return {
+      turn: this.turn,
+      phase: this.phase,
+      settleLeft: this.settleLeft,
+      selected: this.selected,
+    };
+  },
+
+  // Load save data (after the modifiers, since the pusher hold isn't saved with them)
+  loadSaveData: function (data) {
+    if (!data) return;
+
+    this.active = true;
+    this.turn = data.turn || 1;
+    this.phase = data.phase === "settling" ? "settling" : "player";
+    this.settleLeft = data.settleLeft || 0;
+    this.selected = coinVariants[data.selected] ? data.selected : "standard";
+
+    if (this.phase === "player") {
+      this.hold();
+    } else {
+      this.release();
+    }
+    this.updateUI();
+  },
+};
+
+export default Turns;
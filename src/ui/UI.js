@@ -4,8 +4,12 @@
  */
 
 import * as THREE from 'three';
-import { formatNumber } from '../core/Utils.js';
+import { formatNumber, formatTime, getPaceScoreAt } from '../core/Utils.js';
 import { tierThemes, getThemeOptions } from '../world/themes/index.js';
+import { runActs, runNodeTypes } from '../systems/RunMode.js';
+import { coinDefinitions } from '../systems/Deck.js';
+import { coinVariants } from '../systems/Coins.js';
+import { enemyDefinitions, enemyAbilities } from '../systems/Combat.js';
 
 const UI = {
   // UI elements
@@ -22,10 +26,37 @@ const UI = {
   // Board selection callback
   boardSelectionCallback: null,
 
+  // Run length choices in minutes (0 = endless)
+  runLengthOptions: [5, 10, 15, 20, 0],
+
+  // Retire needs a second tap to confirm
+  retireConfirming: false,
+
+  // Parsed profile records waiting for merge/replace
+  pendingProfile: null,
+
+  // Profile record names shown in the import preview
+  profileRecordLabels: {
+    highScores: "High Scores",
+    lifetimeStats: "Lifetime Stats",
+    settings: "Settings",
+    dailyChallenges: "Daily Challenges",
+    challengeBonus: "Challenge Bonus",
+  },
+
+  // Replay scrubber is being dragged (the bar stops following playback)
+  replayScrubbing: false,
+
+  // Modifier debug panel refresh timer (seconds)
+  modifierDebugTimer: 0,
+
   // References (set during init)
   game: null,
   storage: null,
   sound: null,
+  replay: null,
+  runMode: null,
+  modifiers: null,
 
   // Initialize UI
   init: function (game = null) {
@@ -33,10 +64,14 @@ const UI = {
     this.elements = {
       scoreValue: document.getElementById("score-value"),
       queueValue: document.getElementById("queue-value"),
+      queueLabel: document.getElementById("queue-label"),
       expansionValue: document.getElementById("expansion-value"),
       dropButton: document.getElementById("drop-button"),
       startScreen: document.getElementById("start-screen"),
       startButton: document.getElementById("start-button"),
+      runModeButton: document.getElementById("run-mode-button"),
+      continueButton: document.getElementById("continue-button"),
+      continueInfo: document.getElementById("continue-info"),
       gameoverScreen: document.getElementById("gameover-screen"),
       finalScore: document.getElementById("final-score"),
       restartButton: document.getElementById("restart-button"),
@@ -49,10 +84,20 @@ const UI = {
       statsGrid: document.getElementById("stats-grid"),
       closeStats: document.getElementById("close-stats"),
       autoDropButton: document.getElementById("auto-drop-button"),
+      sweepButton: document.getElementById("sweep-button"),
       tierProgressContainer: document.getElementById("tier-progress-container"),
       tierProgressFill: document.getElementById("tier-progress-fill"),
       tierProgressLabel: document.getElementById("tier-progress-label"),
+      ghostPace: document.getElementById("ghost-pace"),
+      combatDisplay: document.getElementById("combat-display"),
+      coinHand: document.getElementById("coin-hand"),
+      turnPanel: document.getElementById("turn-panel"),
+      paceChartContainer: document.getElementById("pace-chart-container"),
+      paceChart: document.getElementById("pace-chart"),
       boardSelectionOverlay: null, // Created dynamically
+      runMapOverlay: null, // Created dynamically
+      shopOverlay: null, // Created dynamically
+      modifierDebug: null, // Created dynamically
       highScoresOverlay: document.getElementById("high-scores-overlay"),
       highScoresList: document.getElementById("high-scores-list"),
       viewScoresButton: document.getElementById("view-scores-button"),
@@ -68,9 +113,46 @@ const UI = {
       sfxVolumeValue: document.getElementById("sfx-volume-value"),
       musicToggle: document.getElementById("music-toggle"),
       sfxToggle: document.getElementById("sfx-toggle"),
+      runLengthToggle: document.getElementById("run-length-toggle"),
+      previewToggle: document.getElementById("preview-toggle"),
+      turnModeToggle: document.getElementById("turn-mode-toggle"),
+      retireButton: document.getElementById("retire-button"),
+      runTimerDisplay: document.getElementById("run-timer-display"),
+      runTimerValue: document.getElementById("run-timer-value"),
+      goldDisplay: document.getElementById("gold-display"),
+      goldValue: document.getElementById("gold-value"),
+      gameoverTitle: document.getElementById("gameover-title"),
+      exportProfileButton: document.getElementById("export-profile-button"),
+      importProfileButton: document.getElementById("import-profile-button"),
+      importProfileInput: document.getElementById("import-profile-input"),
+      profileImportPreview: document.getElementById("profile-import-preview"),
+      profilePreviewList: document.getElementById("profile-preview-list"),
+      mergeProfileButton: document.getElementById("merge-profile-button"),
+      replaceProfileButton: document.getElementById("replace-profile-button"),
+      cancelImportButton: document.getElementById("cancel-import-button"),
+      profileStatus: document.getElementById("profile-status"),
+      replaysButton: document.getElementById("replays-button"),
+      replaysOverlay: document.getElementById("replays-overlay"),
+      replaysList: document.getElementById("replays-list"),
+      replaysStatus: document.getElementById("replays-status"),
+      loadReplayButton: document.getElementById("load-replay-button"),
+      loadReplayInput: document.getElementById("load-replay-input"),
+      closeReplays: document.getElementById("close-replays"),
+      watchReplayButton: document.getElementById("watch-replay-button"),
+      downloadReplayButton: document.getElementById("download-replay-button"),
+      replayBar: document.getElementById("replay-bar"),
+      replayPlayButton: document.getElementById("replay-play-button"),
+      replayScrubber: document.getElementById("replay-scrubber"),
+      replayTime: document.getElementById("replay-time"),
+      replaySpeeds: document.getElementById("replay-speeds"),
+      replayStatus: document.getElementById("replay-status"),
+      replayExitButton: document.getElementById("replay-exit-button"),
     };
 
     this.createBoardSelectionUI();
+    this.createRunMapUI();
+    this.createShopUI();
+    this.createModifierDebugUI();
     this.scoreDisplay = 0;
     this.targetScore = 0;
     this.messages = [];
@@ -86,12 +168,12 @@ const UI = {
     if (this.elements.dropButton) {
       this.elements.dropButton.addEventListener("click", function (e) {
         e.preventDefault();
-        if (self.game) self.game.dropCoin();
+        if (self.game) self.game.command("drop");
       });
 
       this.elements.dropButton.addEventListener("touchstart", function (e) {
         e.preventDefault();
-        if (self.game) self.game.dropCoin();
+        if (self.game) self.game.command("drop");
       });
     }
 
@@ -104,6 +186,28 @@ const UI = {
       });
     }
 
+    // Run mode button - roguelite run across the node map
+    if (this.elements.runModeButton) {
+      this.elements.runModeButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.hideStartScreen();
+        if (self.runMode) self.runMode.start(self.game ? self.game.fixedSeed : null);
+      });
+    }
+
+    // Continue saved run button
+    if (this.elements.continueButton) {
+      this.elements.continueButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        const saved = self.storage ? self.storage.loadGame() : null;
+        self.hideStartScreen();
+        if (!self.game || !self.game.continueRun(saved)) {
+          // Save was unreadable - fall back to a fresh run
+          if (self.game) self.game.start();
+        }
+      });
+    }
+
     // Restart button
     if (this.elements.restartButton) {
       this.elements.restartButton.addEventListener("click", function (e) {
@@ -149,12 +253,25 @@ const UI = {
     if (this.elements.autoDropButton) {
       this.elements.autoDropButton.addEventListener("click", function (e) {
         e.preventDefault();
-        if (self.game) self.game.toggleAutoDrop();
+        if (self.game) self.game.command("autoDrop");
       });
 
       this.elements.autoDropButton.addEventListener("touchstart", function (e) {
         e.preventDefault();
-        if (self.game) self.game.toggleAutoDrop();
+        if (self.game) self.game.command("autoDrop");
+      });
+    }
+
+    // Drop carriage sweep toggle
+    if (this.elements.sweepButton) {
+      this.elements.sweepButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        if (self.game) self.game.command("sweep");
+      });
+
+      this.elements.sweepButton.addEventListener("touchstart", function (e) {
+        e.preventDefault();
+        if (self.game) self.game.command("sweep");
       });
     }
 
@@ -190,10 +307,161 @@ const UI = {
       });
     }
 
+    // Run length toggle
+    if (this.elements.runLengthToggle) {
+      this.elements.runLengthToggle.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.cycleRunLength();
+      });
+    }
+
+    // Trajectory preview toggle
+    if (this.elements.previewToggle) {
+      this.elements.previewToggle.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.togglePreview();
+      });
+    }
+
+    // Drop economy toggle
+    if (this.elements.turnModeToggle) {
+      this.elements.turnModeToggle.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.toggleTurnMode();
+      });
+    }
+
+    // Retire run button
+    if (this.elements.retireButton) {
+      this.elements.retireButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.retireRun();
+      });
+    }
+
+    // Profile export/import
+    if (this.elements.exportProfileButton) {
+      this.elements.exportProfileButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.exportProfile();
+      });
+    }
+
+    if (this.elements.importProfileButton && this.elements.importProfileInput) {
+      this.elements.importProfileButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.elements.importProfileInput.click();
+      });
+
+      this.elements.importProfileInput.addEventListener("change", function () {
+        const file = this.files && this.files[0];
+        if (file) self.readProfileFile(file);
+        this.value = "";
+      });
+    }
+
+    if (this.elements.mergeProfileButton) {
+      this.elements.mergeProfileButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.applyProfileImport("merge");
+      });
+    }
+
+    if (this.elements.replaceProfileButton) {
+      this.elements.replaceProfileButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.applyProfileImport("replace");
+      });
+    }
+
+    if (this.elements.cancelImportButton) {
+      this.elements.cancelImportButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.cancelProfileImport();
+      });
+    }
+
+    // Replays
+    this.setupReplayListeners();
+
     // Volume sliders
     this.setupVolumeSliders();
   },
 
+  // Setup replay list and playback bar listeners
+  setupReplayListeners: function () {
+    const self = this;
+
+    if (this.elements.replaysButton) {
+      this.elements.replaysButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.showReplays();
+      });
+    }
+
+    if (this.elements.closeReplays) {
+      this.elements.closeReplays.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.hideReplays();
+      });
+    }
+
+    if (this.elements.loadReplayButton && this.elements.loadReplayInput) {
+      this.elements.loadReplayButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.elements.loadReplayInput.click();
+      });
+
+      this.elements.loadReplayInput.addEventListener("change", function () {
+        const file = this.files && this.files[0];
+        if (file) self.readReplayFile(file);
+        this.value = "";
+      });
+    }
+
+    // Game over - the run that just ended
+    if (this.elements.watchReplayButton) {
+      this.elements.watchReplayButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        if (self.replay) self.watchReplay(self.replay.lastReplay);
+      });
+    }
+
+    if (this.elements.downloadReplayButton) {
+      this.elements.downloadReplayButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        if (self.replay) self.downloadReplay(self.replay.lastReplay);
+      });
+    }
+
+    // Playback bar
+    if (this.elements.replayPlayButton) {
+      this.elements.replayPlayButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        if (self.replay) self.replay.togglePaused();
+      });
+    }
+
+    if (this.elements.replayScrubber) {
+      this.elements.replayScrubber.addEventListener("input", function () {
+        self.replayScrubbing = true;
+        self.updateReplayTime(Number(this.value));
+      });
+
+      this.elements.replayScrubber.addEventListener("change", function () {
+        self.replayScrubbing = false;
+        if (self.replay) self.replay.seek(Number(this.value));
+      });
+    }
+
+    if (this.elements.replayExitButton) {
+      this.elements.replayExitButton.addEventListener("click", function (e) {
+        e.preventDefault();
+        self.exitReplay();
+      });
+    }
+  },
+
   // Setup volume slider event listeners
   setupVolumeSliders: function () {
     const self = this;
@@ -247,6 +515,14 @@ const UI = {
     }
   },
 
+  // Update sweep button state
+  updateSweepButton: function (isEnabled) {
+    if (this.elements.sweepButton) {
+      this.elements.sweepButton.textContent = isEnabled ? "SWEEP: ON" : "SWEEP: OFF";
+      this.elements.sweepButton.classList.toggle("active", isEnabled);
+    }
+  },
+
   // Show help overlay
   showHelp: function () {
     if (this.elements.helpOverlay) {
@@ -337,6 +613,9 @@ const UI = {
   showSettings: function () {
     if (this.elements.settingsOverlay) {
       this.loadSettingsUI();
+      this.loadRunSettingsUI();
+      this.cancelProfileImport();
+      this.setProfileStatus(null);
       this.elements.settingsOverlay.classList.remove("hidden");
       if (this.game && this.game.isRunning) {
         this.game.pause();
@@ -395,6 +674,207 @@ const UI = {
     }
   },
 
+  // Load run length, preview, drop economy and retire button state into UI
+  loadRunSettingsUI: function () {
+    const settings = this.storage ? this.storage.getSettings() : null;
+    const minutes = settings ? settings.runLength : 10;
+
+    if (this.elements.runLengthToggle) {
+      this.elements.runLengthToggle.textContent = minutes > 0 ? minutes + " MIN" : "ENDLESS";
+    }
+
+    if (this.elements.previewToggle) {
+      const preview = settings ? settings.trajectoryPreview : true;
+      this.elements.previewToggle.textContent = preview ? "ON" : "OFF";
+      this.elements.previewToggle.classList.toggle("active", preview);
+    }
+
+    if (this.elements.turnModeToggle) {
+      this.elements.turnModeToggle.textContent = settings && settings.turnMode ? "TURNS" : "REAL-TIME";
+    }
+
+    this.retireConfirming = false;
+    if (this.elements.retireButton) {
+      this.elements.retireButton.textContent = "RETIRE RUN";
+      this.elements.retireButton.classList.remove("confirm");
+      this.elements.retireButton.classList.toggle("hidden", !(this.game && this.game.isRunning));
+    }
+  },
+
+  // Cycle the run length setting (takes effect next run)
+  cycleRunLength: function () {
+    if (!this.storage) return;
+
+    const current = this.storage.getSettings().runLength;
+    const index = this.runLengthOptions.indexOf(current);
+    const next = this.runLengthOptions[(index + 1) % this.runLengthOptions.length];
+    this.storage.updateSetting("runLength", next);
+
+    if (this.elements.runLengthToggle) {
+      this.elements.runLengthToggle.textContent = next > 0 ? next + " MIN" : "ENDLESS";
+    }
+  },
+
+  // Toggle the trajectory preview
+  togglePreview: function () {
+    if (!this.storage) return;
+
+    const enabled = !this.storage.getSettings().trajectoryPreview;
+    this.storage.updateSetting("trajectoryPreview", enabled);
+    if (this.game && this.game.preview) this.game.preview.setEnabled(enabled);
+
+    if (this.elements.previewToggle) {
+      this.elements.previewToggle.textContent = enabled ? "ON" : "OFF";
+      this.elements.previewToggle.classList.toggle("active", enabled);
+    }
+  },
+
+  // Switch between the real-time and turn-based drop economy (takes effect next run)
+  toggleTurnMode: function () {
+    if (!this.storage) return;
+
+    const enabled = !this.storage.getSettings().turnMode;
+    this.storage.updateSetting("turnMode", enabled);
+
+    if (this.elements.turnModeToggle) {
+      this.elements.turnModeToggle.textContent = enabled ? "TURNS" : "REAL-TIME";
+    }
+  },
+
+  // Retire the current run (first tap arms, second tap confirms)
+  retireRun: function () {
+    if (!this.game || !this.game.isRunning || this.game.isReplaying()) return;
+
+    if (!this.retireConfirming) {
+      this.retireConfirming = true;
+      if (this.elements.retireButton) {
+        this.elements.retireButton.textContent = "TAP AGAIN TO RETIRE";
+        this.elements.retireButton.classList.add("confirm");
+      }
+      return;
+    }
+
+    this.retireConfirming = false;
+    this.hideSettings();
+    this.game.command("retire");
+  },
+
+  // Download the profile as a JSON file
+  exportProfile: function () {
+    if (!this.storage) return;
+
+    const blob = new Blob([this.storage.exportProfileText()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `coin-pusher-profile-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    this.setProfileStatus("Profile exported");
+  },
+
+  // Read a chosen profile file and show what importing it would change
+  readProfileFile: function (file) {
+    if (!this.storage) return;
+
+    const self = this;
+    const reader = new FileReader();
+    reader.onload = function () {
+      const result = self.storage.parseProfile(String(reader.result));
+      if (!result.ok) {
+        self.cancelProfileImport();
+        self.setProfileStatus(result.error, true);
+        return;
+      }
+
+      self.pendingProfile = result.records;
+      self.showProfilePreview(self.storage.previewProfileImport(result.records));
+    };
+    reader.onerror = function () {
+      self.setProfileStatus("Could not read the file", true);
+    };
+    reader.readAsText(file);
+  },
+
+  // List current vs incoming records before the player confirms
+  showProfilePreview: function (rows) {
+    const list = this.elements.profilePreviewList;
+    if (!list || !this.elements.profileImportPreview) return;
+
+    list.innerHTML = "";
+    for (const row of rows) {
+      const item = document.createElement("li");
+      const name = document.createElement("span");
+      name.className = "profile-record-name";
+      name.textContent = (this.profileRecordLabels[row.name] || row.name) + ": ";
+      item.appendChild(name);
+      item.appendChild(document.createTextNode(`${row.current} → ${row.incoming}`));
+      list.appendChild(item);
+    }
+
+    this.setProfileStatus(null);
+    this.elements.profileImportPreview.classList.remove("hidden");
+  },
+
+  // Merge or replace the profile with the pending import
+  applyProfileImport: function (mode) {
+    if (!this.storage || !this.pendingProfile) return;
+
+    const ok = this.storage.importProfile(this.pendingProfile, mode);
+    this.cancelProfileImport();
+
+    if (!ok) {
+      this.setProfileStatus("Import failed - storage unavailable", true);
+      return;
+    }
+
+    this.applyStoredSettings();
+    this.setProfileStatus(mode === "replace" ? "Profile replaced" : "Profile merged");
+  },
+
+  // Drop the pending import and hide its preview
+  cancelProfileImport: function () {
+    this.pendingProfile = null;
+    if (this.elements.profileImportPreview) {
+      this.elements.profileImportPreview.classList.add("hidden");
+    }
+  },
+
+  // Show a profile status line (null hides it)
+  setProfileStatus: function (text, isError = false) {
+    const status = this.elements.profileStatus;
+    if (!status) return;
+
+    status.classList.toggle("hidden", !text);
+    status.classList.toggle("error", !!isError);
+    status.textContent = text || "";
+  },
+
+  // Push stored settings into Sound and refresh the settings controls
+  applyStoredSettings: function () {
+    if (!this.storage || !this.sound) return;
+
+    const settings = this.storage.getSettings();
+    this.sound.masterVolume = settings.masterVolume;
+    this.sound.musicVolume = settings.musicVolume;
+    this.sound.sfxVolume = settings.sfxVolume;
+    this.sound.musicEnabled = settings.musicEnabled;
+    this.sound.enabled = settings.sfxEnabled;
+    this.sound.setVolume(settings.masterVolume);
+
+    if (this.game && this.game.preview) this.game.preview.setEnabled(settings.trajectoryPreview);
+    if (this.game && this.game.carriage) {
+      this.game.carriage.sweeping = settings.dropSweep;
+      this.updateSweepButton(settings.dropSweep);
+    }
+
+    this.loadSettingsUI();
+    this.loadRunSettingsUI();
+  },
+
   // Update master volume
   updateMasterVolume: function (value) {
     if (!this.sound) return;
@@ -506,6 +986,9 @@ const UI = {
     // Core game stats
     stats.push({ icon: "SCORE", label: "Total Score", value: formatNumber(this.game.score || 0) });
     stats.push({ icon: "TIER", label: "World Tier", value: (this.game.board?.currentTierCount || 1) }); 
+    if (this.game.seed) {
+      stats.push({ icon: "SEED", label: "Run Seed", value: this.game.seed });
+    }
 
     // Queue info - check various possible locations for queue count
     let queueValue = 0;
@@ -552,6 +1035,13 @@ const UI = {
         stats.push({ icon: "COINS", label: "Coins on Board", value: count });
     }
 
+    // Physics broadphase - collision pair tests in the last frame (debug)
+    if (this.game.physics && this.game.physics.getStats) {
+      const physicsStats = this.game.physics.getStats();
+      stats.push({ icon: "PHYS", label: "Awake Bodies", value: `${physicsStats.activeBodies}/${physicsStats.bodies}` });
+      stats.push({ icon: "PAIRS", label: "Pair Tests/Frame", value: formatNumber(physicsStats.pairTests) });
+    }
+
     // Build the HTML
     let html = "";
     for (const stat of stats) {
@@ -615,7 +1105,11 @@ const UI = {
               const collectible = collectiblesSystem.activeItems.find(c => c.mesh === obj || c.mesh === obj.parent);
               
               if (collectible) {
-                  this.showRelicInfo(collectible.item);
+                  // Through the game so relic clicks show up in the replay
+                  const index = collectiblesSystem.activeItems.indexOf(collectible);
+                  if (!this.game || !this.game.command("inspect", index)) {
+                      this.showRelicInfo(collectible.item);
+                  }
                   break; // Only show info for the first hit
               }
           }
@@ -649,6 +1143,9 @@ const UI = {
     if (this.elements.queueValue) {
       this.elements.queueValue.textContent = count;
     }
+
+    // Turn mode energy is the queue - keep the turn panel's costs in step
+    if (this.game && this.game.turns && this.game.turns.active) this.updateTurns(this.game.turns);
   },
 
   // Update expansion display
@@ -688,6 +1185,121 @@ const UI = {
     }
   },
 
+  // Update run timer (null hides it for endless runs)
+  updateRunTimer: function (secondsLeft) {
+    const display = this.elements.runTimerDisplay;
+    if (!display) return;
+
+    if (secondsLeft === null) {
+      display.classList.add("hidden");
+      return;
+    }
+
+    const total = Math.ceil(secondsLeft);
+    const minutes = Math.floor(total / 60);
+    const seconds = total % 60;
+    display.classList.remove("hidden");
+    display.classList.toggle("warning", this.game && secondsLeft <= this.game.runTimeWarning);
+    if (this.elements.runTimerValue) {
+      this.elements.runTimerValue.textContent = minutes + ":" + String(seconds).padStart(2, "0");
+    }
+  },
+
+  // Update the shop gold display (hidden outside Run mode until there is some)
+  updateGold: function (gold) {
+    const display = this.elements.goldDisplay;
+    if (!display) return;
+
+    const inRun = !!(this.runMode && this.runMode.active);
+    display.classList.toggle("hidden", gold <= 0 && !inRun);
+    if (this.elements.goldValue) {
+      this.elements.goldValue.textContent = formatNumber(gold);
+    }
+  },
+
+  // Show how far ahead of (or behind) the best run we are (null hides it)
+  updateGhostPace: function (difference, seconds = 0) {
+    const el = this.elements.ghostPace;
+    if (!el) return;
+
+    el.classList.toggle("hidden", difference === null);
+    if (difference === null) return;
+
+    const rounded = Math.round(difference);
+    el.classList.toggle("ahead", rounded > 0);
+    el.classList.toggle("behind", rounded < 0);
+    const amount = Math.abs(rounded).toLocaleString("en-US");
+    const standing = rounded > 0 ? `+${amount} ahead of` : rounded < 0 ? `-${amount} behind` : "Level with";
+    el.textContent = `👻 ${standing} best at ${formatTime(seconds)}`;
+  },
+
+  // Draw this run's score curve over the best run's, with tier unlocks marked
+  drawPaceChart: function (sessionStats, ghost) {
+    const container = this.elements.paceChartContainer;
+    const canvas = this.elements.paceChart;
+    const pace = sessionStats ? sessionStats.pace : null;
+    const hasChart = !!(canvas && pace && pace.scores.length > 1 && ghost);
+
+    if (container) container.classList.toggle("hidden", !hasChart);
+    if (!hasChart) return;
+
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return;
+
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = { left: 6, right: 6, top: 16, bottom: 16 };
+    const maxTime = Math.max(pace.duration, ghost.pace.duration, 1);
+    const maxScore = Math.max(sessionStats.score, ghost.score, 1);
+    const toX = (seconds) => padding.left + (seconds / maxTime) * (width - padding.left - padding.right);
+    const toY = (score) => height - padding.bottom - (score / maxScore) * (height - padding.top - padding.bottom);
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Baseline
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.15)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(padding.left, toY(0));
+    ctx.lineTo(width - padding.right, toY(0));
+    ctx.stroke();
+
+    // Score curve of a run, one point per pixel column
+    const drawCurve = (runPace, finalScore, color, lineWidth) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.beginPath();
+      const steps = Math.max(2, Math.round(toX(runPace.duration) - padding.left));
+      for (let i = 0; i <= steps; i++) {
+        const seconds = (i / steps) * runPace.duration;
+        const x = toX(seconds);
+        const y = toY(getPaceScoreAt(runPace, finalScore, seconds));
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+
+      // Tier unlocks as dots on the curve
+      ctx.fillStyle = "#00ff88";
+      for (const seconds of runPace.tierTimes || []) {
+        ctx.beginPath();
+        ctx.arc(toX(seconds), toY(getPaceScoreAt(runPace, finalScore, seconds)), 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    };
+
+    drawCurve(ghost.pace, ghost.score, "rgba(180, 180, 255, 0.8)", 1.5);
+    drawCurve(pace, sessionStats.score, "#ffd700", 2.5);
+
+    // Scale labels
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "left";
+    ctx.fillText(formatNumber(maxScore), padding.left, padding.top - 5);
+    ctx.textAlign = "right";
+    ctx.fillText(formatTime(maxTime), width - padding.right, height - 3);
+  },
+
   // Update power-up display (now handled by stats overlay)
   updatePowerUp: function (powerUpId, level) {
     // Power-up display was removed - stats overlay shows this info now
@@ -751,6 +1363,24 @@ const UI = {
     if (this.elements.startScreen) {
       this.elements.startScreen.classList.remove("hidden");
     }
+    this.updateContinueButton();
+  },
+
+  // Offer "Continue run" when a saved run exists
+  updateContinueButton: function () {
+    const saved = this.storage ? this.storage.loadGame() : null;
+    const hasSave = !!(saved && saved.seed);
+
+    if (this.elements.continueButton) {
+      this.elements.continueButton.classList.toggle("hidden", !hasSave);
+    }
+    if (this.elements.continueInfo) {
+      this.elements.continueInfo.classList.toggle("hidden", !hasSave);
+      if (hasSave) {
+        const tier = saved.themes ? saved.themes.length : 1;
+        this.elements.continueInfo.textContent = `Score ${formatNumber(saved.score || 0)} · Tier ${tier}`;
+      }
+    }
   },
 
   // Hide start screen
@@ -762,6 +1392,12 @@ const UI = {
 
   // Show game over screen
   showGameOver: function (finalScore, highScoreResult = null, sessionStats = null) {
+    if (this.elements.gameoverTitle) {
+      const reason = sessionStats ? sessionStats.endReason : null;
+      this.elements.gameoverTitle.textContent =
+        reason === "timeUp" ? "Time's Up!" : reason === "retired" ? "Run Retired" : "Game Over";
+    }
+
     if (this.elements.finalScore) {
       this.elements.finalScore.textContent = formatNumber(finalScore);
     }
@@ -788,6 +1424,12 @@ const UI = {
       bestScoreEl.textContent = `Best: ${formatNumber(bestScore)}`;
     }
 
+    // Show the run seed so the run can be shared or reproduced with ?seed=
+    const seedEl = document.getElementById("run-seed");
+    if (seedEl) {
+      seedEl.textContent = sessionStats && sessionStats.seed ? `Seed: ${sessionStats.seed}` : "";
+    }
+
     // Show session stats
     if (sessionStats) {
       const coinsDropped = document.getElementById("stat-coins-dropped");
@@ -801,6 +1443,14 @@ const UI = {
       if (tierReached) tierReached.textContent = sessionStats.tier || 1;
     }
 
+    // Pace chart against the best run this one raced
+    this.drawPaceChart(sessionStats, this.game ? this.game.ghost : null);
+
+    // Offer the run's replay
+    const hasReplay = !!(this.replay && this.replay.lastReplay);
+    if (this.elements.watchReplayButton) this.elements.watchReplayButton.classList.toggle("hidden", !hasReplay);
+    if (this.elements.downloadReplayButton) this.elements.downloadReplayButton.classList.toggle("hidden", !hasReplay);
+
     if (this.elements.gameoverScreen) {
       this.elements.gameoverScreen.classList.remove("hidden");
     }
@@ -826,6 +1476,7 @@ const UI = {
     if (this.elements.expansionValue) {
       this.elements.expansionValue.textContent = "1";
     }
+    this.updateGhostPace(null);
   },
 
   // Show tier unlock animation
@@ -916,7 +1567,7 @@ const UI = {
     console.log(`[UI] showBoardSelection called, usedThemeIndices: [${usedThemeIndices.join(', ')}]`);
 
     this.boardSelectionCallback = callback;
-    const options = getThemeOptions(usedThemeIndices);
+    const options = getThemeOptions(usedThemeIndices, this.game ? this.game.rng : null);
     const optionsContainer = document.getElementById("board-options");
 
     console.log(`[UI] Theme options available:`, options.map(o => `${o.index}: ${o.theme.name}`));
@@ -938,7 +1589,12 @@ const UI = {
       `;
 
       optionEl.addEventListener("click", () => {
-        this.selectBoard(opt.index);
+        // Through the game so the choice is recorded in the replay
+        if (this.game) {
+          this.game.command("board", opt.index);
+        } else {
+          this.selectBoard(opt.index);
+        }
       });
 
       optionsContainer.appendChild(optionEl);
@@ -969,9 +1625,702 @@ const UI = {
     if (this.game) this.game.resume();
   },
 
+  // Is the game waiting on a board or upgrade pick, or the shop?
+  isChoosing: function () {
+    const boardOverlay = this.elements.boardSelectionOverlay;
+    const upgradeMenu = document.getElementById("upgrade-menu");
+    const shopOverlay = this.elements.shopOverlay;
+    return (
+      !!(boardOverlay && !boardOverlay.classList.contains("hidden")) ||
+      !!(upgradeMenu && !upgradeMenu.classList.contains("hidden")) ||
+      !!(shopOverlay && !shopOverlay.classList.contains("hidden"))
+    );
+  },
+
+  // Create the Run mode map overlay
+  createRunMapUI: function () {
+    const overlay = document.createElement("div");
+    overlay.id = "run-map-overlay";
+    overlay.className = "hidden";
+    overlay.innerHTML = `
+      <div class="run-map-modal">
+        <div class="run-map-header">
+          <h2 class="run-map-title" id="run-map-title"></h2>
+          <div class="run-map-stats" id="run-map-stats"></div>
+        </div>
+        <div class="run-map" id="run-map"></div>
+        <p class="run-map-hint">Pick your next stop - the boss waits at the top</p>
+        <button class="profile-button" id="run-map-quit">ABANDON RUN</button>
+        <div class="run-panel hidden" id="run-panel">
+          <div class="run-panel-icon" id="run-panel-icon"></div>
+          <h3 class="run-panel-title" id="run-panel-title"></h3>
+          <p class="run-panel-text" id="run-panel-text"></p>
+          <div class="run-panel-choices" id="run-panel-choices"></div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    this.elements.runMapOverlay = overlay;
+
+    const quitButton = document.getElementById("run-map-quit");
+    if (quitButton) {
+      quitButton.addEventListener("click", (e) => {
+        e.preventDefault();
+        if (this.runMode) this.runMode.quit();
+      });
+    }
+  },
+
+  // Show the Run mode map - act, HP, gold, boards and the nodes to pick from
+  showRunMap: function (runMode) {
+    const overlay = this.elements.runMapOverlay;
+    if (!overlay || !runMode) return;
+
+    const act = runActs[runMode.act];
+    const title = document.getElementById("run-map-title");
+    if (title) title.textContent = act ? act.name : "";
+
+    const stats = document.getElementById("run-map-stats");
+    if (stats) {
+      const boards = runMode.getBoardThemes().map((theme) => theme.icon).join(" ");
+      stats.innerHTML = `
+        <span class="run-map-hp">❤️ ${runMode.hp}/${runMode.maxHp}</span>
+        <span class="run-map-gold">🪙 ${runMode.gold}</span>
+        <span class="run-map-deck">🎴 ${runMode.coins.length}</span>
+        <span class="run-map-boards">🧩 ${boards || "-"}</span>
+      `;
+    }
+
+    const mapEl = document.getElementById("run-map");
+    const map = runMode.maps[runMode.act];
+    if (mapEl && map) {
+      mapEl.innerHTML = "";
+      const rowCount = map.rows.length;
+      const available = runMode.getAvailableNodes().map((node) => node.id);
+      // Row 0 at the bottom, the boss at the top
+      const position = (node) => ({ x: node.x * 100, y: 100 - ((node.row + 0.5) / rowCount) * 100 });
+
+      // Paths between nodes
+      const svgNS = "http://www.w3.org/2000/svg";
+      const svg = document.createElementNS(svgNS, "svg");
+      svg.setAttribute("class", "run-map-paths");
+      svg.setAttribute("viewBox", "0 0 100 100");
+      svg.setAttribute("preserveAspectRatio", "none");
+      for (const row of map.rows) {
+        for (const node of row) {
+          const from = position(node);
+          for (const id of node.next) {
+            const to = position(runMode.getNode(id));
+            const line = document.createElementNS(svgNS, "line");
+            line.setAttribute("x1", from.x);
+            line.setAttribute("y1", from.y);
+            line.setAttribute("x2", to.x);
+            line.setAttribute("y2", to.y);
+            const taken = runMode.visited.includes(node.id) && runMode.visited.includes(id);
+            line.setAttribute("class", taken ? "run-map-path taken" : "run-map-path");
+            svg.appendChild(line);
+          }
+        }
+      }
+      mapEl.appendChild(svg);
+
+      // Nodes
+      for (const row of map.rows) {
+        for (const node of row) {
+          const type = runNodeTypes[node.type];
+          const pos = position(node);
+          const nodeEl = document.createElement("button");
+          nodeEl.className = `run-map-node ${node.type}`;
+          nodeEl.style.left = pos.x + "%";
+          nodeEl.style.top = pos.y + "%";
+          nodeEl.textContent = type.icon;
+          nodeEl.title = node.enemy ? `${type.name} - ${enemyDefinitions[node.enemy].name}` : type.name;
+          if (runMode.visited.includes(node.id)) nodeEl.classList.add("visited");
+          if (node.id === runMode.currentNodeId) nodeEl.classList.add("current");
+
+          if (available.includes(node.id)) {
+            nodeEl.classList.add("available");
+            nodeEl.addEventListener("click", (e) => {
+              e.preventDefault();
+              runMode.enterNode(node.id);
+            });
+          } else {
+            nodeEl.disabled = true;
+          }
+          mapEl.appendChild(nodeEl);
+        }
+      }
+    }
+
+    overlay.classList.remove("hidden");
+  },
+
+  // Hide the Run mode map
+  hideRunMap: function () {
+    if (this.elements.runMapOverlay) {
+      this.elements.runMapOverlay.classList.add("hidden");
+    }
+  },
+
+  // Show a panel over the map - panel: { icon, title, text, choices: [{ label, disabled, onChoose }] }
+  showRunPanel: function (panel) {
+    const panelEl = document.getElementById("run-panel");
+    if (!panelEl) return;
+
+    document.getElementById("run-panel-icon").textContent = panel.icon || "";
+    document.getElementById("run-panel-title").textContent = panel.title || "";
+    document.getElementById("run-panel-text").textContent = panel.text || "";
+
+    const choicesEl = document.getElementById("run-panel-choices");
+    choicesEl.innerHTML = "";
+    for (const choice of panel.choices) {
+      const button = document.createElement("button");
+      button.className = "run-panel-choice";
+      button.textContent = choice.label;
+      button.disabled = !!choice.disabled;
+      button.addEventListener("click", (e) => {
+        e.preventDefault();
+        if (choice.onChoose) choice.onChoose();
+      });
+      choicesEl.appendChild(button);
+    }
+
+    panelEl.classList.remove("hidden");
+  },
+
+  // Hide the map panel
+  hideRunPanel: function () {
+    const panelEl = document.getElementById("run-panel");
+    if (panelEl) panelEl.classList.add("hidden");
+  },
+
+  // Create the shop overlay
+  createShopUI: function () {
+    const overlay = document.createElement("div");
+    overlay.id = "shop-overlay";
+    overlay.className = "hidden";
+    overlay.innerHTML = `
+      <div class="shop-modal">
+        <h2 class="shop-title">🛒 SHOP</h2>
+        <div class="shop-gold" id="shop-gold"></div>
+        <div class="shop-offers" id="shop-offers"></div>
+        <div class="shop-actions" id="shop-actions"></div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    this.elements.shopOverlay = overlay;
+  },
+
+  // Describe a shop offer - { icon, name, detail }
+  getShopOfferInfo: function (shop, offer) {
+    switch (offer.kind) {
+      case "relic": {
+        const relic = shop.relics ? shop.relics.types[offer.id] : null;
+        return relic
+          ? { icon: relic.icon, name: relic.name, detail: `${relic.rarity} relic - ${relic.description}` }
+          : { icon: "🏺", name: offer.id, detail: "Relic" };
+      }
+      case "powerUp": {
+        const powerUp = shop.powerUps ? shop.powerUps.types[offer.id] : null;
+        const level = shop.getPowerUpLevel(offer.id) + 1;
+        return powerUp
+          ? { icon: powerUp.icon, name: `${powerUp.name} Lv ${level}`, detail: powerUp.description }
+          : { icon: "⬆️", name: offer.id, detail: `Lv ${level}` };
+      }
+      case "coin": {
+        const def = coinDefinitions[offer.id];
+        return { icon: def.icon, name: def.name, detail: def.description };
+      }
+      case "remove":
+        return { icon: "🗑️", name: "Remove a Coin", detail: "Take one coin out of your deck for good" };
+      case "heal":
+        return { icon: "🧰", name: "Repair Kit", detail: `Heal ${shop.healAmount} HP` };
+    }
+    return { icon: "", name: offer.id, detail: "" };
+  },
+
+  // Show the shop - the offers, or the deck's coins while picking one to remove
+  showShop: function (shop) {
+    const overlay = this.elements.shopOverlay;
+    if (!overlay || !shop) return;
+
+    // Endless inputs go through Game.command so replays record them
+    const send = (action) => {
+      if (!shop.node && this.game) {
+        this.game.command("shop", action);
+      } else {
+        shop.handle(action);
+      }
+    };
+    const addButton = (parent, className, html, disabled, action) => {
+      const button = document.createElement("button");
+      button.className = className;
+      button.innerHTML = html;
+      button.disabled = disabled;
+      button.addEventListener("click", (e) => {
+        e.preventDefault();
+        send(action);
+      });
+      parent.appendChild(button);
+      return button;
+    };
+
+    const gold = shop.getGold();
+    document.getElementById("shop-gold").textContent = `🪙 ${formatNumber(gold)} gold`;
+
+    const offersEl = document.getElementById("shop-offers");
+    const actionsEl = document.getElementById("shop-actions");
+    offersEl.innerHTML = "";
+    actionsEl.innerHTML = "";
+
+    if (shop.removing) {
+      // Distinct coins in the deck, with how many of each
+      const counts = {};
+      for (const coin of shop.runMode.coins) counts[coin.id] = (counts[coin.id] || 0) + 1;
+      for (const id of Object.keys(counts)) {
+        const def = coinDefinitions[id];
+        if (!def) continue;
+        addButton(
+          offersEl,
+          "shop-offer",
+          `<span class="shop-offer-icon">${def.icon}</span>
+           <span class="shop-offer-name">${def.name} x${counts[id]}</span>
+           <span class="shop-offer-detail">${def.description}</span>`,
+          false,
+          "remove:" + id
+        );
+      }
+      addButton(actionsEl, "run-panel-choice", "CANCEL", false, "cancel");
+    } else {
+      shop.stock.forEach((offer, index) => {
+        const info = this.getShopOfferInfo(shop, offer);
+        const blocked = shop.getBlockReason(offer);
+        const button = addButton(
+          offersEl,
+          "shop-offer",
+          `<span class="shop-offer-icon">${info.icon}</span>
+           <span class="shop-offer-name">${info.name}</span>
+           <span class="shop-offer-detail">${info.detail}</span>
+           <span class="shop-offer-price">${offer.sold ? "SOLD" : "🪙 " + offer.price}</span>`,
+          !!blocked,
+          index
+        );
+        if (blocked) button.title = blocked;
+        button.classList.toggle("sold", offer.sold);
+      });
+
+      const rerollPrice = shop.getRerollPrice();
+      addButton(actionsEl, "run-panel-choice", `REROLL (🪙 ${rerollPrice})`, gold < rerollPrice, "reroll");
+      addButton(actionsEl, "run-panel-choice", "LEAVE", false, "leave");
+    }
+
+    overlay.classList.remove("hidden");
+  },
+
+  // Hide the shop
+  hideShop: function () {
+    if (this.elements.shopOverlay) {
+      this.elements.shopOverlay.classList.add("hidden");
+    }
+  },
+
+  // Create the modifier debug panel (toggled with the backquote key or opened with ?debug)
+  createModifierDebugUI: function () {
+    const panel = document.createElement("div");
+    panel.id = "modifier-debug";
+    panel.className = "hidden";
+    document.body.appendChild(panel);
+    this.elements.modifierDebug = panel;
+
+    window.addEventListener("keydown", (e) => {
+      if (e.code === "Backquote" && !e.repeat) this.toggleModifierDebug();
+    });
+  },
+
+  // Show or hide the modifier debug panel (flips it when show is omitted)
+  toggleModifierDebug: function (show) {
+    const panel = this.elements.modifierDebug;
+    if (!panel) return;
+
+    const visible = show !== undefined ? show : panel.classList.contains("hidden");
+    panel.classList.toggle("hidden", !visible);
+    if (visible) this.updateModifierDebug();
+  },
+
+  // List every active modifier, where it came from, how long it lasts and where it's applied
+  updateModifierDebug: function () {
+    const panel = this.elements.modifierDebug;
+    if (!panel || panel.classList.contains("hidden")) return;
+
+    const summary = this.modifiers ? this.modifiers.getSummary() : { sources: [], totals: [] };
+    const formatValue = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+
+    let html = `<div class="modifier-debug-title">MODIFIERS</div>`;
+    if (summary.sources.length === 0) {
+      html += `<div class="modifier-debug-empty">No active modifiers</div>`;
+    }
+    for (const entry of summary.sources) {
+      let limit = "";
+      if (entry.remaining !== null) limit += ` ${Math.ceil(entry.remaining)}s`;
+      if (entry.uses !== null) limit += ` ${entry.uses} left`;
+      html += `
+        <div class="modifier-debug-row">
+          <span>${entry.icon} ${entry.label} <span class="modifier-debug-target">(${entry.source})</span></span>
+          <span class="modifier-debug-value">${entry.stat} ${entry.op === "mul" ? "x" : "+"}${formatValue(entry.value)}${limit}</span>
+        </div>
+      `;
+    }
+    if (summary.totals.length > 0) {
+      html += `<div class="modifier-debug-title">TOTALS</div>`;
+    }
+    for (const total of summary.totals) {
+      html += `
+        <div class="modifier-debug-row">
+          <span>${total.stat} <span class="modifier-debug-value">${formatValue(total.value)}</span></span>
+          <span class="modifier-debug-target">${total.target}</span>
+        </div>
+      `;
+    }
+    panel.innerHTML = html;
+  },
+
+  // Show the enemy, its intent and the player's HP, block and energy during a fight (null hides it)
+  updateCombat: function (combat) {
+    const el = this.elements.combatDisplay;
+    if (!el) return;
+
+    const enemy = combat && combat.active ? combat.enemy : null;
+    el.classList.toggle("hidden", !enemy);
+    if (!enemy) return;
+
+    const def = enemy.def;
+    const hpPercent = Math.max(0, (enemy.hp / enemy.maxHp) * 100);
+    const ability = def.ability ? enemyAbilities[def.ability.type] : null;
+    const runMode = combat.runMode;
+
+    let status = `${"⚡".repeat(combat.energy)}${"·".repeat(Math.max(0, combat.turnEnergy - combat.energy))}`;
+    if (combat.phase === "settling") status = `Settling ${Math.max(0, combat.settleTimer).toFixed(1)}s`;
+
+    el.innerHTML = `
+      <div class="combat-enemy">
+        <span class="combat-enemy-icon">${def.icon}</span>
+        <span class="combat-enemy-name">${def.name}</span>
+        ${enemy.block > 0 ? `<span class="combat-block">🛡️ ${enemy.block}</span>` : ""}
+        ${enemy.strength > 0 ? `<span class="combat-strength">💪 ${enemy.strength}</span>` : ""}
+      </div>
+      <div class="combat-hp-bar"><div class="combat-hp-fill" style="width: ${hpPercent}%"></div></div>
+      <div class="combat-hp-label">${enemy.hp} / ${enemy.maxHp}</div>
+      <div class="combat-intent">Next: ${combat.describeIntent()}</div>
+      ${ability ? `<div class="combat-ability">${ability.icon} ${ability.describe(def.ability.value)}</div>` : ""}
+      <div class="combat-player">
+        ${runMode ? `<span>❤️ ${runMode.hp}/${runMode.maxHp}</span>` : ""}
+        ${combat.block > 0 ? `<span>🛡️ ${combat.block}</span>` : ""}
+        <span class="combat-energy${combat.phase === "player" ? "" : " settling"}">${status}</span>
+      </div>
+    `;
+  },
+
+  // Show the Run mode hand - the selected coin drops next (null hides it)
+  updateHand: function (deck) {
+    const el = this.elements.coinHand;
+    if (!el) return;
+
+    el.classList.toggle("hidden", !deck);
+    if (!deck) return;
+
+    el.innerHTML = "";
+    const coinsEl = document.createElement("div");
+    coinsEl.className = "coin-hand-coins";
+    deck.hand.forEach((coin, index) => {
+      const def = coinDefinitions[coin.id];
+      if (!def) return;
+
+      const button = document.createElement("button");
+      button.className = `coin-hand-coin ${def.rarity}`;
+      button.classList.toggle("selected", index === deck.selected);
+      button.title = `${def.name} (${def.tags.join(", ")}) - ${def.description}`;
+      button.innerHTML = `<span class="coin-hand-icon">${def.icon}</span><span class="coin-hand-name">${def.name}</span>`;
+      if (coin.bonus) button.innerHTML += `<span class="coin-hand-bonus">+${coin.bonus}</span>`;
+      button.addEventListener("click", (e) => {
+        e.preventDefault();
+        if (this.game) this.game.command("hand", index);
+      });
+      coinsEl.appendChild(button);
+    });
+    el.appendChild(coinsEl);
+
+    const piles = document.createElement("div");
+    piles.className = "coin-hand-piles";
+    piles.textContent =
+      deck.hand.length > 0
+        ? `Draw ${deck.drawPile.length} · Discard ${deck.discardPile.length} · Turn ${deck.turn}`
+        : "Whole deck on the board - plain coins until one falls";
+    el.appendChild(piles);
+  },
+
+  // Show the turn mode panel - coin variants by energy cost and End Turn (null hides it)
+  updateTurns: function (turns) {
+    const el = this.elements.turnPanel;
+    if (this.elements.queueLabel) this.elements.queueLabel.textContent = turns ? "Energy:" : "Queue:";
+    if (!el) return;
+
+    el.classList.toggle("hidden", !turns);
+    if (!turns) return;
+
+    const energy = this.game && this.game.coins ? this.game.coins.coinQueue : 0;
+    const settling = turns.phase === "settling";
+
+    el.innerHTML = "";
+    const variantsEl = document.createElement("div");
+    variantsEl.className = "turn-panel-variants";
+    turns.getVariantIds().forEach((id, index) => {
+      const variant = coinVariants[id];
+      const cost = turns.getCost(id);
+      const rim = variant.rimColor !== null ? variant.rimColor : 0xffd700;
+
+      const button = document.createElement("button");
+      button.className = "turn-panel-variant";
+      button.classList.toggle("selected", id === turns.selected);
+      button.disabled = settling || cost > energy;
+      button.title = `${variant.name} coin - ⚡ ${cost} (${index + 1})`;
+      button.innerHTML = `
+        <span class="turn-panel-swatch" style="border-color: #${rim.toString(16).padStart(6, "0")}"></span>
+        <span class="turn-panel-name">${variant.name}</span>
+        <span class="turn-panel-cost">⚡${cost}</span>
+      `;
+      button.addEventListener("click", (e) => {
+        e.preventDefault();
+        if (this.game) this.game.command("variant", id);
+      });
+      variantsEl.appendChild(button);
+    });
+    el.appendChild(variantsEl);
+
+    const endButton = document.createElement("button");
+    endButton.className = "turn-panel-end";
+    endButton.disabled = settling;
+    endButton.textContent = settling ? "SETTLING..." : "END TURN (E)";
+    endButton.addEventListener("click", (e) => {
+      e.preventDefault();
+      if (this.game) this.game.command("endTurn");
+    });
+    el.appendChild(endButton);
+
+    const status = document.createElement("div");
+    status.className = "turn-panel-status";
+    status.textContent = `Turn ${turns.turn} · ⚡ ${energy}`;
+    el.appendChild(status);
+  },
+
+  // Show the saved replays list
+  showReplays: function () {
+    this.populateReplays();
+    this.setReplaysStatus(null);
+    if (this.elements.replaysOverlay) {
+      this.elements.replaysOverlay.classList.remove("hidden");
+    }
+  },
+
+  // Hide the saved replays list
+  hideReplays: function () {
+    if (this.elements.replaysOverlay) {
+      this.elements.replaysOverlay.classList.add("hidden");
+    }
+  },
+
+  // Fill the replays list from storage
+  populateReplays: function () {
+    const list = this.elements.replaysList;
+    if (!list) return;
+
+    const replays = this.storage ? this.storage.getReplays() : [];
+    list.innerHTML = "";
+
+    if (replays.length === 0) {
+      list.innerHTML = '<li class="replays-empty">No replays yet - finish a run to record one!</li>';
+      return;
+    }
+
+    for (const replay of replays) {
+      const result = replay.result || {};
+      const item = document.createElement("li");
+      item.className = "replay-entry";
+
+      const info = document.createElement("div");
+      info.className = "replay-entry-info";
+      const score = document.createElement("span");
+      score.className = "replay-entry-score";
+      score.textContent = formatNumber(result.score || 0);
+      info.appendChild(score);
+      const date = replay.recordedAt ? new Date(replay.recordedAt).toLocaleDateString() : "";
+      info.appendChild(document.createTextNode(`Tier ${result.tier || 1} · ${this.formatReplayTime(result.ticks || 0, replay)} · ${date}`));
+      item.appendChild(info);
+
+      const watch = document.createElement("button");
+      watch.className = "profile-button";
+      watch.textContent = "WATCH";
+      watch.addEventListener("click", () => this.watchReplay(replay));
+      item.appendChild(watch);
+
+      const download = document.createElement("button");
+      download.className = "profile-button";
+      download.textContent = "SAVE";
+      download.addEventListener("click", () => this.downloadReplay(replay));
+      item.appendChild(download);
+
+      list.appendChild(item);
+    }
+  },
+
+  // Show a replays status line (null hides it)
+  setReplaysStatus: function (text, isError = false) {
+    const status = this.elements.replaysStatus;
+    if (!status) return;
+
+    status.classList.toggle("hidden", !text);
+    status.classList.toggle("error", !!isError);
+    status.textContent = text || "";
+  },
+
+  // Read a replay file and play it
+  readReplayFile: function (file) {
+    if (!this.replay) return;
+
+    const self = this;
+    const reader = new FileReader();
+    reader.onload = function () {
+      const result = self.replay.parse(String(reader.result));
+      if (!result.ok) {
+        self.setReplaysStatus(result.error, true);
+        return;
+      }
+      self.watchReplay(result.replay);
+    };
+    reader.onerror = function () {
+      self.setReplaysStatus("Could not read the file", true);
+    };
+    reader.readAsText(file);
+  },
+
+  // Close the menus and start watching a replay
+  watchReplay: function (replay) {
+    if (!this.replay || !replay) return;
+
+    this.hideReplays();
+    this.hideStartScreen();
+    this.hideGameOver();
+    this.replay.play(replay);
+  },
+
+  // Download a replay as a JSON file
+  downloadReplay: function (replay) {
+    if (!this.replay || !replay) return;
+
+    const blob = new Blob([this.replay.toText(replay)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = this.replay.getFileName(replay);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  },
+
+  // Leave the replay and go back to the start screen
+  exitReplay: function () {
+    if (this.replay) this.replay.stop();
+    this.hideGameOver();
+    this.showStartScreen();
+  },
+
+  // Show the playback bar for a replay
+  showReplayBar: function (replay) {
+    document.body.classList.add("replay-mode");
+
+    const speeds = this.elements.replaySpeeds;
+    if (speeds && this.replay) {
+      speeds.innerHTML = "";
+      for (const speed of this.replay.speeds) {
+        const button = document.createElement("button");
+        button.className = "replay-speed";
+        button.dataset.speed = speed;
+        button.textContent = speed + "x";
+        button.addEventListener("click", () => this.replay.setSpeed(speed));
+        speeds.appendChild(button);
+      }
+    }
+
+    if (this.elements.replayScrubber && this.replay) {
+      this.elements.replayScrubber.max = this.replay.getDuration();
+    }
+
+    this.replayScrubbing = false;
+    this.setReplayStatus(null);
+    if (this.elements.replayBar) this.elements.replayBar.classList.remove("hidden");
+    this.updateReplayBar();
+  },
+
+  // Hide the playback bar
+  hideReplayBar: function () {
+    document.body.classList.remove("replay-mode");
+    if (this.elements.replayBar) this.elements.replayBar.classList.add("hidden");
+  },
+
+  // Sync the playback bar with the replay's position, speed and pause state
+  updateReplayBar: function () {
+    if (!this.replay || !this.replay.isPlaying || !this.game) return;
+
+    if (this.elements.replayPlayButton) {
+      this.elements.replayPlayButton.textContent = this.replay.paused ? "▶" : "❚❚";
+    }
+
+    if (this.elements.replaySpeeds) {
+      for (const button of this.elements.replaySpeeds.children) {
+        button.classList.toggle("active", Number(button.dataset.speed) === this.replay.speed);
+      }
+    }
+
+    if (this.replayScrubbing) return;
+    if (this.elements.replayScrubber) this.elements.replayScrubber.value = this.game.tick;
+    this.updateReplayTime(this.game.tick);
+  },
+
+  // Show "elapsed / total" for a tick on the playback bar
+  updateReplayTime: function (tick) {
+    if (!this.elements.replayTime || !this.replay) return;
+
+    const replay = this.replay.playback;
+    const total = this.replay.getDuration();
+    this.elements.replayTime.textContent = `${this.formatReplayTime(tick, replay)} / ${this.formatReplayTime(total, replay)}`;
+  },
+
+  // Ticks as m:ss
+  formatReplayTime: function (ticks, replay) {
+    const tickRate = (replay && replay.tickRate) || 60;
+    return formatTime(ticks / tickRate);
+  },
+
+  // Show a playback status line (null hides it)
+  setReplayStatus: function (text, isError = false) {
+    const status = this.elements.replayStatus;
+    if (!status) return;
+
+    status.classList.toggle("hidden", !text);
+    status.classList.toggle("error", !!isError);
+    status.textContent = text || "";
+  },
+
   // Update method called each frame
   update: function (deltaTime) {
     this.animateScore();
+
+    // Refresh the modifier debug panel a few times a second while it's open
+    this.modifierDebugTimer += deltaTime;
+    if (this.modifierDebugTimer >= 0.5) {
+      this.modifierDebugTimer = 0;
+      this.updateModifierDebug();
+    }
   },
 };
 
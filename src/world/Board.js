@@ -5,8 +5,7 @@
  */
 
 import * as THREE from 'three';
-import { random } from '../core/Utils.js';
-import { tierThemes, getThemeOptions } from './themes/index.js';
+import { tierThemes, getThemeOptions, getSlotLayout, getSlotMotion, slotTypes } from './themes/index.js';
 import TextureGenerator from './TextureGenerator.js';
 
 // Helper function to create capsule-like geometry (CapsuleGeometry not in Three.js r128)
@@ -49,6 +48,9 @@ const Board = {
   scoringSlotBodies: [],
   containmentBodies: [],
 
+  // Moving/rotating scoring slots (see slotMotion in themes/index.js), null when static
+  slotMotion: null,
+
   // Current tier count
   currentTierCount: 1,
   maxTiers: 8,
@@ -96,11 +98,17 @@ const Board = {
   // Track which theme indices have been used
   usedThemeIndices: [],
 
+  // RNG state each tier was built from, by tier index (Continue rebuilds tiers from these)
+  tierRngStates: [],
+
   // References
   physics: null,
   coins: null,
   ui: null,
   game: null,
+  rng: null,
+  relics: null,
+  modifiers: null, // wired after init
 
   // Initialize board
   init: function (scene, refs = {}) {
@@ -109,6 +117,8 @@ const Board = {
     this.coins = refs.coins;
     this.ui = refs.ui;
     this.game = refs.game;
+    this.rng = refs.rng;
+    this.relics = refs.relics || null;
 
     this.pushers = [];
     this.tiers = [];
@@ -123,8 +133,10 @@ const Board = {
     this.scoringSlotMeshes = [];
     this.scoringSlotBodies = [];
     this.containmentBodies = [];
+    this.slotMotion = null;
     this.currentTierCount = 1;
     this.usedThemeIndices = [0]; // Reset and mark theme 0 as used (first tier)
+    this.tierRngStates = [];
 
     // Initialize new interactive element arrays
     this.laserGrids = [];
@@ -156,8 +168,10 @@ const Board = {
     this.createContainmentWalls();
     this.createPachinkoZone(12, 4);
     this.createPusherTier(0, 0, 0, this.baseBoardWidth);
-    this.createScoringSlots(this.getScoringY());
-    this.spawnStartingCoins();
+    this.createScoringSlots(this.getScoringY(), null, getSlotLayout(this.tierThemes[0]), getSlotMotion(this.tierThemes[0]));
+
+    // Restored runs bring their own coins
+    if (refs.startingCoins !== false) this.spawnStartingCoins();
   },
 
   // Add collision body for a decoration
@@ -222,6 +236,41 @@ const Board = {
         metalness: 0.65,
         roughness: 0.25,
       }),
+      slotRefund: new THREE.MeshStandardMaterial({
+        color: 0x00e5ff,
+        emissive: 0x00838f,
+        emissiveIntensity: 0.65,
+        metalness: 0.35,
+        roughness: 0.25,
+      }),
+      slotJackpot: new THREE.MeshStandardMaterial({
+        color: 0xff4081,
+        emissive: 0x9c0040,
+        emissiveIntensity: 0.65,
+        metalness: 0.5,
+        roughness: 0.25,
+      }),
+      slotRelic: new THREE.MeshStandardMaterial({
+        color: 0xb388ff,
+        emissive: 0x4a148c,
+        emissiveIntensity: 0.7,
+        metalness: 0.5,
+        roughness: 0.25,
+      }),
+      slotGold: new THREE.MeshStandardMaterial({
+        color: 0xd4a017,
+        emissive: 0x6d4c00,
+        emissiveIntensity: 0.6,
+        metalness: 0.9,
+        roughness: 0.2,
+      }),
+      slotHot: new THREE.MeshStandardMaterial({
+        color: 0xff9100,
+        emissive: 0xff6d00,
+        emissiveIntensity: 0.9,
+        metalness: 0.5,
+        roughness: 0.2,
+      }),
       ramp: new THREE.MeshStandardMaterial({
         color: 0x455a64,
         emissive: 0x0b1115,
@@ -255,7 +304,7 @@ const Board = {
             color3: theme.accent
         });
         
-        if (theme.textureScale) {
+        if (theme.textureScale && shelfTexture) {
             const s = theme.textureScale / 2;
             shelfTexture.repeat.set(s, s);
             wallTexture.repeat.set(s, s);
@@ -385,7 +434,7 @@ const Board = {
         const x = (i - (pegsInRow - 1) / 2) * spacingX + offsetX;
 
         const hue = ((row * 0.15) + (i * 0.08)) % 1;
-        const isBonus = Math.random() < 0.1;
+        const isBonus = this.rng.chance(0.1);
 
         const pegColor = isBonus ? 0x00ff88 : new THREE.Color().setHSL(hue, 0.8, 0.5).getHex();
         const pegMat = new THREE.MeshPhongMaterial({
@@ -1733,8 +1782,8 @@ const Board = {
       body: spinnerBody,
       y: y,
       z: z,
-      speed: 1.5 + Math.random() * 0.5,
-      direction: Math.random() > 0.5 ? 1 : -1,
+      speed: this.rng.range(1.5, 2),
+      direction: this.rng.chance(0.5) ? 1 : -1,
       tierIndex: tierIndex,
     });
 
@@ -1786,7 +1835,7 @@ const Board = {
         side: side,
         position: 0,
         direction: side,
-        speed: 0.8 + Math.random() * 0.4,
+        speed: this.rng.range(0.8, 1.2),
         minOffset: 0,
         maxOffset: 1.5,
         tierIndex: tierIndex,
@@ -3609,23 +3658,19 @@ const Board = {
     this.decorations.push(floatGroup);
   },
 
-  // Create scoring slots
-  createScoringSlots: function (baseY, customFrontZ) {
+  // Create scoring slots from a theme's slot layout and optional motion (see themes/index.js)
+  createScoringSlots: function (baseY, customFrontZ, layout, motion) {
     const boardWidth = this.baseBoardWidth + (this.currentTierCount - 1) * this.tierWidthIncrease;
     const tierPos = this.getTierPosition(this.currentTierCount - 1);
     const frontZ = customFrontZ || (tierPos.z + 1.5 + this.shelfDepth / 2 + 3.5);
 
-    const slotCount = 5;
-    const slotWidth = boardWidth / slotCount;
+    const slots = layout || getSlotLayout(null);
+    const slotCount = slots.length;
     const slotHeight = 2;
 
-    const slots = [
-      { mult: 1, type: "normal" },
-      { mult: 2, type: "normal" },
-      { mult: 3, type: "bonus" },
-      { mult: 2, type: "normal" },
-      { mult: 1, type: "normal" },
-    ];
+    // Slot widths are relative - scale them to fill the board
+    const totalWeight = slots.reduce((sum, slot) => sum + (slot.width || 1), 0);
+    const slotWidths = slots.map((slot) => ((slot.width || 1) / totalWeight) * boardWidth);
 
     // Back wall
     const slotBackGeom = new THREE.BoxGeometry(boardWidth + 2, slotHeight + 2, 0.3);
@@ -3650,9 +3695,15 @@ const Board = {
       this.scoringSlotBodies.push(backBody);
     }
 
+    // Moving parts, kept for slot motion
+    const dividers = [];
+    const slotRecords = [];
+
     // Dividers
+    let dividerX = -boardWidth / 2;
     for (let i = 0; i <= slotCount; i++) {
-      const x = -boardWidth / 2 + i * slotWidth;
+      const x = dividerX;
+      if (i < slotCount) dividerX += slotWidths[i];
 
       const divMat = new THREE.MeshPhongMaterial({
         color: 0x7c4dff,
@@ -3665,8 +3716,9 @@ const Board = {
       this.scene.add(div);
       this.scoringSlotMeshes.push(div);
 
+      let divBody = null;
       if (this.physics) {
-        const divBody = this.physics.createBody({
+        divBody = this.physics.createBody({
           shape: "box",
           x: x, y: baseY + slotHeight / 2, z: frontZ + 1,
           width: 0.1,
@@ -3676,23 +3728,30 @@ const Board = {
         });
         this.scoringSlotBodies.push(divBody);
       }
+      dividers.push({ mesh: div, body: divBody, baseX: x });
     }
 
     // Slot indicators
+    let slotLeft = -boardWidth / 2;
     for (let i = 0; i < slotCount; i++) {
-      const x = -boardWidth / 2 + slotWidth / 2 + i * slotWidth;
+      const slotWidth = slotWidths[i];
+      const x = slotLeft + slotWidth / 2;
+      slotLeft += slotWidth;
+
       const slot = slots[i];
+      const slotType = slotTypes[slot.type] ? slot.type : "normal";
 
-      let material = slot.type === "bonus" ? this.materials.slotBonus : this.materials.slotGood;
+      const material = this.getSlotMaterial(slotType);
 
-      const indicatorGeom = new THREE.PlaneGeometry(slotWidth - 0.2, 1.8);
+      const indicatorWidth = Math.max(0.1, slotWidth - 0.2);
+      const indicatorGeom = new THREE.PlaneGeometry(indicatorWidth, 1.8);
       const indicator = new THREE.Mesh(indicatorGeom, material);
       indicator.position.set(x, baseY + 0.08, frontZ + 1);
       indicator.rotation.x = -Math.PI / 2;
       this.scene.add(indicator);
       this.scoringSlotMeshes.push(indicator);
 
-      this.bonusZones.push({
+      const zone = {
         x: x,
         y: baseY,
         z: frontZ + 1,
@@ -3700,12 +3759,17 @@ const Board = {
         height: slotHeight,
         depth: 2,
         type: "slot",
-        multiplier: slot.mult,
-        isBonus: slot.type === "bonus",
+        multiplier: slot.mult !== undefined ? slot.mult : 1,
+        slotType: slotType,
+        isBonus: slotType === "bonus",
         mesh: indicator,
-      });
+      };
+      this.bonusZones.push(zone);
+      slotRecords.push({ zone: zone, indicatorWidth: indicatorWidth, multiplier: zone.multiplier, slotType: slotType });
     }
 
+    this.setupSlotMotion(motion, dividers, slotRecords);
+
     // Floor
     const floorGeom = new THREE.BoxGeometry(boardWidth + 4, 0.3, 3);
     const floorMat = new THREE.MeshPhongMaterial({ color: 0x1a237e });
@@ -3750,44 +3814,203 @@ const Board = {
     this.scoringY = baseY - 1;
   },
 
+  // Indicator material for a scoring slot type
+  getSlotMaterial: function (slotType) {
+    switch (slotType) {
+      case "bonus":
+        return this.materials.slotBonus;
+      case "refund":
+        return this.materials.slotRefund;
+      case "jackpot":
+        return this.materials.slotJackpot;
+      case "relic":
+        return this.materials.slotRelic;
+      case "gold":
+        return this.materials.slotGold;
+      case "dud":
+        return this.materials.slotBad;
+      default:
+        return this.materials.slotGood;
+    }
+  },
+
+  // Remember the moving parts of a theme's slot motion (null motion = static slots)
+  setupSlotMotion: function (motion, dividers, slots) {
+    this.slotMotion = null;
+    if (!motion || slots.length < 2) return;
+
+    const state = {
+      type: motion.type,
+      config: motion,
+      time: 0,
+      step: -1,
+      dividers: dividers,
+      slots: slots,
+      amplitude: 0,
+      hotSlots: [],
+    };
+
+    if (motion.type === "slide") {
+      // Only the inner dividers move, so the edge slots stretch and squeeze -
+      // keep them from closing up completely
+      const first = slots[0].zone.width;
+      const last = slots[slots.length - 1].zone.width;
+      state.amplitude = Math.min(motion.amplitude || 0.5, Math.min(first, last) * 0.45);
+    } else if (motion.type === "hot") {
+      // Duds never get lit
+      state.hotSlots = slots.filter((slot) => slot.slotType !== "dud");
+      if (state.hotSlots.length === 0) return;
+    }
+
+    this.slotMotion = state;
+    this.applySlotMotion();
+  },
+
+  // Advance slot motion by game time
+  updateSlotMotion: function (deltaTime) {
+    if (!this.slotMotion) return;
+    this.slotMotion.time += deltaTime;
+    this.applySlotMotion();
+  },
+
+  // Put slots where the motion says they are at the current time
+  applySlotMotion: function () {
+    const motion = this.slotMotion;
+    if (!motion) return;
+
+    if (motion.type === "slide") {
+      this.applySlotSlide(motion);
+      return;
+    }
+
+    // Swap and hot move in steps
+    const step = Math.floor(motion.time / Math.max(0.5, motion.config.interval || 4));
+    if (step !== motion.step) {
+      motion.step = step;
+      if (motion.type === "swap") {
+        this.applySlotSwap(motion, step);
+      } else {
+        this.applyHotSlot(motion, step);
+      }
+    }
+
+    // Hot slot pulses faster as its turn runs out
+    if (motion.type === "hot") {
+      const interval = Math.max(0.5, motion.config.interval || 4);
+      const remaining = 1 - (motion.time % interval) / interval;
+      const rate = remaining < 0.3 ? 20 : 8;
+      this.materials.slotHot.emissiveIntensity = 0.7 + Math.sin(motion.time * rate) * 0.3;
+    }
+  },
+
+  // Slide the inner dividers and refit the slots between them
+  applySlotSlide: function (motion) {
+    const offset = Math.sin(motion.time * (motion.config.speed || 1)) * motion.amplitude;
+    const dividers = motion.dividers;
+
+    for (let i = 1; i < dividers.length - 1; i++) {
+      const divider = dividers[i];
+      const x = divider.baseX + offset;
+      divider.mesh.position.x = x;
+      if (divider.body) divider.body.x = x;
+    }
+
+    for (let i = 0; i < motion.slots.length; i++) {
+      const left = dividers[i].mesh.position.x;
+      const right = dividers[i + 1].mesh.position.x;
+      const slot = motion.slots[i];
+
+      slot.zone.x = (left + right) / 2;
+      slot.zone.width = right - left - 0.15;
+      slot.zone.mesh.position.x = slot.zone.x;
+      slot.zone.mesh.scale.x = Math.max(0.1, right - left - 0.2) / slot.indicatorWidth;
+    }
+
+    // Coins resting in the slots get shoved by the dividers
+    if (this.physics && offset !== motion.lastOffset) {
+      const zone = motion.slots[0].zone;
+      for (let i = 1; i < dividers.length - 1; i++) {
+        this.physics.wakeRegion(dividers[i].mesh.position.x, zone.y + 1, zone.z, 1.5);
+      }
+    }
+    motion.lastOffset = offset;
+  },
+
+  // Shift slot values one slot to the right per step (wrapping around)
+  applySlotSwap: function (motion, step) {
+    const count = motion.slots.length;
+    const shift = step % count;
+
+    for (let i = 0; i < count; i++) {
+      const source = motion.slots[(i - shift + count) % count];
+      this.setSlotValue(motion.slots[i], source.multiplier, source.slotType, false);
+    }
+  },
+
+  // Light the next slot in line and return the last one to normal
+  applyHotSlot: function (motion, step) {
+    const hot = motion.hotSlots[step % motion.hotSlots.length];
+    const boost = motion.config.multiplier || 3;
+
+    for (const slot of motion.slots) {
+      if (slot === hot) {
+        this.setSlotValue(slot, Math.max(slot.multiplier, boost), slot.slotType, true);
+      } else {
+        this.setSlotValue(slot, slot.multiplier, slot.slotType, false);
+      }
+    }
+  },
+
+  // Give a slot a new value and matching indicator
+  setSlotValue: function (slot, multiplier, slotType, isHot) {
+    const zone = slot.zone;
+    zone.multiplier = multiplier;
+    zone.slotType = slotType;
+    zone.isBonus = slotType === "bonus";
+    zone.isHot = isHot;
+    zone.mesh.material = isHot ? this.materials.slotHot : this.getSlotMaterial(slotType);
+  },
+
   // Spawn starting coins - drop through pachinko zone for fun bouncy start
   spawnStartingCoins: function () {
     const dropZone = this.getDropZone();
     const startingCoins = 30;
+    const positions = [];
 
     for (let i = 0; i < startingCoins; i++) {
       // Random X position within drop zone
-      const x = random(dropZone.minX, dropZone.maxX);
+      const x = this.rng.range(dropZone.minX, dropZone.maxX);
       // Drop from top to go through pachinko pegs
-      const y = dropZone.y + random(0, 3); // Stagger heights for spread
-      const z = dropZone.z;
-
-      setTimeout(() => {
-        if (this.coins) this.coins.spawnCoin(x, y, z, "gold");
-      }, i * 80); // Slower stagger for visual effect
+      const y = dropZone.y + this.rng.range(0, 3); // Stagger heights for spread
+      positions.push({ x: x, y: y, z: dropZone.z });
     }
+
+    // Slower stagger for visual effect
+    if (!this.game) return;
+    this.game.clock.repeat(0.08, (i) => {
+      const pos = positions[i];
+      if (this.coins) this.coins.spawnCoin(pos.x, pos.y, pos.z, "gold");
+    }, startingCoins);
   },
 
-  // Update pushers and animations
-  update: function (deltaTime) {
-    const time = performance.now() * 0.001;
+  // Game time in ms (0 before the board is wired to a game)
+  getTime: function () {
+    return this.game ? this.game.clock.time : 0;
+  },
+
+  // Move physical board parts - called by Physics once per fixed step
+  fixedUpdate: function (deltaTime) {
+    const time = this.getTime() * 0.001;
 
     // Update main pushers
     for (let pusher of this.pushers) {
       this.updatePusher(pusher, deltaTime);
     }
 
-    // Update spinners
-    for (let spinner of this.spinners) {
-      spinner.mesh.rotation.y += spinner.direction * spinner.speed * deltaTime;
-      if (spinner.body) {
-        spinner.body.ry = spinner.mesh.rotation.y;
-      }
-    }
-
-    // Update side pushers
+    // Update side pushers (they stop too while turn mode holds the board)
+    const sideFactor = this.getPusherSpeedFactor() === 0 ? 0 : 1;
     for (let sidePusher of this.sidePushers) {
-      sidePusher.position += sidePusher.direction * sidePusher.speed * deltaTime;
+      sidePusher.position += sidePusher.direction * sidePusher.speed * sideFactor * deltaTime;
 
       if (sidePusher.position >= sidePusher.maxOffset) {
         sidePusher.position = sidePusher.maxOffset;
@@ -3804,6 +4027,27 @@ const Board = {
       if (this.physics) this.physics.wakeRegion(newX, sidePusher.y, sidePusher.z, 2);
     }
 
+    // Update coin movers
+    for (let mover of this.coinMovers) {
+      this.updateCoinMover(mover, deltaTime, time);
+    }
+  },
+
+  // Update slots and animations - once per game tick (pushers and movers run in fixedUpdate)
+  update: function (deltaTime) {
+    const time = this.getTime() * 0.001;
+
+    // Move, swap or light scoring slots
+    this.updateSlotMotion(deltaTime);
+
+    // Update spinners
+    for (let spinner of this.spinners) {
+      spinner.mesh.rotation.y += spinner.direction * spinner.speed * deltaTime;
+      if (spinner.body) {
+        spinner.body.ry = spinner.mesh.rotation.y;
+      }
+    }
+
     // Animate bumpers
     for (let bumper of this.bumpers) {
       if (bumper.hitTime > 0) {
@@ -3816,11 +4060,6 @@ const Board = {
       bumper.mesh.material.emissiveIntensity = 0.45 + Math.sin(time * 1.5) * 0.1;
     }
 
-    // Animate coin movers
-    for (let mover of this.coinMovers) {
-      this.updateCoinMover(mover, deltaTime, time);
-    }
-
     // Animate LED strips
     for (let ledGroup of this.ledStrips) {
       if (!ledGroup.userData) continue;
@@ -4151,7 +4390,7 @@ const Board = {
   updatePusher: function (pusher, deltaTime) {
     const prevZ = pusher.baseZ + pusher.position;
 
-    pusher.position += pusher.direction * pusher.speed * deltaTime;
+    pusher.position += pusher.direction * pusher.speed * this.getPusherSpeedFactor() * deltaTime;
 
     if (pusher.position >= pusher.maxZ) {
       pusher.position = pusher.maxZ;
@@ -4175,9 +4414,23 @@ const Board = {
     }
   },
 
+  // Pusher speed stat - relics and frenzy (1 = normal speed, 0 = held by turn mode)
+  getPusherSpeedFactor: function () {
+    return this.modifiers ? this.modifiers.get("pusherSpeed") : 1;
+  },
+
+  // Seconds the slowest main pusher takes to go out and back at normal speed
+  getPusherCycleTime: function () {
+    let longest = 0;
+    for (const pusher of this.pushers) {
+      longest = Math.max(longest, (2 * (pusher.maxZ - pusher.minZ)) / pusher.speed);
+    }
+    return longest || 4;
+  },
+
   // Update coin mover animation
   updateCoinMover: function (mover, deltaTime, time) {
-    mover.phase += deltaTime;
+    mover.phase += deltaTime * this.getPusherSpeedFactor();
 
     switch (mover.type) {
       case "wavePusher":
@@ -4301,6 +4554,12 @@ const Board = {
     }
   },
 
+  // Top of the first tier's upper shelf (upperY = 1.5, 0.25 thick) - where
+  // coins land after the pegs
+  getLandingY: function () {
+    return 1.5 + 0.125;
+  },
+
   // Get drop zone for new coins
   getDropZone: function () {
     return {
@@ -4331,7 +4590,11 @@ const Board = {
   },
 
   // Actually expand with the selected theme
-  expandWithTheme: function (themeIndex) {
+  // options.restoring - rebuilding a saved run: skip the unlock fanfare, coin rain and theme bonus
+  // options.rngState - the RNG state the tier was first built from (see tierRngStates)
+  expandWithTheme: function (themeIndex, options = {}) {
+    const restoring = !!options.restoring;
+
     this.removeScoringSlots();
 
     const newTierIndex = this.currentTierCount;
@@ -4350,6 +4613,10 @@ const Board = {
     }
     console.log(`[Board] usedThemeIndices now: [${this.usedThemeIndices.join(', ')}]`);
 
+    // Tier parts roll their speeds from the RNG - a restored tier rolls from the saved state
+    if (options.rngState) this.rng.setState(options.rngState);
+    this.tierRngStates[newTierIndex] = this.rng.getState();
+
     // Create tier with selected theme
     this.createPusherTierWithTheme(newTierIndex, tierPos.y, tierPos.z, tierPos.width, theme, normalizedIndex);
 
@@ -4361,32 +4628,40 @@ const Board = {
     this.currentTierCount++;
     if (this.ui) this.ui.updateExpansion(this.currentTierCount);
 
-    if (this.ui) this.ui.showTierUnlock(theme.name + " Unlocked!", theme.icon);
+    if (this.ui && !restoring) this.ui.showTierUnlock(theme.name + " Unlocked!", theme.icon);
 
     // Screen shake for tier unlock celebration
-    if (this.game && this.game.shake) {
+    if (this.game && this.game.shake && !restoring) {
       this.game.shake(1.2, 0.5);
     }
 
     const newScoringY = this.getScoringY();
     const frontZ = tierPos.z + 1.5 + this.shelfDepth / 2 + 3.5;
-    this.createScoringSlots(newScoringY, frontZ);
+    this.createScoringSlots(newScoringY, frontZ, getSlotLayout(theme), getSlotMotion(theme));
 
     this.adjustCamera();
 
+    if (restoring) return;
+
     // Rain coins on new tier
-    for (let i = 0; i < 20; i++) {
-      setTimeout(() => {
-        const x = random(-tierPos.width / 2 + 1, tierPos.width / 2 - 1);
+    if (this.game) {
+      this.game.clock.repeat(0.06, () => {
+        const x = this.rng.range(-tierPos.width / 2 + 1, tierPos.width / 2 - 1);
         const z = tierPos.z + 1.5;
         if (this.coins) this.coins.spawnCoin(x, tierPos.y + 4, z, "gold");
-      }, i * 60);
+      }, 20);
     }
 
     // Apply theme's powerup focus bonus
     if (this.game && this.game.powerUps && theme.powerupFocus) {
       this.game.powerUps.applyThemeBonus(theme.powerupFocus);
     }
+
+    // Relic tier bonuses (Cosmic Egg)
+    if (this.relics) this.relics.onTierUnlocked();
+
+    // The shop opens between tiers
+    if (this.game && this.game.shop) this.game.shop.onTierUnlocked();
   },
 
   // Create tier with specific theme (used by expandWithTheme)
@@ -4649,7 +4924,7 @@ const Board = {
             color3: theme.accent
         });
         
-        if (theme.textureScale) {
+        if (theme.textureScale && shelfTexture) {
             const s = theme.textureScale / 2;
             shelfTexture.repeat.set(s, s);
             wallTexture.repeat.set(s, s);
@@ -4777,11 +5052,12 @@ const Board = {
       if (this.physics) this.physics.removeBody(body);
     }
     this.scoringSlotBodies = [];
+    this.slotMotion = null;
   },
 
   // Adjust camera for growing pyramid
   adjustCamera: function () {
-    if (this.game && this.game.camera) {
+    if (this.game && this.game.camera && !this.game.headless) {
       const camera = this.game.camera;
       const tierCount = this.currentTierCount;
 
@@ -4803,6 +5079,7 @@ const Board = {
       const startY = camera.position.y;
       const startZ = camera.position.z;
       const duration = 1500;
+      // Wall clock - the camera glides on screen frames, not game ticks
       const startTime = performance.now();
 
       const animateCamera = () => {
@@ -4822,6 +5099,44 @@ const Board = {
     }
   },
 
+  // Snapshot the moving parts (pusher strokes, spinners, side pushers, coin movers) for saves
+  getSnapshot: function () {
+    return {
+      pushers: this.pushers.map((p) => ({ position: p.position, direction: p.direction })),
+      spinners: this.spinners.map((s) => ({ speed: s.speed, direction: s.direction })),
+      sidePushers: this.sidePushers.map((p) => ({ position: p.position, direction: p.direction, speed: p.speed })),
+      coinMovers: this.coinMovers.map((m) => ({ phase: m.phase })),
+      slotMotionTime: this.slotMotion ? this.slotMotion.time : 0,
+    };
+  },
+
+  // Restore moving parts from getSnapshot() - the board must be rebuilt with
+  // the same themes first so the arrays line up
+  restoreSnapshot: function (snapshot) {
+    if (!snapshot) return;
+
+    const restore = (list, saved, keys) => {
+      if (!Array.isArray(saved)) return;
+      for (let i = 0; i < list.length && i < saved.length; i++) {
+        for (const key of keys) {
+          if (typeof saved[i][key] === "number") list[i][key] = saved[i][key];
+        }
+      }
+    };
+
+    restore(this.pushers, snapshot.pushers, ["position", "direction"]);
+    // Spinner and side pusher speeds were rolled when their tier was built
+    restore(this.spinners, snapshot.spinners, ["speed", "direction"]);
+    restore(this.sidePushers, snapshot.sidePushers, ["position", "direction", "speed"]);
+    restore(this.coinMovers, snapshot.coinMovers, ["phase"]);
+
+    if (this.slotMotion && typeof snapshot.slotMotionTime === "number") {
+      this.slotMotion.time = snapshot.slotMotionTime;
+      this.slotMotion.step = -1;
+      this.applySlotMotion();
+    }
+  },
+
   // Cleanup all board elements
   cleanup: function () {
     for (const peg of this.pegs) {
@@ -4878,8 +5193,10 @@ const Board = {
     this.scoringSlotMeshes = [];
     this.scoringSlotBodies = [];
     this.containmentBodies = [];
+    this.slotMotion = null;
     this.currentTierCount = 1;
     this.usedThemeIndices = [0]; // Reset on cleanup too
+    this.tierRngStates = [];
 
     // Clear new interactive element arrays
     this.laserGrids = [];
@@ -0,0 +1,153 @@
+/**
+ * Drop Carriage for Coin Pusher World
+ * The slider above the peg field that aims coin drops.
+ * Tapping or dragging across the top of the board moves it, arrow keys nudge it,
+ * and sweeping mode glides it back and forth on its own.
+ */
+
+import * as THREE from 'three';
+import { clamp } from '../core/Utils.js';
+
+const DropCarriage = {
+  // Current X position (world units, inside the drop zone)
+  x: 0,
+
+  // Where the carriage is heading (pointer aim), null when idle
+  targetX: null,
+
+  // Movement speeds (units per second)
+  moveSpeed: 14, // Toward a tapped/dragged target
+  keySpeed: 9, // While an arrow key is held
+
+  // Held arrow key direction (-1, 0, 1)
+  keyDirection: 0,
+
+  // Sweeping mode - carriage glides across the drop zone by itself
+  sweeping: false,
+  sweepSpeed: 5,
+  sweepDirection: 1,
+
+  // How far below the drop height a tap still counts as aiming (world units)
+  aimBand: 5,
+
+  // Three.js objects
+  scene: null,
+  mesh: null,
+
+  // References
+  board: null,
+
+  // Initialize carriage
+  init: function (scene, refs = {}) {
+    this.scene = scene;
+    this.board = refs.board;
+    this.sweeping = !!refs.sweeping;
+
+    this.createMesh();
+    this.reset();
+  },
+
+  // Build the carriage: a gold rail slider with a pointer underneath
+  createMesh: function () {
+    if (this.mesh || !this.scene) return;
+
+    this.mesh = new THREE.Group();
+
+    const body = new THREE.Mesh(
+      new THREE.BoxGeometry(1.4, 0.35, 0.7),
+      new THREE.MeshLambertMaterial({ color: 0xffd700, emissive: 0x553300 })
+    );
+    this.mesh.add(body);
+
+    const pointer = new THREE.Mesh(
+      new THREE.ConeGeometry(0.25, 0.5, 8),
+      new THREE.MeshBasicMaterial({ color: 0xffee88 })
+    );
+    pointer.rotation.x = Math.PI;
+    pointer.position.y = -0.45;
+    this.mesh.add(pointer);
+
+    this.scene.add(this.mesh);
+  },
+
+  // Center the carriage for a new run
+  reset: function () {
+    const zone = this.getZone();
+    this.x = zone ? (zone.minX + zone.maxX) / 2 : 0;
+    this.targetX = null;
+    this.keyDirection = 0;
+    this.sweepDirection = 1;
+    this.syncMesh();
+  },
+
+  // Current drop zone from the board
+  getZone: function () {
+    return this.board ? this.board.getDropZone() : null;
+  },
+
+  // X position the next coin should be released at
+  getDropX: function () {
+    return this.x;
+  },
+
+  // Aim at a world X position (tap/drag)
+  aimAt: function (x) {
+    const zone = this.getZone();
+    if (!zone) return;
+    this.targetX = clamp(x, zone.minX, zone.maxX);
+  },
+
+  // Is a world-space point close enough to the drop height to count as aiming?
+  isInAimBand: function (y) {
+    const zone = this.getZone();
+    return !!zone && y >= zone.y - this.aimBand;
+  },
+
+  // Set held arrow key direction (-1 left, 1 right, 0 released)
+  setKeyDirection: function (direction) {
+    this.keyDirection = direction;
+    if (direction !== 0) this.targetX = null;
+  },
+
+  // Toggle sweeping mode
+  toggleSweep: function () {
+    this.sweeping = !this.sweeping;
+    this.targetX = null;
+    return this.sweeping;
+  },
+
+  // Move the carriage (game time, so pauses and headless runs behave)
+  update: function (deltaTime) {
+    const zone = this.getZone();
+    if (!zone) return;
+
+    if (this.keyDirection !== 0) {
+      this.x += this.keyDirection * this.keySpeed * deltaTime;
+    } else if (this.targetX !== null) {
+      const diff = this.targetX - this.x;
+      const step = this.moveSpeed * deltaTime;
+      if (Math.abs(diff) <= step) {
+        this.x = this.targetX;
+        this.targetX = null;
+      } else {
+        this.x += Math.sign(diff) * step;
+      }
+    } else if (this.sweeping) {
+      this.x += this.sweepDirection * this.sweepSpeed * deltaTime;
+      if (this.x >= zone.maxX) this.sweepDirection = -1;
+      if (this.x <= zone.minX) this.sweepDirection = 1;
+    }
+
+    this.x = clamp(this.x, zone.minX, zone.maxX);
+    this.syncMesh();
+  },
+
+  // Place the mesh just above the drop point
+  syncMesh: function () {
+    const zone = this.getZone();
+    if (!this.mesh || !zone) return;
+    this.mesh.position.set(this.x, zone.y + 1.2, zone.z);
+  },
+};
+
+export default DropCarriage;
@@ -1,11 +1,15 @@
 
 import * as THREE from 'three';
+import { hasDOM } from '../core/Utils.js';
 
 const TextureGenerator = {
   // Cache textures to avoid regenerating them
   cache: {},
 
   createTexture: function(type, options) {
+    // No canvas outside the browser - callers fall back to flat colors
+    if (!hasDOM()) return null;
+
     const cacheKey = JSON.stringify({ type, ...options });
     // if (this.cache[cacheKey]) return this.cache[cacheKey];
 
@@ -0,0 +1,217 @@
+/**
+ * Trajectory Preview for Coin Pusher World
+ * Ghost path from the drop carriage through the pachinko pegs.
+ * Throwaway probes run through Physics.simulateProbe (same peg/wall rules as real
+ * coins) and the result is drawn as a line, plus the landing spread on the first
+ * shelf. How far ahead it sees depends on the Foresight power-up.
+ */
+
+import * as THREE from 'three';
+
+const TrajectoryPreview = {
+  // Player setting - preview can be switched off
+  enabled: true,
+
+  // Sideways launch speeds tried for the landing spread (matches Coins.spawnCoin's random nudge)
+  spreadVelocities: [-0.3, -0.15, 0.15, 0.3],
+
+  // Sideways speed of the center path - a probe dropped dead straight onto a peg
+  // would balance on it forever, which real coins (always nudged) never do
+  centerVelocity: 0.05,
+
+  // Recompute when the carriage moves this far (world units)
+  recomputeDistance: 0.02,
+
+  // Inputs of the last computed preview
+  lastX: null,
+  lastDuration: 0,
+  lastSpread: false,
+  lastStaticCount: 0,
+
+  // Three.js objects
+  scene: null,
+  group: null,
+  pathLine: null,
+  spreadLines: [],
+  landingMarker: null,
+  spreadMarker: null,
+
+  // References
+  physics: null,
+  board: null,
+  carriage: null,
+  powerUps: null,
+  coins: null,
+  game: null,
+
+  // Initialize preview
+  init: function (scene, refs = {}) {
+    this.scene = scene;
+    this.physics = refs.physics;
+    this.board = refs.board;
+    this.carriage = refs.carriage;
+    this.powerUps = refs.powerUps;
+    this.coins = refs.coins;
+    this.game = refs.game;
+    if (refs.enabled !== undefined) this.enabled = !!refs.enabled;
+
+    this.createMeshes();
+    this.invalidate();
+  },
+
+  // Build the line and marker objects (geometry is filled in per preview)
+  createMeshes: function () {
+    if (this.group || !this.scene) return;
+
+    this.group = new THREE.Group();
+    this.group.visible = false;
+
+    this.pathLine = new THREE.Line(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color: 0xffee88, transparent: true, opacity: 0.75 })
+    );
+    this.group.add(this.pathLine);
+
+    const spreadMaterial = new THREE.LineBasicMaterial({ color: 0xffee88, transparent: true, opacity: 0.25 });
+    for (let i = 0; i < this.spreadVelocities.length; i++) {
+      const line = new THREE.Line(new THREE.BufferGeometry(), spreadMaterial);
+      this.spreadLines.push(line);
+      this.group.add(line);
+    }
+
+    // Landing spot of the center path
+    this.landingMarker = new THREE.Mesh(
+      new THREE.RingGeometry(0.2, 0.32, 20),
+      new THREE.MeshBasicMaterial({ color: 0xffee88, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
+    );
+    this.landingMarker.rotation.x = -Math.PI / 2;
+    this.group.add(this.landingMarker);
+
+    // Landing spread band (scaled along X to cover every probe)
+    this.spreadMarker = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 0.6),
+      new THREE.MeshBasicMaterial({ color: 0xffd700, transparent: true, opacity: 0.25, side: THREE.DoubleSide })
+    );
+    this.spreadMarker.rotation.x = -Math.PI / 2;
+    this.group.add(this.spreadMarker);
+
+    this.scene.add(this.group);
+  },
+
+  // Turn the preview on or off
+  setEnabled: function (enabled) {
+    this.enabled = !!enabled;
+    this.invalidate();
+    if (this.group && !this.enabled) this.group.visible = false;
+  },
+
+  // Force the next update to recompute (board rebuilt, upgrade taken)
+  invalidate: function () {
+    this.lastX = null;
+  },
+
+  // Seconds of flight the preview can see (Foresight upgrade)
+  getDuration: function () {
+    return this.powerUps ? this.powerUps.getPreviewDuration() : 1;
+  },
+
+  // Landing spread is part of the upgrade too
+  hasSpread: function () {
+    return this.powerUps ? this.powerUps.hasPreviewSpread() : false;
+  },
+
+  // Recompute when the aim, the upgrade or the board changes
+  update: function () {
+    if (!this.group) return;
+
+    const active = this.enabled && this.carriage && this.physics && this.game && this.game.isRunning;
+    this.group.visible = !!active;
+    if (!active) return;
+
+    const x = this.carriage.getDropX();
+    const duration = this.getDuration();
+    const spread = this.hasSpread();
+    const staticCount = this.physics.staticBodies.length;
+
+    if (
+      this.lastX !== null &&
+      Math.abs(x - this.lastX) < this.recomputeDistance &&
+      duration === this.lastDuration &&
+      spread === this.lastSpread &&
+      staticCount === this.lastStaticCount
+    ) {
+      return;
+    }
+
+    this.lastX = x;
+    this.lastDuration = duration;
+    this.lastSpread = spread;
+    this.lastStaticCount = staticCount;
+    this.compute(x, duration, spread);
+  },
+
+  // Run the probes and rebuild the lines and markers
+  compute: function (x, duration, spread) {
+    const zone = this.board.getDropZone();
+    const landingY = this.board.getLandingY();
+
+    const probe = (vx) =>
+      this.physics.simulateProbe({
+        body: {
+          shape: "cylinder",
+          x: x,
+          y: zone.y,
+          z: zone.z,
+          vx: vx,
+          radius: this.coins ? this.coins.coinRadius : 0.5,
+          height: this.coins ? this.coins.coinHeight : 0.1,
+          friction: 0.35,
+          restitution: 0.25,
+        },
+        duration: duration,
+        // Resting on the shelf leaves the center a hair above landingY + radius
+        stopY: landingY + (this.coins ? this.coins.coinRadius : 0.5) + 0.05,
+      });
+
+    const center = probe(this.centerVelocity);
+    this.setLinePoints(this.pathLine, center.points);
+
+    const landings = center.landed ? [center.x] : [];
+    for (let i = 0; i < this.spreadLines.length; i++) {
+      const line = this.spreadLines[i];
+      line.visible = spread;
+      if (!spread) continue;
+
+      const result = probe(this.spreadVelocities[i]);
+      this.setLinePoints(line, result.points);
+      if (result.landed) landings.push(result.x);
+    }
+
+    this.landingMarker.visible = center.landed;
+    if (center.landed) {
+      this.landingMarker.position.set(center.x, landingY + 0.02, center.z);
+    }
+
+    this.spreadMarker.visible = spread && landings.length > 1;
+    if (this.spreadMarker.visible) {
+      const minX = Math.min(...landings);
+      const maxX = Math.max(...landings);
+      this.spreadMarker.scale.x = Math.max(0.4, maxX - minX + 0.4);
+      this.spreadMarker.position.set((minX + maxX) / 2, landingY + 0.01, center.z);
+    }
+  },
+
+  // Replace a line's vertices
+  setLinePoints: function (line, points) {
+    const positions = new Float32Array(points.length * 3);
+    for (let i = 0; i < points.length; i++) {
+      positions[i * 3] = points[i].x;
+      positions[i * 3 + 1] = points[i].y;
+      positions[i * 3 + 2] = points[i].z + 0.3; // Just in front of the pegs
+    }
+    line.geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    line.geometry.computeBoundingSphere();
+  },
+};
+
+export default TrajectoryPreview;
@@ -1,8 +1,35 @@
 /**
  * Theme Configuration Index
- * Exports all tier themes with their colors, elements, and powerup focuses
+ * Exports all tier themes with their colors, elements, powerup focuses and scoring slot layouts
  */
 
+// Scoring slot types. A theme's slotLayout lists slots left to right as
+// { mult, type, width } - width is relative to the other slots (default 1)
+export const slotTypes = {
+  normal: { label: "" },
+  bonus: { label: "BONUS" }, // Coin rain or power-up pick
+  refund: { label: "REFUND", refund: 2 }, // Coins back into the queue
+  jackpot: { label: "JACKPOT", feed: 5 }, // Feeds the jackpot as if worth this many coins
+  relic: { label: "RELIC", relicChance: 0.08 }, // Extra relic drop chance
+  dud: { label: "DUD" }, // Scores nothing
+  gold: { label: "GOLD", gold: 1 }, // Pays this much shop gold per coin
+};
+
+// Layout used when a theme doesn't define one
+export const defaultSlotLayout = [
+  { mult: 1, type: "gold" },
+  { mult: 2 },
+  { mult: 3, type: "bonus" },
+  { mult: 2 },
+  { mult: 1, type: "gold" },
+];
+
+// Scoring slot motion. A theme's optional slotMotion animates its slots:
+//   slide - inner dividers glide side to side ({ amplitude } world units, { speed } radians/sec)
+//   swap - slot values shift one slot to the right every { interval } seconds
+//   hot - one slot at a time lights up and scores at least { multiplier }x for { interval } seconds
+export const slotMotionTypes = ["slide", "swap", "hot"];
+
 // Theme configurations - each with distinct visuals, coin movers, and powerup focus
 export const tierThemes = [
   {
@@ -24,6 +51,18 @@ export const tierThemes = [
     ledColor2: 0x00ffff,
     textureType: "grid",
     textureScale: 4,
+    // Front edge: refunds either side of a narrow 3x bonus
+    slotLayout: [
+      { mult: 1, type: "gold" },
+      { mult: 1, type: "refund" },
+      { mult: 2 },
+      { mult: 3, type: "bonus", width: 0.7 },
+      { mult: 2 },
+      { mult: 1, type: "refund" },
+      { mult: 1, type: "gold" },
+    ],
+    // Hot slot hops left to right
+    slotMotion: { type: "hot", interval: 3, multiplier: 3 },
   },
   {
     name: "Dino Land",
@@ -44,6 +83,14 @@ export const tierThemes = [
     ledColor2: 0xff5722,
     textureType: "scales",
     textureScale: 3,
+    // Front edge: wide middle slots, duds on the outside
+    slotLayout: [
+      { mult: 0, type: "dud", width: 0.6 },
+      { mult: 2, width: 1.2 },
+      { mult: 3, type: "bonus", width: 1.4 },
+      { mult: 2, width: 1.2 },
+      { mult: 0, type: "dud", width: 0.6 },
+    ],
   },
   {
     name: "Alien Invasion",
@@ -64,6 +111,16 @@ export const tierThemes = [
     ledColor2: 0x00ffff,
     textureType: "circuit",
     textureScale: 2,
+    // Front edge: relic slots and a thin 5x center
+    slotLayout: [
+      { mult: 1, type: "gold" },
+      { mult: 1, type: "relic" },
+      { mult: 2 },
+      { mult: 5, type: "bonus", width: 0.5 },
+      { mult: 2 },
+      { mult: 1, type: "relic" },
+      { mult: 1, type: "gold" },
+    ],
   },
   {
     name: "Pirate Cove",
@@ -84,6 +141,16 @@ export const tierThemes = [
     ledColor2: 0x00bcd4,
     textureType: "wood",
     textureScale: 3,
+    // Front edge: treasure slots feed the jackpot
+    slotLayout: [
+      { mult: 1, type: "gold" },
+      { mult: 2, type: "jackpot" },
+      { mult: 3, type: "bonus" },
+      { mult: 2, type: "jackpot" },
+      { mult: 1, type: "gold" },
+    ],
+    // Slot values drift along the deck like cargo
+    slotMotion: { type: "swap", interval: 5 },
   },
   {
     name: "Candy Kingdom",
@@ -104,6 +171,16 @@ export const tierThemes = [
     ledColor2: 0x00e5ff,
     textureType: "stripes",
     textureScale: 5,
+    // Front edge: generous refund slots on the wings
+    slotLayout: [
+      { mult: 1, type: "refund", width: 1.3 },
+      { mult: 2 },
+      { mult: 4, type: "bonus", width: 0.6 },
+      { mult: 2 },
+      { mult: 1, type: "refund", width: 1.3 },
+    ],
+    // The narrow 4x sways between the wings
+    slotMotion: { type: "slide", amplitude: 0.8, speed: 1.2 },
   },
   {
     name: "Space Station",
@@ -124,6 +201,18 @@ export const tierThemes = [
     ledColor2: 0xff5722,
     textureType: "panels",
     textureScale: 2,
+    // Front edge: 5x center guarded by duds
+    slotLayout: [
+      { mult: 1, type: "gold" },
+      { mult: 2 },
+      { mult: 0, type: "dud", width: 0.5 },
+      { mult: 5, type: "bonus", width: 0.8 },
+      { mult: 0, type: "dud", width: 0.5 },
+      { mult: 2 },
+      { mult: 1, type: "gold" },
+    ],
+    // The 5x and its duds orbit slowly
+    slotMotion: { type: "slide", amplitude: 0.6, speed: 0.7 },
   },
   {
     name: "Jungle Safari",
@@ -144,6 +233,14 @@ export const tierThemes = [
     ledColor2: 0xffca28,
     textureType: "leaves",
     textureScale: 3,
+    // Front edge: relic slots beside the bonus
+    slotLayout: [
+      { mult: 2, type: "gold" },
+      { mult: 1, type: "relic" },
+      { mult: 3, type: "bonus" },
+      { mult: 1, type: "relic" },
+      { mult: 2, type: "gold" },
+    ],
   },
   {
     name: "Robot Factory",
@@ -164,20 +261,41 @@ export const tierThemes = [
     ledColor2: 0x00e676,
     textureType: "metal",
     textureScale: 4,
+    // Front edge: jackpot feeds on the edges, a tiny 10x between duds
+    slotLayout: [
+      { mult: 1, type: "jackpot" },
+      { mult: 2, type: "gold" },
+      { mult: 0, type: "dud", width: 0.5 },
+      { mult: 10, type: "bonus", width: 0.4 },
+      { mult: 0, type: "dud", width: 0.5 },
+      { mult: 2, type: "gold" },
+      { mult: 1, type: "jackpot" },
+    ],
   },
 ];
 
 // Get 3 theme options for board selection (varied from available themes)
-export function getThemeOptions(excludeIndices = []) {
+// Pass the run RNG so seeded runs offer the same boards
+export function getThemeOptions(excludeIndices = [], rng = null) {
   const available = tierThemes
     .map((theme, index) => ({ theme, index }))
     .filter(t => !excludeIndices.includes(t.index));
 
   // Shuffle and pick 3
-  const shuffled = available.sort(() => Math.random() - 0.5);
+  const shuffled = rng ? rng.shuffle(available) : available.sort(() => Math.random() - 0.5);
   return shuffled.slice(0, 3);
 }
 
+// Get a theme's scoring slot layout
+export function getSlotLayout(theme) {
+  return theme && theme.slotLayout ? theme.slotLayout : defaultSlotLayout;
+}
+
+// Get a theme's scoring slot motion (null when its slots stand still)
+export function getSlotMotion(theme) {
+  return theme && theme.slotMotion && slotMotionTypes.includes(theme.slotMotion.type) ? theme.slotMotion : null;
+}
+
 // Get theme by powerup focus
 export function getThemeByFocus(focus) {
   return tierThemes.find(t => t.powerupFocus === focus);